@@ -15,14 +15,26 @@ import Home from "./pages/Home";
 import ProductList from "./pages/ProductList";
 import ProductDetails from "./pages/ProductDetails";
 import Cart from "./pages/CartPage";
+import OrderHistory from "./pages/OrderHistory";
+import OrderDetails from "./pages/OrderDetails";
+import OrderReceipt from "./pages/OrderReceipt";
+import Login from "./pages/Login";
+import Account from "./pages/Account";
+import AccountEdit from "./pages/AccountEdit";
+import AdminUsers from "./pages/AdminUsers";
+import AdminUserDetails from "./pages/AdminUserDetails";
+import AdminUserEdit from "./pages/AdminUserEdit";
 
 // Components (reusable UI parts)
 import NavigationBar from "./components/NavigationBar";
 import AddProduct from "./components/AddProduct";
 import EditProduct from "./components/EditProduct";
 import Checkout from "./components/Checkout";
+import RequireAuth from "./components/RequireAuth";
 
-// Context provider for cart state (wraps the app to provide cart data everywhere)
+// Context providers for the signed-in user and cart state (wrap the app to
+// provide auth/cart data everywhere)
+import { AuthProvider } from "./context/AuthContext";
 import { CartProvider } from "./context/CartContext";
 
 // Toast notifications for user feedback
@@ -31,47 +43,120 @@ import "react-toastify/dist/ReactToastify.css";
 
 function App() {
   return (
-    // Provide cart context to the entire app
-    <CartProvider>
-      {/* Set up React Router for navigation */}
-      <Router>
-        {/* Global navigation bar at the top */}
-        <NavigationBar />
-        {/* Main content area with page routing */}
-        <main className="py-3">
-          <Routes>
-            {/* Home page */}
-            <Route path="/" element={<Home />} />
-            {/* Product listing page */}
-            <Route path="/products" element={<ProductList />} />
-            {/* Product details page (dynamic id) */}
-            <Route path="/products/:id" element={<ProductDetails />} />
-            {/* Edit product page (dynamic id) */}
-            <Route path="/edit-product/:id" element={<EditProduct />} />
-            {/* Add new product page */}
-            <Route path="/addproduct" element={<AddProduct />} />
-            {/* Shopping cart page */}
-            <Route path="/cart" element={<Cart />} />
-            {/* Checkout page */}
-            <Route path="/checkout" element={<Checkout />} />
-            {/* Fallback: redirect unknown routes to home */}
-            <Route path="*" element={<Navigate to="/" replace />} />
-          </Routes>
-        </main>
+    // Provide auth and cart context to the entire app
+    <AuthProvider>
+      <CartProvider>
+        {/* Set up React Router for navigation */}
+        <Router>
+          {/* Global navigation bar at the top */}
+          <NavigationBar />
+          {/* Main content area with page routing */}
+          <main className="py-3">
+            <Routes>
+              {/* Home page */}
+              <Route path="/" element={<Home />} />
+              {/* Product listing page */}
+              <Route path="/products" element={<ProductList />} />
+              {/* Product details page (dynamic id) */}
+              <Route path="/products/:id" element={<ProductDetails />} />
+              {/* Edit product page (dynamic id) - editors and admins */}
+              <Route
+                path="/edit-product/:id"
+                element={
+                  <RequireAuth permission="products:update">
+                    <EditProduct />
+                  </RequireAuth>
+                }
+              />
+              {/* Add new product page - editors and admins */}
+              <Route
+                path="/addproduct"
+                element={
+                  <RequireAuth permission="products:create">
+                    <AddProduct />
+                  </RequireAuth>
+                }
+              />
+              {/* Shopping cart page */}
+              <Route path="/cart" element={<Cart />} />
+              {/* Checkout wizard (optional step segment, e.g. /checkout/payment) */}
+              <Route path="/checkout/:step?" element={<Checkout />} />
+              {/* Order history and a single past order */}
+              <Route path="/orders" element={<OrderHistory />} />
+              <Route path="/orders/:id" element={<OrderDetails />} />
+              {/* Printable receipt with PDF/JSON download */}
+              <Route path="/orders/:id/receipt" element={<OrderReceipt />} />
+              {/* Sign-in (returns to the page that required it) */}
+              <Route path="/login" element={<Login />} />
+              {/* Signed-in user's profile and profile editing */}
+              <Route
+                path="/account"
+                element={
+                  <RequireAuth>
+                    <Account />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/account/edit"
+                element={
+                  <RequireAuth>
+                    <AccountEdit />
+                  </RequireAuth>
+                }
+              />
+              {/* User management - admins only */}
+              <Route
+                path="/admin/users"
+                element={
+                  <RequireAuth permission="users:manage">
+                    <AdminUsers />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/admin/users/new"
+                element={
+                  <RequireAuth permission="users:manage">
+                    <AdminUserEdit />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/admin/users/:id"
+                element={
+                  <RequireAuth permission="users:manage">
+                    <AdminUserDetails />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/admin/users/:id/edit"
+                element={
+                  <RequireAuth permission="users:manage">
+                    <AdminUserEdit />
+                  </RequireAuth>
+                }
+              />
+              {/* Fallback: redirect unknown routes to home */}
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          </main>
 
-        {/* Toast notifications for user feedback (bottom right) */}
-        <ToastContainer
-          position="bottom-right"
-          autoClose={3000}
-          hideProgressBar={false}
-          newestOnTop={true}
-          closeOnClick={true}
-          pauseOnHover={true}
-          draggable={true}
-          theme="light"
-        />
-      </Router>
-    </CartProvider>
+          {/* Toast notifications for user feedback (bottom right) */}
+          <ToastContainer
+            position="bottom-right"
+            autoClose={3000}
+            hideProgressBar={false}
+            newestOnTop={true}
+            closeOnClick={true}
+            pauseOnHover={true}
+            draggable={true}
+            theme="light"
+          />
+        </Router>
+      </CartProvider>
+    </AuthProvider>
   );
 }
 
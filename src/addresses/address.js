@@ -0,0 +1,173 @@
+/**
+ * address.js
+ *
+ * Country-aware address helpers built on the schemas in addressFormats.js.
+ *
+ * Purpose:
+ * - Tell address forms which fields a country has, how they're labelled,
+ *   which are required and which are dropdowns.
+ * - Validate an address (required fields, postal code formats, known regions).
+ * - Print an address the way the destination country writes it.
+ *
+ * Address shape (checkout form, order records):
+ *   { address1, address2, city, state, zip, country }
+ *   country is an ISO code ("US"); state holds the region code for countries
+ *   with a dropdown ("CA" = California) and free text otherwise.
+ *
+ * Notes:
+ * - Older drafts and orders stored the country as free text ("United
+ *   States"); normalizeAddress() and countryName() accept those too.
+ */
+
+import ADDRESS_FORMATS from "./addressFormats";
+
+export const DEFAULT_COUNTRY = "US";
+
+// Fields every country has, with their default label/required flag.
+const BASE_FIELDS = {
+  address1: { label: "Address line 1", required: true },
+  address2: { label: "Address line 2", required: false },
+  city: { label: "City", required: true },
+};
+
+// "Postal code" -> "postal code" (acronyms such as "ZIP code" stay as they are)
+const lowerLabel = (label) =>
+  /^[A-Z][a-z]/.test(label) ? label[0].toLowerCase() + label.slice(1) : label;
+
+const normalize = (s) =>
+  String(s || "")
+    .trim()
+    .toLowerCase();
+
+/** getCountries() - [{ code, name }] for the country selector, by name. */
+export const getCountries = () =>
+  Object.entries(ADDRESS_FORMATS)
+    .map(([code, c]) => ({ code, name: c.name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/** resolveCountryCode(input) - ISO code from a code/name/alias, or null. */
+export function resolveCountryCode(input) {
+  const value = normalize(input);
+  if (!value) return null;
+  const match = Object.entries(ADDRESS_FORMATS).find(
+    ([code, c]) =>
+      normalize(code) === value ||
+      normalize(c.name) === value ||
+      c.aliases.some((a) => normalize(a) === value)
+  );
+  return match ? match[0] : null;
+}
+
+/** countryName(input) - display name for a code (or legacy free text). */
+export const countryName = (input) =>
+  ADDRESS_FORMATS[resolveCountryCode(input)]?.name ?? input ?? "";
+
+/**
+ * getAddressFields(countryCode)
+ * - Returns { [field]: { label, required, options?, pattern?, example?,
+ *   inputMode? } } for the fields the country uses, in display order.
+ * - Unknown/missing countries only get the base fields.
+ */
+export function getAddressFields(countryCode) {
+  const overrides = ADDRESS_FORMATS[countryCode]?.fields ?? {};
+  const fields = {};
+  Object.entries(BASE_FIELDS).forEach(([name, base]) => {
+    fields[name] = { ...base, ...overrides[name] };
+  });
+  ["state", "zip"].forEach((name) => {
+    if (overrides[name]) fields[name] = { required: false, ...overrides[name] };
+  });
+  return fields;
+}
+
+// Region code for a dropdown value given as code or name, or null.
+function resolveOption(options, input) {
+  const value = normalize(input);
+  const match = options.find(
+    ([code, name]) => normalize(code) === value || normalize(name) === value
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * normalizeAddress(address)
+ * - Country names become ISO codes and dropdown regions given by name become
+ *   codes. Anything that can't be matched is left as is (and will fail
+ *   validation).
+ */
+export function normalizeAddress(address) {
+  const country = resolveCountryCode(address.country) ?? address.country;
+  const options = getAddressFields(country).state?.options;
+  const state =
+    options && address.state
+      ? (resolveOption(options, address.state) ?? address.state)
+      : address.state;
+  return { ...address, country, state };
+}
+
+/**
+ * changeCountry(address, countryCode)
+ * - The address for a newly selected country. Region codes mean different
+ *   things per country (WA is Washington or Western Australia), so the region
+ *   is only kept when both countries use a free-text region; other fields stay.
+ */
+export function changeCountry(address, countryCode) {
+  const from = getAddressFields(address.country).state;
+  const to = getAddressFields(countryCode).state;
+  const keepState =
+    countryCode === address.country ||
+    (!!from && !!to && !from.options && !to.options);
+  return {
+    ...address,
+    country: countryCode,
+    state: keepState ? address.state : "",
+  };
+}
+
+/**
+ * validateAddress(address)
+ * - Returns an errors object ({ field: "Short message" }), empty when valid.
+ */
+export function validateAddress(address) {
+  const e = {};
+  if (!ADDRESS_FORMATS[address.country]) {
+    e.country = address.country ? "Choose a country from the list" : "Required";
+    return e;
+  }
+
+  Object.entries(getAddressFields(address.country)).forEach(([name, f]) => {
+    const value = String(address[name] ?? "").trim();
+    if (!value) {
+      if (f.required) e[name] = "Required";
+      return;
+    }
+    if (f.options && !resolveOption(f.options, value))
+      e[name] = `Choose a ${lowerLabel(f.label)}`;
+    else if (f.pattern && !f.pattern.test(value))
+      e[name] = `Enter a valid ${lowerLabel(f.label)} (e.g. ${f.example})`;
+  });
+  return e;
+}
+
+/**
+ * formatAddressLines(address)
+ * - Printable lines (without the recipient's name), in the country's order,
+ *   ending with the country name.
+ */
+export function formatAddressLines(address) {
+  const code = resolveCountryCode(address.country);
+  const layout = ADDRESS_FORMATS[code]?.layout ?? "us";
+  const { address1, address2, city, state, zip } = address;
+
+  let locality;
+  if (layout === "eu") locality = [[zip, city].filter(Boolean).join(" ")];
+  else if (layout === "uk") locality = [city, state, zip];
+  else
+    locality = [
+      [city, [state, zip].filter(Boolean).join(" ")].filter(Boolean).join(", "),
+    ];
+
+  return [address1, address2, ...locality, countryName(address.country)].filter(
+    Boolean
+  );
+}
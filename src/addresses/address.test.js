@@ -0,0 +1,159 @@
+/**
+ * address.test.js
+ *
+ * Tests for country-aware address fields, normalization, validation and
+ * printing.
+ */
+
+import { describe, expect, it } from "vitest";
+import {
+  changeCountry,
+  countryName,
+  formatAddressLines,
+  getAddressFields,
+  getCountries,
+  normalizeAddress,
+  resolveCountryCode,
+  validateAddress,
+} from "./address";
+
+const address = (fields) => ({
+  address1: "1 Main St",
+  address2: "",
+  city: "Springfield",
+  state: "",
+  zip: "",
+  country: "US",
+  ...fields,
+});
+
+describe("countries", () => {
+  it("lists countries by name and resolves codes, names and aliases", () => {
+    const names = getCountries().map((c) => c.name);
+    expect(names).toEqual([...names].sort((a, b) => a.localeCompare(b)));
+    expect(resolveCountryCode("usa")).toBe("US");
+    expect(resolveCountryCode("Éire")).toBe("IE");
+    expect(resolveCountryCode("Narnia")).toBeNull();
+    expect(countryName("GB")).toBe("United Kingdom");
+    expect(countryName("Narnia")).toBe("Narnia");
+  });
+});
+
+describe("getAddressFields", () => {
+  it("uses the country's labels and only the fields it has", () => {
+    expect(getAddressFields("US").zip.label).toBe("ZIP code");
+    expect(getAddressFields("AU").city.label).toBe("Suburb");
+    expect(getAddressFields("DE").state).toBeUndefined();
+    expect(Object.keys(getAddressFields("XX"))).toEqual([
+      "address1",
+      "address2",
+      "city",
+    ]);
+  });
+});
+
+describe("normalizeAddress", () => {
+  it("turns country and region names from older drafts into codes", () => {
+    expect(
+      normalizeAddress(
+        address({ country: "United States", state: "california" })
+      )
+    ).toMatchObject({ country: "US", state: "CA" });
+  });
+
+  it("leaves free-text regions and unknown values alone", () => {
+    expect(
+      normalizeAddress(address({ country: "UK", state: "Kent" }))
+    ).toMatchObject({ country: "GB", state: "Kent" });
+    expect(
+      normalizeAddress(address({ country: "Narnia", state: "North" }))
+    ).toMatchObject({ country: "Narnia", state: "North" });
+  });
+});
+
+describe("changeCountry", () => {
+  it("drops a region code that means something else in the new country", () => {
+    expect(changeCountry(address({ state: "WA" }), "AU").state).toBe("");
+  });
+
+  it("keeps free-text regions and the other fields", () => {
+    const changed = changeCountry(
+      address({ country: "GB", state: "Kent", zip: "SW1A 1AA" }),
+      "GB"
+    );
+    expect(changed).toMatchObject({ state: "Kent", zip: "SW1A 1AA" });
+    expect(changeCountry(address({ state: "CA" }), "DE")).toMatchObject({
+      country: "DE",
+      address1: "1 Main St",
+      state: "",
+    });
+  });
+});
+
+describe("validateAddress", () => {
+  it("accepts complete addresses in each format", () => {
+    expect(
+      validateAddress(address({ state: "CA", zip: "94105-1234" }))
+    ).toEqual({});
+    expect(
+      validateAddress(address({ country: "CA", state: "ON", zip: "k1a0b1" }))
+    ).toEqual({});
+    expect(
+      validateAddress(address({ country: "GB", zip: "SW1A 1AA" }))
+    ).toEqual({});
+    expect(
+      validateAddress(address({ country: "IE", state: "Dublin" }))
+    ).toEqual({});
+  });
+
+  it("reports missing fields, unknown regions and bad postal codes", () => {
+    expect(validateAddress(address({ city: "", zip: "9410" }))).toEqual({
+      city: "Required",
+      state: "Required",
+      zip: "Enter a valid ZIP code (e.g. 94105)",
+    });
+    expect(
+      validateAddress(address({ country: "AU", state: "Texas", zip: "2000" }))
+    ).toEqual({ state: "Choose a state/territory" });
+  });
+
+  it("requires a country from the list", () => {
+    expect(validateAddress(address({ country: "" }))).toEqual({
+      country: "Required",
+    });
+    expect(validateAddress(address({ country: "Narnia" }))).toEqual({
+      country: "Choose a country from the list",
+    });
+  });
+});
+
+describe("formatAddressLines", () => {
+  it("prints the locality the way each country writes it", () => {
+    expect(formatAddressLines(address({ state: "CA", zip: "94105" }))).toEqual([
+      "1 Main St",
+      "Springfield, CA 94105",
+      "United States",
+    ]);
+    expect(
+      formatAddressLines(
+        address({ country: "DE", city: "Berlin", zip: "10115" })
+      )
+    ).toEqual(["1 Main St", "10115 Berlin", "Germany"]);
+    expect(
+      formatAddressLines(
+        address({
+          country: "GB",
+          city: "London",
+          state: "Greater London",
+          zip: "SW1A 1AA",
+        })
+      )
+    ).toEqual([
+      "1 Main St",
+      "London",
+      "Greater London",
+      "SW1A 1AA",
+      "United Kingdom",
+    ]);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * addressFormats.js
+ *
+ * Per-country address schemas (used by address.js).
+ *
+ * Keyed by ISO 3166-1 alpha-2 country code. Each country has:
+ *  - name:    display name
+ *  - aliases: other accepted spellings (for drafts saved as free text)
+ *  - fields:  overrides for the address fields; `state` and `zip` only exist
+ *             for countries that list them here. Each field may set:
+ *      - label:    form label ("State", "Province", "County", "Postcode"...)
+ *      - required: whether it must be filled in
+ *      - options:  [[code, name], ...] -> rendered as a dropdown
+ *      - pattern:  RegExp the (trimmed) value must match
+ *      - example:  sample value shown in format errors
+ *      - inputMode: keyboard hint for the input
+ *  - layout:  how the city/region/postal line is printed:
+ *             "us" -> "City, ST 12345", "eu" -> "12345 City",
+ *             "uk" -> city, county and postcode on separate lines
+ *
+ * address1, address2 and city exist for every country (see address.js for
+ * their defaults).
+ */
+
+const US_STATES = [
+  ["AL", "Alabama"],
+  ["AK", "Alaska"],
+  ["AZ", "Arizona"],
+  ["AR", "Arkansas"],
+  ["CA", "California"],
+  ["CO", "Colorado"],
+  ["CT", "Connecticut"],
+  ["DE", "Delaware"],
+  ["DC", "District of Columbia"],
+  ["FL", "Florida"],
+  ["GA", "Georgia"],
+  ["HI", "Hawaii"],
+  ["ID", "Idaho"],
+  ["IL", "Illinois"],
+  ["IN", "Indiana"],
+  ["IA", "Iowa"],
+  ["KS", "Kansas"],
+  ["KY", "Kentucky"],
+  ["LA", "Louisiana"],
+  ["ME", "Maine"],
+  ["MD", "Maryland"],
+  ["MA", "Massachusetts"],
+  ["MI", "Michigan"],
+  ["MN", "Minnesota"],
+  ["MS", "Mississippi"],
+  ["MO", "Missouri"],
+  ["MT", "Montana"],
+  ["NE", "Nebraska"],
+  ["NV", "Nevada"],
+  ["NH", "New Hampshire"],
+  ["NJ", "New Jersey"],
+  ["NM", "New Mexico"],
+  ["NY", "New York"],
+  ["NC", "North Carolina"],
+  ["ND", "North Dakota"],
+  ["OH", "Ohio"],
+  ["OK", "Oklahoma"],
+  ["OR", "Oregon"],
+  ["PA", "Pennsylvania"],
+  ["RI", "Rhode Island"],
+  ["SC", "South Carolina"],
+  ["SD", "South Dakota"],
+  ["TN", "Tennessee"],
+  ["TX", "Texas"],
+  ["UT", "Utah"],
+  ["VT", "Vermont"],
+  ["VA", "Virginia"],
+  ["WA", "Washington"],
+  ["WV", "West Virginia"],
+  ["WI", "Wisconsin"],
+  ["WY", "Wyoming"],
+];
+
+const CA_PROVINCES = [
+  ["AB", "Alberta"],
+  ["BC", "British Columbia"],
+  ["MB", "Manitoba"],
+  ["NB", "New Brunswick"],
+  ["NL", "Newfoundland and Labrador"],
+  ["NS", "Nova Scotia"],
+  ["NT", "Northwest Territories"],
+  ["NU", "Nunavut"],
+  ["ON", "Ontario"],
+  ["PE", "Prince Edward Island"],
+  ["QC", "Quebec"],
+  ["SK", "Saskatchewan"],
+  ["YT", "Yukon"],
+];
+
+const AU_STATES = [
+  ["ACT", "Australian Capital Territory"],
+  ["NSW", "New South Wales"],
+  ["NT", "Northern Territory"],
+  ["QLD", "Queensland"],
+  ["SA", "South Australia"],
+  ["TAS", "Tasmania"],
+  ["VIC", "Victoria"],
+  ["WA", "Western Australia"],
+];
+
+const IE_COUNTIES = [
+  "Carlow",
+  "Cavan",
+  "Clare",
+  "Cork",
+  "Donegal",
+  "Dublin",
+  "Galway",
+  "Kerry",
+  "Kildare",
+  "Kilkenny",
+  "Laois",
+  "Leitrim",
+  "Limerick",
+  "Longford",
+  "Louth",
+  "Mayo",
+  "Meath",
+  "Monaghan",
+  "Offaly",
+  "Roscommon",
+  "Sligo",
+  "Tipperary",
+  "Waterford",
+  "Westmeath",
+  "Wexford",
+  "Wicklow",
+].map((name) => [name, name]);
+
+const ADDRESS_FORMATS = {
+  US: {
+    name: "United States",
+    aliases: ["USA", "United States of America", "U.S.", "U.S.A."],
+    layout: "us",
+    fields: {
+      state: { label: "State", required: true, options: US_STATES },
+      zip: {
+        label: "ZIP code",
+        required: true,
+        pattern: /^\d{5}(?:-\d{4})?$/,
+        example: "94105",
+        inputMode: "numeric",
+      },
+    },
+  },
+  CA: {
+    name: "Canada",
+    aliases: [],
+    layout: "us",
+    fields: {
+      state: { label: "Province", required: true, options: CA_PROVINCES },
+      zip: {
+        label: "Postal code",
+        required: true,
+        pattern:
+          /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/i,
+        example: "K1A 0B1",
+      },
+    },
+  },
+  GB: {
+    name: "United Kingdom",
+    aliases: ["UK", "Great Britain", "England", "Scotland", "Wales"],
+    layout: "uk",
+    fields: {
+      city: { label: "Town/City" },
+      state: { label: "County", required: false },
+      zip: {
+        label: "Postcode",
+        required: true,
+        pattern:
+          /^(?:GIR ?0AA|[A-PR-UWYZ][A-HK-Y]?\d[A-Z\d]? ?\d[ABD-HJLNP-UW-Z]{2})$/i,
+        example: "SW1A 1AA",
+      },
+    },
+  },
+  IE: {
+    name: "Ireland",
+    aliases: ["Republic of Ireland", "Éire", "Eire"],
+    layout: "uk",
+    fields: {
+      city: { label: "Town/City" },
+      state: { label: "County", required: true, options: IE_COUNTIES },
+      zip: {
+        label: "Eircode",
+        required: false,
+        pattern: /^(?:[AC-FHKNPRTV-Y]\d{2}|D6W) ?[0-9AC-FHKNPRTV-Y]{4}$/i,
+        example: "D02 X285",
+      },
+    },
+  },
+  DE: {
+    name: "Germany",
+    aliases: ["Deutschland"],
+    layout: "eu",
+    fields: {
+      zip: {
+        label: "Postal code",
+        required: true,
+        pattern: /^\d{5}$/,
+        example: "10115",
+        inputMode: "numeric",
+      },
+    },
+  },
+  FR: {
+    name: "France",
+    aliases: [],
+    layout: "eu",
+    fields: {
+      zip: {
+        label: "Postal code",
+        required: true,
+        pattern: /^\d{5}$/,
+        example: "75008",
+        inputMode: "numeric",
+      },
+    },
+  },
+  NL: {
+    name: "Netherlands",
+    aliases: ["Holland", "The Netherlands"],
+    layout: "eu",
+    fields: {
+      zip: {
+        label: "Postal code",
+        required: true,
+        pattern: /^\d{4} ?[A-Z]{2}$/i,
+        example: "1012 AB",
+      },
+    },
+  },
+  AU: {
+    name: "Australia",
+    aliases: [],
+    layout: "us",
+    fields: {
+      city: { label: "Suburb" },
+      state: { label: "State/territory", required: true, options: AU_STATES },
+      zip: {
+        label: "Postcode",
+        required: true,
+        pattern: /^\d{4}$/,
+        example: "2000",
+        inputMode: "numeric",
+      },
+    },
+  },
+};
+
+export default ADDRESS_FORMATS;
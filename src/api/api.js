@@ -1,12 +1,205 @@
-import axios from "axios";
-
-const API_BASE_URL = "https://fakestoreapi.com";
-
-export const getProducts = () => axios.get(`${API_BASE_URL}/products`);
-export const getProduct = (id) => axios.get(`${API_BASE_URL}/products/${id}`);
-export const createProduct = (productData) =>
-  axios.post(`${API_BASE_URL}/products`, productData);
-export const updateProduct = (id, productData) =>
-  axios.put(`${API_BASE_URL}/products/${id}`, productData);
-export const deleteProduct = (id) =>
-  axios.delete(`${API_BASE_URL}/products/${id}`);
+/**
+ * api.js
+ *
+ * API helpers used by pages and components.
+ *
+ * Notes:
+ * - Every helper goes through the shared client (see ./client.js), so the base
+ *   URL, timeout and error normalization are configured in one place.
+ * - Helpers return the axios response; read the payload from `response.data`.
+ * - The optional `config` argument is passed to axios (e.g. `{ signal }` from
+ *   an AbortController to cancel the request on unmount).
+ * - Product helpers merge the local persistence overlay (see ./overlay.js)
+ *   over server data, so created/edited/deleted products stick across reloads.
+ * - Product mutations invalidate the ["products"] query keys so components
+ *   using `useApi` with those keys refresh automatically.
+ * - User helpers work the same way with their own overlay (`userOverlay`)
+ *   and the ["users"] query keys.
+ */
+
+import client, { ApiError } from "./client";
+import {
+  applyToList,
+  applyToProduct,
+  countDeletedProducts,
+  getLocalProduct,
+  isDeleted,
+  isLocalId,
+  listLocalProducts,
+  recordCreate,
+  recordDelete,
+  recordUpdate,
+  resetOverlay as clearOverlay,
+  userOverlay,
+} from "./overlay";
+import { invalidateQueries } from "./queryCache";
+
+export { ApiError, isCancel, API_BASE_URL, USE_MOCK_API } from "./client";
+export { hasOverlayChanges } from "./overlay";
+export { invalidateQueries, setQueryData } from "./queryCache";
+
+// Build an axios-like response for data served from the local overlay.
+const localResponse = (data, status = 200) => ({ data, status, headers: {} });
+
+const notFound = (id) =>
+  new ApiError(`Product ${id} not found`, { status: 404, code: "HTTP_404" });
+
+// Products
+export const getProducts = async (config) => {
+  const response = await client.get("/products", config);
+  return { ...response, data: applyToList(response.data) };
+};
+
+/**
+ * getProductPage({ limit, sort }, config)
+ * - The first `limit` products in API order, using FakeStoreAPI's `limit` and
+ *   `sort` ("asc" | "desc" by id) params. Resolves with { items, hasMore }.
+ * - The API has no offset, so page N is requested as the first N pages.
+ * - One extra product is requested to tell whether there are more, plus one
+ *   per locally deleted product, since those are dropped after the server
+ *   has applied `limit`. If the server ignores `limit`, the list is cut to
+ *   size here instead.
+ * - Locally created products are the newest: they come first with "desc",
+ *   and after the last server product with "asc".
+ */
+export const getProductPage = async ({ limit, sort = "asc" }, config) => {
+  const response = await client.get("/products", {
+    ...config,
+    params: {
+      ...config?.params,
+      limit: limit + countDeletedProducts() + 1,
+      sort,
+    },
+  });
+  const server = applyToList(response.data, { withLocal: false });
+  const serverHasMore = server.length > limit;
+  const edited = server.slice(0, limit);
+  const local = listLocalProducts();
+  const list =
+    sort === "desc"
+      ? [...local.reverse(), ...edited]
+      : [...edited, ...(serverHasMore ? [] : local)];
+  return {
+    ...response,
+    data: {
+      items: list.slice(0, limit),
+      hasMore: serverHasMore || list.length > limit,
+    },
+  };
+};
+
+export const getProduct = async (id, config) => {
+  if (isDeleted(id)) throw notFound(id);
+  if (isLocalId(id)) {
+    const local = getLocalProduct(id);
+    if (!local) throw notFound(id);
+    return localResponse(local);
+  }
+  const response = await client.get(`/products/${id}`, config);
+  return { ...response, data: applyToProduct(response.data) };
+};
+
+export const getCategories = (config) =>
+  client.get("/products/categories", config);
+
+export const createProduct = async (productData, config) => {
+  const response = await client.post("/products", productData, config);
+  // The server echoes the payload with a throwaway id; keep our own copy.
+  const saved = recordCreate({ ...response.data, ...productData });
+  invalidateQueries(["products"]);
+  return { ...response, data: saved };
+};
+
+export const updateProduct = async (id, productData, config) => {
+  if (isLocalId(id)) {
+    const saved = recordUpdate(id, productData);
+    invalidateQueries(["products"]);
+    return localResponse(saved);
+  }
+  const response = await client.put(`/products/${id}`, productData, config);
+  recordUpdate(id, productData);
+  invalidateQueries(["products"]);
+  return { ...response, data: { id, ...response.data, ...productData } };
+};
+
+export const deleteProduct = async (id, config) => {
+  if (isLocalId(id)) {
+    recordDelete(id);
+    invalidateQueries(["products"]);
+    return localResponse({ id });
+  }
+  const response = await client.delete(`/products/${id}`, config);
+  recordDelete(id);
+  invalidateQueries(["products"]);
+  return response;
+};
+
+// Discard local catalog changes and refresh any product queries.
+export const resetOverlay = () => {
+  clearOverlay();
+  invalidateQueries(["products"]);
+};
+
+// Carts
+export const getCarts = (config) => client.get("/carts", config);
+export const getCart = (id, config) => client.get(`/carts/${id}`, config);
+// Users created locally have no server carts.
+export const getUserCarts = async (userId, config) =>
+  isLocalId(userId)
+    ? localResponse([])
+    : client.get(`/carts/user/${userId}`, config);
+export const createCart = (cartData, config) =>
+  client.post("/carts", cartData, config);
+export const updateCart = (id, cartData, config) =>
+  client.put(`/carts/${id}`, cartData, config);
+export const deleteCart = (id, config) => client.delete(`/carts/${id}`, config);
+
+// Users
+
+// Query key for one user. Ids are strings here: route params are, and local
+// ids ("local-...") can't be numbers, so the signed-in user's numeric id and
+// /admin/users/:id share one cache entry.
+export const userQueryKey = (id) => ["users", String(id)];
+
+const userNotFound = (id) =>
+  new ApiError(`User ${id} not found`, { status: 404, code: "HTTP_404" });
+
+export const getUsers = async (config) => {
+  const response = await client.get("/users", config);
+  return { ...response, data: userOverlay.applyToList(response.data) };
+};
+
+export const getUser = async (id, config) => {
+  if (userOverlay.isDeleted(id)) throw userNotFound(id);
+  if (isLocalId(id)) {
+    const local = userOverlay.getLocal(id);
+    if (!local) throw userNotFound(id);
+    return localResponse(local);
+  }
+  const response = await client.get(`/users/${id}`, config);
+  return { ...response, data: userOverlay.applyToItem(response.data) };
+};
+
+export const createUser = async (userData, config) => {
+  const response = await client.post("/users", userData, config);
+  // Same as products: keep our own copy under a local id.
+  const saved = userOverlay.recordCreate({ ...response.data, ...userData });
+  invalidateQueries(["users"]);
+  return { ...response, data: saved };
+};
+
+export const updateUser = async (id, userData, config) => {
+  if (isLocalId(id)) {
+    const saved = userOverlay.recordUpdate(id, userData);
+    invalidateQueries(["users"]);
+    return localResponse(saved);
+  }
+  const response = await client.put(`/users/${id}`, userData, config);
+  userOverlay.recordUpdate(id, userData);
+  invalidateQueries(["users"]);
+  return { ...response, data: { id, ...response.data, ...userData } };
+};
+
+// Deactivate/reactivate an account (a local `active` flag; see profile/account.js).
+export const setUserActive = (id, active, config) =>
+  updateUser(id, { active }, config);
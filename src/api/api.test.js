@@ -0,0 +1,86 @@
+/**
+ * api.test.js
+ *
+ * Tests for the product page helper against the offline mock backend.
+ *
+ * Notes:
+ * - The client picks the mock adapter when the module loads, so each test
+ *   stubs VITE_API_MOCK and imports a fresh copy (with a fresh database).
+ * - Local product edits live in localStorage, stubbed per test. The mock
+ *   backend applies deletes itself, so deletions the real API would ignore
+ *   are written straight to the overlay.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+}
+
+async function load() {
+  vi.resetModules();
+  vi.stubEnv("VITE_API_MOCK", "true");
+  return import("./api");
+}
+
+const ids = (items) => items.map((p) => p.id);
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", memoryStorage());
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.unstubAllEnvs();
+});
+
+describe("getProductPage", () => {
+  it("returns the first products in API order and whether there are more", async () => {
+    const api = await load();
+    const { data: all } = await api.getProducts();
+
+    const { data: page } = await api.getProductPage({ limit: 3 });
+    expect(ids(page.items)).toEqual(ids(all).slice(0, 3));
+    expect(page.hasMore).toBe(true);
+
+    const { data: rest } = await api.getProductPage({ limit: all.length });
+    expect(rest.items).toHaveLength(all.length);
+    expect(rest.hasMore).toBe(false);
+  });
+
+  it("fills the page when products in it were deleted locally", async () => {
+    const api = await load();
+    const { data: all } = await api.getProducts();
+    // Deleted here only: the real API keeps serving them
+    localStorage.setItem(
+      "products-overlay:v1",
+      JSON.stringify({ deleted: [String(all[0].id), String(all[2].id)] })
+    );
+
+    const { data: page } = await api.getProductPage({ limit: 3 });
+    expect(ids(page.items)).toEqual([all[1].id, all[3].id, all[4].id]);
+    expect(page.hasMore).toBe(all.length > 5);
+
+    const { data: last } = await api.getProductPage({ limit: all.length - 2 });
+    expect(last.items).toHaveLength(all.length - 2);
+    expect(last.hasMore).toBe(false);
+  });
+
+  it("puts locally created products first when sorting newest first", async () => {
+    const api = await load();
+    const { data: created } = await api.createProduct({
+      title: "Local product",
+      price: 5,
+    });
+
+    const { data: page } = await api.getProductPage({ limit: 2, sort: "desc" });
+    expect(page.items[0].id).toBe(created.id);
+    expect(page.items).toHaveLength(2);
+    expect(page.hasMore).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * auth.js
+ *
+ * Sign-in against FakeStoreAPI's /auth/login (used by AuthContext).
+ *
+ * Purpose:
+ * - Exchange a username/password for a token and turn it into a session
+ *   (see ./session.js): { userId, username, token, expiresAt }.
+ * - Give every session an expiry, even when the token doesn't carry one.
+ *
+ * Notes:
+ * - The API returns a JWT whose payload has `sub` (user id) and `user`
+ *   (username); `exp` is honoured when present. Sessions never outlive
+ *   SESSION_TTL_MS, so a leaked token stops working here after an hour.
+ * - The password is only sent to /auth/login; it's never stored.
+ * - Accounts an admin deactivated (a local flag, see profile/account.js) are
+ *   refused here, since the API itself still accepts their credentials;
+ *   sessions that were already open end on their next read (./session.js).
+ * - The token is kept in memory and in this tab's sessionStorage only, never
+ *   in localStorage (see ./session.js). Scripts running on the page can
+ *   still read it, so keep it short-lived and don't use it for anything
+ *   beyond this demo API.
+ */
+
+import client, { ApiError } from "./client";
+import { userOverlay } from "./overlay";
+import { clearSession, setSession } from "./session";
+
+// Longest a session may last, whatever the token says (ms).
+export const SESSION_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * decodeToken(token)
+ * - Returns the JWT payload (no signature check - that's the server's job),
+ *   or null when the token isn't a readable JWT.
+ */
+export function decodeToken(token) {
+  try {
+    const payload = String(token).split(".")[1];
+    const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(base64));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * login({ username, password })
+ * - Signs in and stores the session; resolves with it.
+ * - Rejects with an ApiError: status 401 for wrong credentials, 403 for a
+ *   deactivated account, otherwise whatever the request failed with.
+ */
+export async function login({ username, password }) {
+  const { data } = await client.post("/auth/login", { username, password });
+  const payload = decodeToken(data?.token);
+  const userId = Number(payload?.sub);
+  if (!userId)
+    throw new ApiError("The server sent an unexpected sign-in response.", {
+      code: "INVALID_TOKEN",
+      data,
+    });
+  if (userOverlay.applyToItem({ id: userId })?.active === false)
+    throw new ApiError("This account has been deactivated.", {
+      status: 403,
+      code: "ACCOUNT_DEACTIVATED",
+    });
+
+  const maxExpiry = Date.now() + SESSION_TTL_MS;
+  const session = {
+    userId,
+    username: payload.user ?? username,
+    token: data.token,
+    expiresAt: payload.exp
+      ? Math.min(payload.exp * 1000, maxExpiry)
+      : maxExpiry,
+  };
+  setSession(session);
+  return session;
+}
+
+/** logout() - forget the session (the API has no server-side sign-out). */
+export function logout() {
+  clearSession();
+}
@@ -0,0 +1,157 @@
+/**
+ * cartSync.js
+ *
+ * Sync layer between the local cart (CartContext) and FakeStoreAPI's /carts.
+ *
+ * Purpose:
+ * - On sign-in, load the user's server cart and merge it with the local cart.
+ * - After that, push local changes (ADD/REMOVE/UPDATE_QTY/CLEAR) to the
+ *   server cart so the user sees the same cart on other devices.
+ *
+ * Conflict resolution (deterministic):
+ * - A product in only one cart is kept as-is.
+ * - A product in both carts keeps the larger quantity, so neither side's
+ *   additions are lost; local snapshot fields (title, price, image) win.
+ * - Result order: local items first (in their existing order), then
+ *   server-only items by ascending product id.
+ *
+ * Notes:
+ * - The server cart id for each user is remembered under "cart-sync:v1" so
+ *   later pushes update the same cart instead of creating new ones.
+ * - Server-only products are looked up via getProduct (overlay-aware);
+ *   products that no longer exist are dropped from the merge.
+ */
+
+import { createCart, getProduct, getUserCarts, updateCart } from "./api";
+
+const STORAGE_KEY = "cart-sync:v1";
+
+function readCartIds() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function rememberCartId(userId, cartId) {
+  try {
+    const ids = readCartIds();
+    ids[userId] = cartId;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+  } catch {
+    // Ignore errors (e.g. storage quota, disabled storage)
+  }
+}
+
+/**
+ * toServerProducts(items) - local cart items -> [{ productId, quantity }].
+ * Items flagged unavailable (product deleted) are not pushed.
+ */
+export const toServerProducts = (items) =>
+  items
+    .filter((i) => !i.unavailable)
+    .map((i) => ({ productId: i.id, quantity: i.qty }));
+
+/**
+ * pickServerCart(carts, knownId)
+ * - Prefers the cart we created before; otherwise the most recent one.
+ */
+function pickServerCart(carts, knownId) {
+  if (!Array.isArray(carts) || carts.length === 0) return null;
+  const known = carts.find((c) => c.id === knownId);
+  if (known) return known;
+  return [...carts].sort(
+    (a, b) => new Date(b.date) - new Date(a.date) || b.id - a.id
+  )[0];
+}
+
+/**
+ * mergeCarts(localItems, serverProducts, products, addedAt)
+ * - Pure merge following the rules above.
+ * - `products` maps productId -> product for server-only entries; `addedAt`
+ *   is the timestamp recorded on those new items.
+ */
+export function mergeCarts(localItems, serverProducts, products = {}, addedAt) {
+  const serverQty = new Map(
+    (serverProducts || []).map((p) => [String(p.productId), p.quantity])
+  );
+
+  const merged = localItems.map((item) => {
+    const remote = serverQty.get(String(item.id));
+    return remote > item.qty ? { ...item, qty: remote } : item;
+  });
+
+  const localIds = new Set(localItems.map((i) => String(i.id)));
+  const serverOnly = [...serverQty.entries()]
+    .filter(([id, qty]) => !localIds.has(id) && qty > 0 && products[id])
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([id, qty]) => {
+      const p = products[id];
+      return {
+        id: p.id,
+        title: p.title,
+        price: p.price,
+        image: p.image,
+        category: p.category,
+        variant: null,
+        addedAt,
+        priceAtAdd: p.price,
+        qty,
+      };
+    });
+
+  return [...merged, ...serverOnly];
+}
+
+/**
+ * loadServerCart(userId, localItems)
+ * - Fetches the user's server cart plus product details for entries the local
+ *   cart doesn't have yet. Resolves with { cartId, serverProducts, products },
+ *   ready to be passed to mergeCarts (cartId is null when there is no cart).
+ */
+export async function loadServerCart(userId, localItems) {
+  const { data: carts } = await getUserCarts(userId);
+  const cart = pickServerCart(carts, readCartIds()[userId]);
+  if (!cart) return { cartId: null, serverProducts: [], products: {} };
+
+  rememberCartId(userId, cart.id);
+
+  const localIds = new Set(localItems.map((i) => String(i.id)));
+  const missing = (cart.products || []).filter(
+    (p) => !localIds.has(String(p.productId))
+  );
+  const lookups = await Promise.all(
+    missing.map((p) =>
+      getProduct(p.productId)
+        .then((res) => res.data)
+        .catch(() => null)
+    )
+  );
+  const products = {};
+  lookups.forEach((p) => {
+    if (p) products[String(p.id)] = p;
+  });
+
+  return { cartId: cart.id, serverProducts: cart.products || [], products };
+}
+
+/**
+ * pushCart(userId, cartId, items)
+ * - Writes the local cart to the server (PUT when we have a cart id, POST
+ *   otherwise). Resolves with the server cart id.
+ */
+export async function pushCart(userId, cartId, items) {
+  const payload = {
+    userId,
+    date: new Date().toISOString(),
+    products: toServerProducts(items),
+  };
+  if (cartId) {
+    await updateCart(cartId, payload);
+    return cartId;
+  }
+  const { data } = await createCart(payload);
+  rememberCartId(userId, data.id);
+  return data.id;
+}
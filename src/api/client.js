@@ -0,0 +1,166 @@
+/**
+ * client.js
+ *
+ * Shared axios instance used by every API call in the app.
+ *
+ * Purpose:
+ * - Read the backend base URL from Vite env (`VITE_API_BASE_URL`) so the whole
+ *   app can be pointed at staging or a local mock with a single setting.
+ * - Apply one request timeout and one set of interceptors to every call.
+ * - Normalize failures into a predictable error shape the UI can rely on.
+ *
+ * Notes:
+ * - Import API helpers from "./api" in components; only the API layer should
+ *   talk to this client directly.
+ * - Rejected promises always carry an `ApiError` (see below), including
+ *   cancellations, which set `canceled: true` so callers can ignore them.
+ * - Set `VITE_API_MOCK=true` to serve every request from the offline mock
+ *   backend (./mock/adapter.js) instead of the network. The adapter and its
+ *   fixtures are a separate chunk, loaded on the first request in mock mode.
+ * - Requests made while signed in send the session token as a Bearer
+ *   Authorization header (see ./session.js).
+ * - Idempotent requests that fail transiently are retried with backoff before
+ *   the error is surfaced (see ./retry.js).
+ */
+
+import axios from "axios";
+import { retryRequest } from "./retry";
+import { getSession } from "./session";
+
+// Fallback to the public FakeStoreAPI when no env value is configured.
+export const API_BASE_URL = (
+  import.meta.env.VITE_API_BASE_URL || "https://fakestoreapi.com"
+).replace(/\/+$/, "");
+
+// Request timeout in ms (override with VITE_API_TIMEOUT).
+export const API_TIMEOUT = Number(import.meta.env.VITE_API_TIMEOUT) || 10000;
+
+// When true, requests are answered by the offline mock backend.
+export const USE_MOCK_API = import.meta.env.VITE_API_MOCK === "true";
+
+/**
+ * ApiError
+ * - Normalized error thrown by the client for any failed request.
+ * - Fields:
+ *   - message: human-friendly description (safe to show in the UI)
+ *   - status: HTTP status code, or 0 for network/timeout failures
+ *   - code: short machine-readable code (e.g. "NETWORK", "TIMEOUT", "HTTP_404")
+ *   - canceled: true when the request was aborted (AbortController / unmount)
+ *   - data: response body from the server, if any
+ *   - cause: the original axios error for debugging
+ */
+export class ApiError extends Error {
+  constructor(
+    message,
+    { status = 0, code = "UNKNOWN", canceled = false, data = null, cause } = {}
+  ) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.canceled = canceled;
+    this.data = data;
+    this.cause = cause;
+  }
+}
+
+/**
+ * normalizeError(err)
+ * - Converts an axios error (or anything thrown) into an ApiError.
+ * - Already-normalized errors are returned unchanged.
+ */
+export function normalizeError(err) {
+  if (err instanceof ApiError) return err;
+
+  if (axios.isCancel(err) || err?.name === "AbortError") {
+    return new ApiError("Request was canceled", {
+      code: "CANCELED",
+      canceled: true,
+      cause: err,
+    });
+  }
+
+  if (err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT") {
+    return new ApiError("The server took too long to respond.", {
+      code: "TIMEOUT",
+      cause: err,
+    });
+  }
+
+  if (err?.response) {
+    const { status, data } = err.response;
+    const serverMessage =
+      typeof data === "string" ? data : data?.message || data?.error;
+    return new ApiError(
+      serverMessage || `Request failed with status ${status}`,
+      { status, code: `HTTP_${status}`, data, cause: err }
+    );
+  }
+
+  if (err?.request) {
+    return new ApiError("Network error. Check your connection.", {
+      code: "NETWORK",
+      cause: err,
+    });
+  }
+
+  return new ApiError(err?.message || "An error occurred", { cause: err });
+}
+
+/**
+ * isCancel(err)
+ * - True when a request was aborted rather than failing.
+ * - Works with both normalized ApiErrors and raw axios errors.
+ */
+export const isCancel = (err) => Boolean(err?.canceled) || axios.isCancel(err);
+
+// Mock mode: load the mock backend on first use so production bundles don't
+// carry the fixture data.
+const lazyMockAdapter = (config) =>
+  import("./mock/adapter").then(({ default: adapter }) => adapter(config));
+
+// The single axios instance shared by the API layer.
+const client = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: API_TIMEOUT,
+  headers: { "Content-Type": "application/json" },
+  ...(USE_MOCK_API ? { adapter: lazyMockAdapter } : {}),
+});
+
+/**
+ * setAdapter(adapter)
+ * - Swap the transport used by the shared client (e.g. the mock adapter in
+ *   tests, or a custom one). Pass nothing to restore axios' default adapter.
+ */
+export function setAdapter(adapter) {
+  client.defaults.adapter = adapter ?? axios.defaults.adapter;
+}
+
+// Request interceptor: place for shared headers (auth tokens, tracing, etc.).
+client.interceptors.request.use((config) => {
+  config.headers = config.headers ?? {};
+  config.headers.Accept = "application/json";
+  // Signed-in requests carry the session token
+  const token = getSession()?.token;
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// Response interceptor: pass successes through, retry transient GET failures,
+// then normalize whatever error is left.
+client.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    let response;
+    try {
+      response = await retryRequest(client, error);
+    } catch (retryError) {
+      // The retry failed too (or was canceled during backoff).
+      throw normalizeError(retryError);
+    }
+    if (response) return response;
+    throw normalizeError(error);
+  }
+);
+
+export default client;
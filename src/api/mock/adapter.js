@@ -0,0 +1,261 @@
+/**
+ * mock/adapter.js
+ *
+ * Offline mock backend for the shared API client.
+ *
+ * Purpose:
+ * - Serve products, categories, carts, users and auth from bundled fixture JSON
+ *   so the app and its unit tests (adapter.test.js, `npm test`) can run with
+ *   no network at all.
+ * - Mimic FakeStoreAPI's routes and response shapes closely enough that pages
+ *   don't need to know which backend they are talking to.
+ *
+ * Enabling:
+ * - Set `VITE_API_MOCK=true` in `.env` (see client.js). Optional knobs:
+ *   - VITE_API_MOCK_LATENCY: simulated response time in ms (default 300)
+ *   - VITE_API_MOCK_FAILURE_RATE: 0..1 chance a request fails with a 503 (default 0)
+ *
+ * Notes:
+ * - This is an axios adapter: it receives the final request config and must
+ *   resolve with a response or reject with an AxiosError, just like the real
+ *   XHR adapter, so interceptors and error normalization behave the same.
+ * - Mutations are kept in memory for the lifetime of the page. Persistence
+ *   across reloads is handled by the product overlay, as with the real API.
+ * - Honors `config.signal` so aborted requests reject with a cancel error.
+ */
+
+import { AxiosError, CanceledError } from "axios";
+import productsFixture from "./fixtures/products.json";
+import cartsFixture from "./fixtures/carts.json";
+import usersFixture from "./fixtures/users.json";
+
+const LATENCY = Number(import.meta.env.VITE_API_MOCK_LATENCY ?? 300);
+const FAILURE_RATE = Number(import.meta.env.VITE_API_MOCK_FAILURE_RATE ?? 0);
+
+// In-memory database seeded from fixtures (deep-copied so fixtures stay pristine).
+const db = {
+  products: structuredClone(productsFixture),
+  carts: structuredClone(cartsFixture),
+  users: structuredClone(usersFixture),
+};
+
+const nextId = (list) => list.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+
+/**
+ * applyListParams(list, query)
+ * - Supports FakeStoreAPI's `limit` and `sort=asc|desc` (by id) query params.
+ */
+function applyListParams(list, query) {
+  let out = [...list];
+  if (query.sort === "desc") out.sort((a, b) => b.id - a.id);
+  else if (query.sort === "asc") out.sort((a, b) => a.id - b.id);
+  const limit = parseInt(query.limit, 10);
+  if (limit > 0) out = out.slice(0, limit);
+  return out;
+}
+
+/**
+ * createToken(user)
+ * - Builds an unsigned JWT-shaped token so consumers that decode the payload
+ *   (sub, user, iat, exp) work the same as with the real API.
+ */
+function createToken(user) {
+  const encode = (obj) =>
+    btoa(JSON.stringify(obj))
+      .replace(/=+$/, "")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_");
+  const iat = Math.floor(Date.now() / 1000);
+  return [
+    encode({ alg: "none", typ: "JWT" }),
+    encode({ sub: user.id, user: user.username, iat, exp: iat + 60 * 60 }),
+    "mock",
+  ].join(".");
+}
+
+// Generic CRUD handlers for a collection in `db`.
+const collection = (name) => ({
+  list: ({ query }) => [200, applyListParams(db[name], query)],
+  get: ({ params }) => {
+    const record = db[name].find((r) => r.id === Number(params.id));
+    return record ? [200, record] : [404, { message: "Not found" }];
+  },
+  create: ({ body }) => {
+    const record = { ...body, id: nextId(db[name]) };
+    db[name].push(record);
+    return [201, record];
+  },
+  update: ({ params, body }) => {
+    const idx = db[name].findIndex((r) => r.id === Number(params.id));
+    if (idx < 0) return [404, { message: "Not found" }];
+    db[name][idx] = { ...db[name][idx], ...body, id: db[name][idx].id };
+    return [200, db[name][idx]];
+  },
+  remove: ({ params }) => {
+    const idx = db[name].findIndex((r) => r.id === Number(params.id));
+    if (idx < 0) return [404, { message: "Not found" }];
+    const [removed] = db[name].splice(idx, 1);
+    return [200, removed];
+  },
+});
+
+const products = collection("products");
+const carts = collection("carts");
+const users = collection("users");
+
+// Route table: [method, path pattern, handler]. First match wins.
+const routes = [
+  [
+    "get",
+    /^\/products\/categories$/,
+    () => [200, [...new Set(db.products.map((p) => p.category))]],
+  ],
+  [
+    "get",
+    /^\/products\/category\/(?<category>[^/]+)$/,
+    ({ params, query }) => [
+      200,
+      applyListParams(
+        db.products.filter(
+          (p) => p.category === decodeURIComponent(params.category)
+        ),
+        query
+      ),
+    ],
+  ],
+  ["get", /^\/products$/, products.list],
+  ["get", /^\/products\/(?<id>\d+)$/, products.get],
+  ["post", /^\/products$/, products.create],
+  ["put", /^\/products\/(?<id>\d+)$/, products.update],
+  ["patch", /^\/products\/(?<id>\d+)$/, products.update],
+  ["delete", /^\/products\/(?<id>\d+)$/, products.remove],
+
+  [
+    "get",
+    /^\/carts\/user\/(?<userId>\d+)$/,
+    ({ params, query }) => [
+      200,
+      applyListParams(
+        db.carts.filter((c) => c.userId === Number(params.userId)),
+        query
+      ),
+    ],
+  ],
+  ["get", /^\/carts$/, carts.list],
+  ["get", /^\/carts\/(?<id>\d+)$/, carts.get],
+  ["post", /^\/carts$/, carts.create],
+  ["put", /^\/carts\/(?<id>\d+)$/, carts.update],
+  ["patch", /^\/carts\/(?<id>\d+)$/, carts.update],
+  ["delete", /^\/carts\/(?<id>\d+)$/, carts.remove],
+
+  ["get", /^\/users$/, users.list],
+  ["get", /^\/users\/(?<id>\d+)$/, users.get],
+  ["post", /^\/users$/, users.create],
+  ["put", /^\/users\/(?<id>\d+)$/, users.update],
+  ["patch", /^\/users\/(?<id>\d+)$/, users.update],
+  ["delete", /^\/users\/(?<id>\d+)$/, users.remove],
+
+  [
+    "post",
+    /^\/auth\/login$/,
+    ({ body }) => {
+      const user = db.users.find(
+        (u) => u.username === body?.username && u.password === body?.password
+      );
+      return user
+        ? [200, { token: createToken(user) }]
+        : [401, "username or password is incorrect"];
+    },
+  ],
+];
+
+/**
+ * parseRequest(config)
+ * - Extracts method, path (relative to the base URL), query and JSON body.
+ */
+function parseRequest(config) {
+  const url = new URL(config.url, "http://mock.local");
+  const query = Object.fromEntries(url.searchParams);
+  Object.assign(query, config.params);
+
+  let body = config.data;
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      // Leave non-JSON bodies as-is
+    }
+  }
+
+  return {
+    method: (config.method || "get").toLowerCase(),
+    path: url.pathname.replace(/\/+$/, "") || "/",
+    query,
+    body,
+  };
+}
+
+// Resolve after `ms`, rejecting early if the request is aborted.
+function wait(ms, signal, config) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CanceledError(undefined, undefined, config));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener?.("abort", () => {
+      clearTimeout(timer);
+      reject(new CanceledError(undefined, undefined, config));
+    });
+  });
+}
+
+/**
+ * mockAdapter(config)
+ * - axios adapter entry point. Routes the request through the table above.
+ */
+export default async function mockAdapter(config) {
+  await wait(LATENCY, config.signal, config);
+
+  const { method, path, query, body } = parseRequest(config);
+  const request = { method, path };
+
+  const respond = (status, data) => {
+    const response = {
+      data,
+      status,
+      statusText: String(status),
+      headers: { "content-type": "application/json" },
+      config,
+      request,
+    };
+    if (status >= 200 && status < 300) return response;
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      request,
+      response
+    );
+  };
+
+  // Simulated outage: fail a configurable share of requests.
+  if (FAILURE_RATE > 0 && Math.random() < FAILURE_RATE) {
+    return respond(503, { message: "Simulated server failure" });
+  }
+
+  for (const [routeMethod, pattern, handler] of routes) {
+    if (routeMethod !== method) continue;
+    const match = path.match(pattern);
+    if (!match) continue;
+    const [status, data] = handler({
+      params: match.groups ?? {},
+      query,
+      body,
+    });
+    // Hand out copies so callers can't mutate the in-memory database.
+    return respond(status, structuredClone(data));
+  }
+
+  return respond(404, { message: `No mock route for ${method} ${path}` });
+}
@@ -0,0 +1,96 @@
+/**
+ * adapter.test.js
+ *
+ * Tests for the offline mock backend (run with `npm test`).
+ *
+ * Notes:
+ * - Requests go through a plain axios instance using the adapter, so they
+ *   exercise the same path as the shared client without its session and
+ *   retry handling.
+ * - Latency and failure rate are read when the adapter module loads, so tests
+ *   that change them stub the env and import a fresh copy.
+ */
+
+import axios from "axios";
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+// A fresh adapter module (and in-memory database) with the current env.
+async function createApi() {
+  vi.resetModules();
+  const { default: mockAdapter } = await import("./adapter");
+  return axios.create({
+    baseURL: "https://fakestoreapi.com",
+    adapter: mockAdapter,
+  });
+}
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("products", () => {
+  it("lists products from the fixtures, honouring limit and sort", async () => {
+    const api = await createApi();
+    const { data: all } = await api.get("/products");
+    expect(all.length).toBeGreaterThan(4);
+
+    const { data: page } = await api.get("/products", {
+      params: { limit: 3, sort: "desc" },
+    });
+    expect(page.map((p) => p.id)).toEqual(
+      all
+        .map((p) => p.id)
+        .sort((a, b) => b - a)
+        .slice(0, 3)
+    );
+  });
+
+  it("answers 404 for an unknown product", async () => {
+    const api = await createApi();
+    await expect(api.get("/products/9999")).rejects.toMatchObject({
+      response: { status: 404 },
+    });
+  });
+
+  it("keeps created products in memory", async () => {
+    const api = await createApi();
+    const { data: created } = await api.post("/products", {
+      title: "Test product",
+      price: 1,
+    });
+    const { data } = await api.get(`/products/${created.id}`);
+    expect(data.title).toBe("Test product");
+  });
+});
+
+describe("failure rate", () => {
+  it("fails every request with a 503 at a failure rate of 1", async () => {
+    vi.stubEnv("VITE_API_MOCK_FAILURE_RATE", "1");
+    const api = await createApi();
+    await expect(api.get("/products")).rejects.toMatchObject({
+      response: { status: 503 },
+    });
+  });
+});
+
+describe("auth", () => {
+  it("returns a JWT-shaped token for valid credentials", async () => {
+    const api = await createApi();
+    const { data } = await api.post("/auth/login", {
+      username: "johnd",
+      password: "m38rmF$",
+    });
+    const payload = JSON.parse(
+      atob(data.token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))
+    );
+    expect(payload).toMatchObject({ sub: 1, user: "johnd" });
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+
+  it("rejects wrong credentials with a 401", async () => {
+    const api = await createApi();
+    await expect(
+      api.post("/auth/login", { username: "johnd", password: "nope" })
+    ).rejects.toMatchObject({ response: { status: 401 } });
+  });
+});
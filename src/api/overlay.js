@@ -0,0 +1,244 @@
+/**
+ * overlay.js
+ *
+ * Client-side persistence overlay for catalog and user mutations.
+ *
+ * Purpose:
+ * - FakeStoreAPI accepts create/update/delete requests but never persists them.
+ *   This module records our mutations in localStorage and merges them over
+ *   server responses so admins see their changes across reloads.
+ *
+ * Stored shape (one localStorage key per collection, e.g. "products-overlay:v1"):
+ *   {
+ *     created: { [id]: record },    // records that only exist locally
+ *     updated: { [id]: partial },   // field overrides for server records
+ *     deleted: [id, ...]            // server records hidden from lists
+ *   }
+ *
+ * Notes:
+ * - createOverlay(storageKey) builds the helpers for one collection. The
+ *   product helpers are exported under their original names; users get
+ *   `userOverlay` ("users-overlay:v1").
+ * - Locally created records get string ids prefixed with "local-" so they never
+ *   collide with server ids (FakeStoreAPI returns the same id for every create).
+ * - Ids are compared as strings because route params are always strings.
+ * - resetOverlay() drops every recorded product change ("reset to server data").
+ * - Partial overrides are merged one level deep, so nested objects (a user's
+ *   name/address) can be updated field by field.
+ */
+
+/** isLocalId(id) - true for records created through an overlay. */
+export const isLocalId = (id) => String(id).startsWith("local-");
+
+const emptyOverlay = () => ({ created: {}, updated: {}, deleted: [] });
+
+// Merge `changes` over `record`, one level deep for plain objects.
+function merge(record, changes) {
+  const next = { ...record };
+  Object.entries(changes ?? {}).forEach(([k, v]) => {
+    const isObject = v && typeof v === "object" && !Array.isArray(v);
+    next[k] =
+      isObject && record?.[k] && typeof record[k] === "object"
+        ? { ...record[k], ...v }
+        : v;
+  });
+  return next;
+}
+
+/**
+ * createOverlay(storageKey)
+ * - Returns the overlay helpers for one collection stored under `storageKey`:
+ *   { hasChanges, reset, getLocal, isDeleted, countDeleted, listLocal,
+ *     applyToItem, applyToList, recordCreate, recordUpdate, recordDelete }
+ */
+export function createOverlay(storageKey) {
+  /**
+   * readOverlay()
+   * - Returns the stored overlay, or an empty one when missing/corrupt.
+   */
+  function readOverlay() {
+    try {
+      const raw = localStorage.getItem(storageKey);
+      if (!raw) return emptyOverlay();
+      const parsed = JSON.parse(raw);
+      return {
+        created: parsed?.created ?? {},
+        updated: parsed?.updated ?? {},
+        deleted: Array.isArray(parsed?.deleted) ? parsed.deleted : [],
+      };
+    } catch {
+      return emptyOverlay();
+    }
+  }
+
+  function writeOverlay(overlay) {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(overlay));
+    } catch {
+      // Ignore errors (e.g. storage quota, disabled storage)
+    }
+  }
+
+  /** hasChanges() - true when any mutation has been recorded. */
+  function hasChanges() {
+    const { created, updated, deleted } = readOverlay();
+    return (
+      Object.keys(created).length > 0 ||
+      Object.keys(updated).length > 0 ||
+      deleted.length > 0
+    );
+  }
+
+  /** reset() - discard every local change and fall back to server data. */
+  function reset() {
+    try {
+      localStorage.removeItem(storageKey);
+    } catch {
+      // Ignore errors (e.g. disabled storage)
+    }
+  }
+
+  /**
+   * getLocal(id)
+   * - Returns a locally created record, or null if the id is not local.
+   */
+  function getLocal(id) {
+    const { created, deleted } = readOverlay();
+    const key = String(id);
+    if (deleted.includes(key)) return null;
+    return created[key] ?? null;
+  }
+
+  /** isDeleted(id) - true when the record was deleted locally. */
+  function isDeleted(id) {
+    return readOverlay().deleted.includes(String(id));
+  }
+
+  /** countDeleted() - how many server records are hidden by deletions. */
+  function countDeleted() {
+    return readOverlay().deleted.length;
+  }
+
+  /**
+   * applyToItem(record)
+   * - Merges recorded edits over a single server record.
+   * - Returns null when the record was deleted locally.
+   */
+  function applyToItem(record) {
+    if (!record) return record;
+    const { updated, deleted } = readOverlay();
+    const key = String(record.id);
+    if (deleted.includes(key)) return null;
+    return updated[key] ? merge(record, updated[key]) : record;
+  }
+
+  /** listLocal() - locally created records, oldest first. */
+  function listLocal() {
+    const { created, deleted } = readOverlay();
+    return Object.values(created).filter(
+      (r) => !deleted.includes(String(r.id))
+    );
+  }
+
+  /**
+   * applyToList(records, { withLocal })
+   * - Applies edits and deletions to a server list and appends locally
+   *   created records.
+   * - withLocal: false leaves the local records out (for partial server
+   *   lists, e.g. a page fetched with `limit`)
+   */
+  function applyToList(records, { withLocal = true } = {}) {
+    const { updated, deleted } = readOverlay();
+    const list = (Array.isArray(records) ? records : [])
+      .filter((r) => !deleted.includes(String(r.id)))
+      .map((r) =>
+        updated[String(r.id)] ? merge(r, updated[String(r.id)]) : r
+      );
+    return withLocal ? [...list, ...listLocal()] : list;
+  }
+
+  /**
+   * recordCreate(record)
+   * - Stores a newly created record under a fresh local id and returns it.
+   */
+  function recordCreate(record) {
+    const overlay = readOverlay();
+    const id = `local-${Date.now().toString(36)}${Math.random()
+      .toString(36)
+      .slice(2, 6)}`;
+    const saved = { ...record, id };
+    overlay.created[id] = saved;
+    writeOverlay(overlay);
+    return saved;
+  }
+
+  /**
+   * recordUpdate(id, changes)
+   * - Local records are updated in place; server records get an override entry.
+   * - Returns the stored changes (or the full local record).
+   */
+  function recordUpdate(id, changes) {
+    const overlay = readOverlay();
+    const key = String(id);
+    // Never persist the id field itself as an override.
+    const { id: _ignored, ...fields } = changes ?? {};
+    if (overlay.created[key]) {
+      overlay.created[key] = merge(overlay.created[key], fields);
+      writeOverlay(overlay);
+      return overlay.created[key];
+    }
+    overlay.updated[key] = merge(overlay.updated[key], fields);
+    writeOverlay(overlay);
+    return overlay.updated[key];
+  }
+
+  /**
+   * recordDelete(id)
+   * - Local records are removed outright; server records are hidden.
+   */
+  function recordDelete(id) {
+    const overlay = readOverlay();
+    const key = String(id);
+    if (overlay.created[key]) {
+      delete overlay.created[key];
+    } else if (!overlay.deleted.includes(key)) {
+      overlay.deleted.push(key);
+    }
+    delete overlay.updated[key];
+    writeOverlay(overlay);
+  }
+
+  return {
+    hasChanges,
+    reset,
+    getLocal,
+    isDeleted,
+    countDeleted,
+    listLocal,
+    applyToItem,
+    applyToList,
+    recordCreate,
+    recordUpdate,
+    recordDelete,
+  };
+}
+
+// Products ("products-overlay:v1")
+const productOverlay = createOverlay("products-overlay:v1");
+export const {
+  hasChanges: hasOverlayChanges,
+  reset: resetOverlay,
+  getLocal: getLocalProduct,
+  isDeleted,
+  countDeleted: countDeletedProducts,
+  listLocal: listLocalProducts,
+  applyToItem: applyToProduct,
+  applyToList,
+  recordCreate,
+  recordUpdate,
+  recordDelete,
+} = productOverlay;
+
+// Users ("users-overlay:v1"); see the user helpers in api.js
+export const USERS_OVERLAY_KEY = "users-overlay:v1";
+export const userOverlay = createOverlay(USERS_OVERLAY_KEY);
@@ -0,0 +1,195 @@
+/**
+ * queryCache.js
+ *
+ * Small keyed query cache shared by `useApi` (stale-while-revalidate).
+ *
+ * Purpose:
+ * - Keep fetched data in memory by key so navigating between pages renders
+ *   cached data instantly instead of re-downloading and flashing a spinner.
+ * - Dedupe concurrent identical requests: callers asking for the same key while
+ *   a fetch is in flight share that single promise.
+ * - Let mutations invalidate keys so subscribed components refetch in the
+ *   background.
+ *
+ * Keys:
+ * - Keys are arrays, e.g. ["products"] or ["products", id]. They are hashed
+ *   with JSON.stringify, so ids should be passed consistently (string vs number).
+ * - invalidateQueries(["products"]) matches every key that starts with
+ *   "products", including ["products", 3].
+ *
+ * Timing:
+ * - staleTime: how long (ms) data is considered fresh; fresh data is served
+ *   without refetching. Default 0 = always revalidate on mount.
+ * - cacheTime: how long (ms) an entry with no subscribers is kept before it
+ *   is garbage collected. Default 5 minutes.
+ *
+ * Notes:
+ * - The fetcher receives `{ signal }`; when the last subscriber unsubscribes
+ *   while a fetch is in flight, the request is aborted.
+ * - Entries store the raw fetcher result; `useApi` unwraps axios responses.
+ */
+
+import { isCancel } from "./client";
+
+export const DEFAULT_CACHE_TIME = 5 * 60 * 1000;
+
+// key hash -> entry
+const entries = new Map();
+
+/** hashKey(key) - stable string form of a query key. */
+export const hashKey = (key) => JSON.stringify(key);
+
+/**
+ * getEntry(hash)
+ * - Returns (creating if needed) the cache entry for a hashed key.
+ */
+function getEntry(hash) {
+  let entry = entries.get(hash);
+  if (!entry) {
+    entry = {
+      key: JSON.parse(hash),
+      data: undefined,
+      error: null,
+      updatedAt: 0,
+      invalidated: false,
+      promise: null,
+      controller: null,
+      listeners: new Set(),
+      gcTimer: null,
+      cacheTime: DEFAULT_CACHE_TIME,
+      fetcher: null,
+    };
+    entries.set(hash, entry);
+  }
+  return entry;
+}
+
+const notify = (entry) => entry.listeners.forEach((listener) => listener());
+
+/**
+ * getQueryState(hash)
+ * - Snapshot of an entry: { data, error, updatedAt, isFetching } or undefined.
+ */
+export function getQueryState(hash) {
+  const entry = entries.get(hash);
+  if (!entry) return undefined;
+  return {
+    data: entry.data,
+    error: entry.error,
+    updatedAt: entry.updatedAt,
+    isFetching: Boolean(entry.promise),
+  };
+}
+
+/**
+ * isStale(hash, staleTime)
+ * - True when there is no data, it was invalidated, or it is older than staleTime.
+ */
+export function isStale(hash, staleTime = 0) {
+  const entry = entries.get(hash);
+  if (!entry || entry.data === undefined || entry.invalidated) return true;
+  return Date.now() - entry.updatedAt >= staleTime;
+}
+
+/**
+ * fetchQuery(hash, fetcher)
+ * - Runs `fetcher({ signal })` for the key, or joins the in-flight request.
+ * - Resolves with the fetcher result; rejects with its error (including cancels).
+ */
+export function fetchQuery(hash, fetcher) {
+  const entry = getEntry(hash);
+  entry.fetcher = fetcher;
+  if (entry.promise) return entry.promise;
+
+  const controller = new AbortController();
+  const promise = Promise.resolve()
+    .then(() => fetcher({ signal: controller.signal }))
+    .then(
+      (result) => {
+        if (entry.promise !== promise) return result;
+        entry.data = result;
+        entry.error = null;
+        entry.updatedAt = Date.now();
+        entry.invalidated = false;
+        return result;
+      },
+      (err) => {
+        // Canceled fetches leave existing data/error untouched.
+        if (entry.promise === promise && !isCancel(err)) entry.error = err;
+        throw err;
+      }
+    )
+    .finally(() => {
+      if (entry.promise === promise) {
+        entry.promise = null;
+        entry.controller = null;
+        notify(entry);
+      }
+    });
+
+  entry.promise = promise;
+  entry.controller = controller;
+  notify(entry);
+  return promise;
+}
+
+/**
+ * subscribe(hash, listener, { cacheTime })
+ * - Registers a listener called whenever the entry changes.
+ * - Returns an unsubscribe function. When the last listener leaves, any
+ *   in-flight request is aborted and the entry is scheduled for GC.
+ */
+export function subscribe(hash, listener, { cacheTime } = {}) {
+  const entry = getEntry(hash);
+  if (cacheTime !== undefined) entry.cacheTime = cacheTime;
+  clearTimeout(entry.gcTimer);
+  entry.listeners.add(listener);
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size > 0) return;
+
+    if (entry.controller) {
+      entry.controller.abort();
+      entry.promise = null;
+      entry.controller = null;
+    }
+    entry.gcTimer = setTimeout(() => {
+      if (entry.listeners.size === 0) entries.delete(hash);
+    }, entry.cacheTime);
+  };
+}
+
+/**
+ * setQueryData(key, updater)
+ * - Writes data for a key directly (value or prev => next), e.g. after a mutation.
+ */
+export function setQueryData(key, updater) {
+  const entry = getEntry(hashKey(key));
+  entry.data = updater instanceof Function ? updater(entry.data) : updater;
+  entry.error = null;
+  entry.updatedAt = Date.now();
+  entry.invalidated = false;
+  notify(entry);
+}
+
+/**
+ * invalidateQueries(prefix)
+ * - Marks every entry whose key starts with `prefix` as stale. Entries that
+ *   currently have subscribers refetch in the background right away.
+ * - Call with no argument to invalidate everything.
+ */
+export function invalidateQueries(prefix = []) {
+  entries.forEach((entry, hash) => {
+    const matches = prefix.every((part, i) => entry.key[i] === part);
+    if (!matches) return;
+    entry.invalidated = true;
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      // Drop any in-flight request so the refetch sees the latest data.
+      entry.controller?.abort();
+      entry.promise = null;
+      entry.controller = null;
+      fetchQuery(hash, entry.fetcher).catch(() => {});
+    }
+  });
+}
@@ -0,0 +1,135 @@
+/**
+ * retry.js
+ *
+ * Retry-with-backoff policy for the shared API client.
+ *
+ * Purpose:
+ * - Transparently retry idempotent requests (GET/HEAD/OPTIONS) that fail for
+ *   transient reasons: network errors, timeouts, 408, 429 and 5xx responses.
+ * - Space attempts with exponential backoff plus jitter, and honor the
+ *   server's `Retry-After` header when it sends one.
+ *
+ * Configuration:
+ * - VITE_API_RETRY_ATTEMPTS: retries after the first attempt (default 2)
+ * - VITE_API_RETRY_DELAY: base delay in ms before the first retry (default 300)
+ * - Per request: pass `retry: false` to disable, or
+ *   `retry: { attempts, baseDelay, maxDelay }` to override, in the axios config.
+ *
+ * Notes:
+ * - Mutations (POST/PUT/PATCH/DELETE) are never retried here; repeating them
+ *   is not safe without idempotency guarantees.
+ * - Waiting is abortable: if the request's AbortSignal fires during backoff,
+ *   the retry is dropped and the cancel propagates as usual.
+ */
+
+import axios from "axios";
+
+export const RETRY_DEFAULTS = {
+  attempts: Number(import.meta.env.VITE_API_RETRY_ATTEMPTS ?? 2),
+  baseDelay: Number(import.meta.env.VITE_API_RETRY_DELAY ?? 300),
+  maxDelay: 10000,
+};
+
+const IDEMPOTENT_METHODS = ["get", "head", "options"];
+
+/**
+ * getRetryOptions(config)
+ * - Resolves the effective retry options for a request, or null when disabled.
+ */
+export function getRetryOptions(config) {
+  if (!config || config.retry === false) return null;
+  const method = (config.method || "get").toLowerCase();
+  if (!IDEMPOTENT_METHODS.includes(method)) return null;
+  return { ...RETRY_DEFAULTS, ...(config.retry || {}) };
+}
+
+/**
+ * isRetryable(error)
+ * - True for transient failures worth another attempt.
+ */
+export function isRetryable(error) {
+  if (axios.isCancel(error)) return false;
+  const status = error?.response?.status;
+  if (!status) {
+    // No response: network failure or timeout.
+    return Boolean(error?.request) || error?.code === "ECONNABORTED";
+  }
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * parseRetryAfter(value)
+ * - Converts a Retry-After header (seconds or HTTP date) into ms, or null.
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * getRetryDelay(attempt, options, error)
+ * - attempt is 1 for the first retry. Uses Retry-After when present,
+ *   otherwise exponential backoff with "full jitter", capped at maxDelay.
+ */
+export function getRetryDelay(attempt, options, error) {
+  const headers = error?.response?.headers;
+  const retryAfter = parseRetryAfter(
+    headers?.["retry-after"] ?? headers?.get?.("retry-after")
+  );
+  if (retryAfter !== null) return Math.min(retryAfter, options.maxDelay);
+
+  const exponential = options.baseDelay * 2 ** (attempt - 1);
+  const capped = Math.min(exponential, options.maxDelay);
+  // Keep at least half the delay so retries never fire back-to-back.
+  return capped / 2 + Math.random() * (capped / 2);
+}
+
+/**
+ * sleep(ms, signal)
+ * - Resolves after `ms`; resolves false early if the signal aborts.
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve(false);
+      return;
+    }
+    const timer = setTimeout(() => resolve(true), ms);
+    signal?.addEventListener?.(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        resolve(false);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * retryRequest(client, error)
+ * - Called from the client's response interceptor with a raw axios error.
+ * - Returns a promise for the retried request, or null when the error should
+ *   be surfaced to the caller instead. Rejects with a cancel error when the
+ *   request is aborted during backoff.
+ */
+export async function retryRequest(client, error) {
+  const config = error?.config;
+  const options = getRetryOptions(config);
+  if (!options || !isRetryable(error)) return null;
+
+  const attempt = (config.__retryCount || 0) + 1;
+  if (attempt > options.attempts) return null;
+
+  const waited = await sleep(
+    getRetryDelay(attempt, options, error),
+    config.signal
+  );
+  if (!waited) throw new axios.CanceledError(undefined, undefined, config);
+
+  config.__retryCount = attempt;
+  return client(config);
+}
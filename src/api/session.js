@@ -0,0 +1,144 @@
+/**
+ * session.js
+ *
+ * Tiny store for the signed-in user's session.
+ *
+ * Purpose:
+ * - Keep "who is signed in" in one place so non-React modules (API client,
+ *   cart sync) and React providers read the same value.
+ * - Keep the bearer token out of persistent storage: the full session lives
+ *   in memory and in sessionStorage (so it survives reloads of this tab and
+ *   is gone when the tab closes); localStorage only gets the non-secret part.
+ *
+ * Shape:
+ *   { userId: number, username: string, token: string, expiresAt: number(ms) }
+ *
+ * Storage:
+ * - sessionStorage "session:v1": the full session, for this tab.
+ * - localStorage "session:v1": { userId, username, expiresAt } - no token.
+ *   It tells every tab who is signed in: a tab's session only counts while
+ *   it matches this record, so signing out (or in as someone else) in one
+ *   tab signs the other tabs out. Tabs opened later start signed out, unless
+ *   the browser copied this tab's sessionStorage into them.
+ *
+ * Notes:
+ * - Expired sessions are treated as signed out and removed on read.
+ * - So are sessions of accounts an admin has since deactivated (a local flag,
+ *   see profile/account.js); subscribers are told, so the app signs out
+ *   wherever the session is read, including in other tabs.
+ * - Sessions saved by earlier versions (token in localStorage) are moved to
+ *   this tab's sessionStorage on first read.
+ * - subscribeSession(listener) notifies on every change, including sign-in
+ *   and sign-out in other tabs (via `storage` events).
+ */
+
+import { USERS_OVERLAY_KEY, userOverlay } from "./overlay";
+
+const STORAGE_KEY = "session:v1";
+
+const listeners = new Set();
+
+// This tab's session (mirrors sessionStorage; undefined until first read)
+let current;
+
+// area: "localStorage" | "sessionStorage" (missing when storage is disabled)
+function read(area) {
+  try {
+    return JSON.parse(globalThis[area].getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function write(area, value) {
+  try {
+    if (value) globalThis[area].setItem(STORAGE_KEY, JSON.stringify(value));
+    else globalThis[area].removeItem(STORAGE_KEY);
+  } catch {
+    // Ignore errors (e.g. storage quota, disabled storage)
+  }
+}
+
+// The part of a session other tabs may see.
+const toShared = ({ userId, username, expiresAt }) => ({
+  userId,
+  username,
+  expiresAt,
+});
+
+/**
+ * getSession()
+ * - Returns the current session, or null when signed out/expired/corrupt.
+ */
+export function getSession() {
+  const shared = read("localStorage");
+
+  // Earlier versions kept the whole session, token included, in localStorage
+  if (shared?.token) {
+    current = shared;
+    write("sessionStorage", shared);
+    write("localStorage", toShared(shared));
+  }
+
+  if (shared?.expiresAt && shared.expiresAt <= Date.now()) {
+    clearStored();
+    return null;
+  }
+
+  if (current === undefined) current = read("sessionStorage");
+  // Signed out, or signed in as someone else, in another tab
+  if (!shared?.userId || !current?.token || current.userId !== shared.userId) {
+    if (current) {
+      current = null;
+      write("sessionStorage", null);
+    }
+    return null;
+  }
+
+  // Deactivated by an admin after signing in
+  if (userOverlay.applyToItem({ id: current.userId })?.active === false) {
+    clearStored();
+    queueMicrotask(() => listeners.forEach((listener) => listener(null)));
+    return null;
+  }
+  return current;
+}
+
+function clearStored() {
+  current = null;
+  write("sessionStorage", null);
+  write("localStorage", null);
+}
+
+/** setSession(session) - store a new session and notify subscribers. */
+export function setSession(session) {
+  current = session;
+  write("sessionStorage", session);
+  write("localStorage", toShared(session));
+  listeners.forEach((listener) => listener(session));
+}
+
+/** clearSession() - sign out and notify subscribers. */
+export function clearSession() {
+  clearStored();
+  listeners.forEach((listener) => listener(null));
+}
+
+/**
+ * subscribeSession(listener)
+ * - Calls listener(session|null) whenever the session changes.
+ * - Returns an unsubscribe function.
+ */
+export function subscribeSession(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Sign-in/sign-out (or a deactivation) in another tab
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (e) => {
+    if (![STORAGE_KEY, USERS_OVERLAY_KEY, null].includes(e.key)) return;
+    const session = getSession();
+    listeners.forEach((listener) => listener(session));
+  });
+}
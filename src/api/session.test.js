@@ -0,0 +1,117 @@
+/**
+ * session.test.js
+ *
+ * Tests for where the session (and its token) is stored.
+ *
+ * Notes:
+ * - Storage is an in-memory stub per test; a reload or another tab is a fresh
+ *   copy of the module over the same localStorage.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+}
+
+async function load() {
+  vi.resetModules();
+  return import("./session");
+}
+
+const session = (fields) => ({
+  userId: 1,
+  username: "johnd",
+  token: "secret-token",
+  expiresAt: Date.now() + 60 * 1000,
+  ...fields,
+});
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", memoryStorage());
+  vi.stubGlobal("sessionStorage", memoryStorage());
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("session storage", () => {
+  it("keeps the token out of localStorage", async () => {
+    const { getSession, setSession } = await load();
+    setSession(session());
+
+    expect(getSession().token).toBe("secret-token");
+    expect(localStorage.getItem("session:v1")).not.toContain("secret-token");
+    expect(JSON.parse(localStorage.getItem("session:v1"))).toMatchObject({
+      userId: 1,
+      username: "johnd",
+    });
+  });
+
+  it("survives a reload of the same tab", async () => {
+    (await load()).setSession(session());
+    const { getSession } = await load();
+    expect(getSession()).toMatchObject({ userId: 1, token: "secret-token" });
+  });
+
+  it("starts signed out in a tab without its own copy", async () => {
+    (await load()).setSession(session());
+    vi.stubGlobal("sessionStorage", memoryStorage());
+    const { getSession } = await load();
+    expect(getSession()).toBeNull();
+  });
+
+  it("signs a tab out when another tab signs out or in as someone else", async () => {
+    const { getSession, setSession } = await load();
+    setSession(session());
+
+    localStorage.setItem(
+      "session:v1",
+      JSON.stringify({ userId: 2, username: "mor_2314" })
+    );
+    expect(getSession()).toBeNull();
+    expect(sessionStorage.getItem("session:v1")).toBeNull();
+
+    setSession(session());
+    localStorage.removeItem("session:v1");
+    expect(getSession()).toBeNull();
+  });
+
+  it("drops expired sessions", async () => {
+    const { getSession, setSession } = await load();
+    setSession(session({ expiresAt: Date.now() - 1 }));
+    expect(getSession()).toBeNull();
+    expect(localStorage.getItem("session:v1")).toBeNull();
+  });
+
+  it("moves a token saved by an earlier version out of localStorage", async () => {
+    localStorage.setItem("session:v1", JSON.stringify(session()));
+    const { getSession } = await load();
+
+    expect(getSession().token).toBe("secret-token");
+    expect(localStorage.getItem("session:v1")).not.toContain("secret-token");
+    expect(sessionStorage.getItem("session:v1")).toContain("secret-token");
+  });
+
+  it("signs out an account an admin deactivated after it signed in", async () => {
+    const { getSession, setSession, subscribeSession } = await load();
+    setSession(session());
+    const listener = vi.fn();
+    subscribeSession(listener);
+
+    localStorage.setItem(
+      "users-overlay:v1",
+      JSON.stringify({ updated: { 1: { active: false } } })
+    );
+    expect(getSession()).toBeNull();
+    expect(localStorage.getItem("session:v1")).toBeNull();
+    await Promise.resolve();
+    expect(listener).toHaveBeenCalledWith(null);
+  });
+});
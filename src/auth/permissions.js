@@ -0,0 +1,56 @@
+/**
+ * permissions.js
+ *
+ * Roles and permissions: the one place that says who may do what.
+ *
+ * Purpose:
+ * - Define the roles (customer, editor, admin), the permissions each role
+ *   has, and which users hold which role.
+ * - can(user, permission) is the only check the UI uses (navigation links,
+ *   buttons, route guards), so changing a rule here changes it everywhere.
+ *
+ * Notes:
+ * - FakeStoreAPI has no roles, so they're assigned here by user id. Every
+ *   other signed-in user is a customer; signed-out visitors have no role and
+ *   no permissions.
+ * - These checks only decide what the UI offers. A real backend must enforce
+ *   the same rules on every request.
+ */
+
+export const ROLES = {
+  customer: { label: "Customer" },
+  editor: { label: "Editor" },
+  admin: { label: "Admin" },
+};
+
+export const DEFAULT_ROLE = "customer";
+
+// Permissions by role
+const ROLE_PERMISSIONS = {
+  customer: [],
+  editor: ["products:create", "products:update"],
+  admin: [
+    "products:create",
+    "products:update",
+    "products:delete",
+    "users:manage",
+  ],
+};
+
+// Role by user id (FakeStoreAPI demo accounts)
+const USER_ROLES = {
+  1: "admin", // johnd
+  2: "editor", // mor_2314
+};
+
+/** getRole(user) - the role of a signed-in user ({ id }), or null. */
+export function getRole(user) {
+  if (!user) return null;
+  return USER_ROLES[user.id] ?? DEFAULT_ROLE;
+}
+
+/** can(user, permission) - true when the user's role grants the permission. */
+export function can(user, permission) {
+  const role = getRole(user);
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+}
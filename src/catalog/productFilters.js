@@ -0,0 +1,120 @@
+/**
+ * productFilters.js
+ *
+ * Product list filters and sorting, and their query-string form (used by
+ * ProductList).
+ *
+ * Purpose:
+ * - Keep every list setting in the URL (?q=&category=&sort=&min=&max=&rating=)
+ *   so filters survive back-navigation and can be shared as links.
+ * - One place that decides which products match and in what order.
+ *
+ * Filters shape:
+ *   { q: string, category: string | null, sort: keyof PRODUCT_SORTS,
+ *     min: number | null, max: number | null, rating: number | null }
+ *
+ * Notes:
+ * - Defaults (no search, all categories, "featured" order, no price or rating
+ *   limits) are left out of the URL, so the plain /products link is the
+ *   unfiltered list. FILTER_PARAMS lists the params that narrow the list
+ *   (everything except `sort`).
+ * - Unknown or malformed values in a hand-edited URL fall back to the default
+ *   instead of emptying the list.
+ * - The price range is inclusive; a range entered backwards (min > max) is
+ *   swapped rather than matching nothing.
+ */
+
+// Sort options: { value: { label, compare, reverse, apiSort } }.
+// - "featured" keeps API order; "newest" reverses it (locally created
+//   products are the newest, see api/overlay.js).
+// - apiSort: the API's own `sort` param giving the same order, so the list
+//   can be paged on the server (see catalog/productPages.js).
+export const PRODUCT_SORTS = {
+  featured: { label: "Featured", compare: null, apiSort: "asc" },
+  newest: { label: "Newest", compare: null, reverse: true, apiSort: "desc" },
+  "price-asc": {
+    label: "Price: low to high",
+    compare: (a, b) => a.price - b.price,
+  },
+  "price-desc": {
+    label: "Price: high to low",
+    compare: (a, b) => b.price - a.price,
+  },
+  rating: {
+    label: "Top rated",
+    compare: (a, b) => (b.rating?.rate ?? 0) - (a.rating?.rate ?? 0),
+  },
+  title: {
+    label: "Name (A–Z)",
+    compare: (a, b) => String(a.title).localeCompare(String(b.title)),
+  },
+};
+
+export const DEFAULT_SORT = "featured";
+
+// Query params that narrow the list ("Clear filters" removes these)
+export const FILTER_PARAMS = ["q", "category", "min", "max", "rating"];
+
+// Minimum star ratings offered by the rating filter
+export const RATING_OPTIONS = [4, 3, 2, 1];
+
+// A non-negative number from a query param, or null.
+const toAmount = (value) => {
+  if (value === null || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/** parseFilters(params) - filters from URLSearchParams (defaults for the rest). */
+export function parseFilters(params) {
+  const sort = params.get("sort");
+  const rating = toAmount(params.get("rating"));
+  return {
+    q: params.get("q") ?? "",
+    category: params.get("category") || null,
+    sort: PRODUCT_SORTS[sort] ? sort : DEFAULT_SORT,
+    min: toAmount(params.get("min")),
+    max: toAmount(params.get("max")),
+    rating: RATING_OPTIONS.includes(rating) ? rating : null,
+  };
+}
+
+/** hasActiveFilters(filters) - true when anything narrows the list. */
+export const hasActiveFilters = (filters) =>
+  !!(
+    filters.q.trim() ||
+    filters.category ||
+    filters.min !== null ||
+    filters.max !== null ||
+    filters.rating
+  );
+
+/**
+ * filterProducts(products, filters)
+ * - Products matching the search (title or description), category, price
+ *   range and minimum rating, in the chosen order.
+ */
+export function filterProducts(products, filters) {
+  const q = filters.q.trim().toLowerCase();
+  let { min, max } = filters;
+  if (min !== null && max !== null && min > max) [min, max] = [max, min];
+
+  const matches = products.filter((p) => {
+    const matchesQuery =
+      !q ||
+      p.title?.toLowerCase().includes(q) ||
+      p.description?.toLowerCase().includes(q);
+    const matchesCat = !filters.category || p.category === filters.category;
+    const price = Number(p.price);
+    const matchesPrice =
+      (min === null || price >= min) && (max === null || price <= max);
+    const matchesRating =
+      !filters.rating || (p.rating?.rate ?? 0) >= filters.rating;
+    return matchesQuery && matchesCat && matchesPrice && matchesRating;
+  });
+
+  const { compare, reverse } =
+    PRODUCT_SORTS[filters.sort] ?? PRODUCT_SORTS.featured;
+  if (reverse) return matches.reverse();
+  return compare ? matches.sort(compare) : matches;
+}
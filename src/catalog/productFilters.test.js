@@ -0,0 +1,142 @@
+/**
+ * productFilters.test.js
+ *
+ * Tests for product list filters, sorting and their query-string form.
+ */
+
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_SORT,
+  filterProducts,
+  hasActiveFilters,
+  parseFilters,
+} from "./productFilters";
+
+const filters = (query) => parseFilters(new URLSearchParams(query));
+
+const PRODUCTS = [
+  {
+    id: 1,
+    title: "Cotton Shirt",
+    description: "Soft and light",
+    category: "men's clothing",
+    price: 22.3,
+    rating: { rate: 4.1 },
+  },
+  {
+    id: 2,
+    title: "Silver Ring",
+    description: "A classic shirt-collar pin included",
+    category: "jewelery",
+    price: 9.99,
+    rating: { rate: 3.9 },
+  },
+  {
+    id: 3,
+    title: "Backpack",
+    description: "Fits a laptop",
+    category: "men's clothing",
+    price: 109.95,
+    rating: { rate: 4.7 },
+  },
+  { id: 4, title: "Monitor", category: "electronics", price: 599 },
+];
+
+const ids = (items) => items.map((p) => p.id);
+
+describe("parseFilters", () => {
+  it("uses the defaults for an empty query", () => {
+    const result = filters("");
+    expect(result).toEqual({
+      q: "",
+      category: null,
+      sort: DEFAULT_SORT,
+      min: null,
+      max: null,
+      rating: null,
+    });
+    expect(hasActiveFilters(result)).toBe(false);
+  });
+
+  it("reads every param", () => {
+    const result = filters(
+      "q=shirt&category=jewelery&sort=price-desc&min=5&max=50&rating=3"
+    );
+    expect(result).toEqual({
+      q: "shirt",
+      category: "jewelery",
+      sort: "price-desc",
+      min: 5,
+      max: 50,
+      rating: 3,
+    });
+    expect(hasActiveFilters(result)).toBe(true);
+  });
+
+  it("falls back to the default for malformed values", () => {
+    expect(
+      filters("sort=cheapest&min=-5&max=abc&rating=2.5&category=")
+    ).toMatchObject({
+      sort: DEFAULT_SORT,
+      min: null,
+      max: null,
+      rating: null,
+      category: null,
+    });
+  });
+
+  it("doesn't count a sort order or a blank search as a filter", () => {
+    expect(hasActiveFilters(filters("sort=newest&q=%20"))).toBe(false);
+  });
+});
+
+describe("filterProducts", () => {
+  it("keeps API order for featured and reverses it for newest", () => {
+    expect(ids(filterProducts(PRODUCTS, filters("")))).toEqual([1, 2, 3, 4]);
+    expect(ids(filterProducts(PRODUCTS, filters("sort=newest")))).toEqual([
+      4, 3, 2, 1,
+    ]);
+  });
+
+  it("searches titles and descriptions, ignoring case", () => {
+    expect(ids(filterProducts(PRODUCTS, filters("q=SHIRT")))).toEqual([1, 2]);
+  });
+
+  it("filters by category, price range and minimum rating", () => {
+    expect(
+      ids(filterProducts(PRODUCTS, filters("category=men's clothing")))
+    ).toEqual([1, 3]);
+    expect(ids(filterProducts(PRODUCTS, filters("min=9.99&max=22.3")))).toEqual(
+      [1, 2]
+    );
+    expect(ids(filterProducts(PRODUCTS, filters("rating=4")))).toEqual([1, 3]);
+  });
+
+  it("swaps a price range entered backwards", () => {
+    expect(ids(filterProducts(PRODUCTS, filters("min=110&max=10")))).toEqual([
+      1, 3,
+    ]);
+  });
+
+  it("sorts by price, rating and name", () => {
+    expect(ids(filterProducts(PRODUCTS, filters("sort=price-asc")))).toEqual([
+      2, 1, 3, 4,
+    ]);
+    expect(ids(filterProducts(PRODUCTS, filters("sort=price-desc")))).toEqual([
+      4, 3, 1, 2,
+    ]);
+    expect(ids(filterProducts(PRODUCTS, filters("sort=rating")))).toEqual([
+      3, 1, 2, 4,
+    ]);
+    expect(ids(filterProducts(PRODUCTS, filters("sort=title")))).toEqual([
+      3, 1, 4, 2,
+    ]);
+  });
+
+  it("leaves the input list untouched", () => {
+    const list = [...PRODUCTS];
+    filterProducts(list, filters("sort=newest"));
+    filterProducts(list, filters("sort=price-desc"));
+    expect(ids(list)).toEqual([1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * productPages.js
+ *
+ * Paging for the product grid (used by ProductList).
+ *
+ * Purpose:
+ * - Split a product list into pages of PAGE_SIZE, shown either one page at a
+ *   time (numbered pages) or as a growing list (infinite scroll).
+ * - Decide when the API can do the paging: FakeStoreAPI only knows `limit`
+ *   and `sort` (by id), so that works for the unfiltered list in API order
+ *   ("featured"/"newest"). Anything else needs the whole catalog and is paged
+ *   here.
+ *
+ * Notes:
+ * - The page lives in the URL (?page=) in both modes: the page shown, or how
+ *   many pages have been loaded. Back and shared links restore either.
+ * - With server paging the total is unknown; the page after the last one
+ *   loaded is offered while the API reports more (`hasMore`).
+ */
+
+import { PRODUCT_SORTS, hasActiveFilters } from "./productFilters";
+
+export const PAGE_SIZE = 8;
+
+export const PAGINATION_MODES = {
+  pages: { label: "Pages" },
+  scroll: { label: "Infinite scroll" },
+};
+
+export const DEFAULT_PAGINATION_MODE = "pages";
+
+/** parsePage(params) - the ?page= number, 1 when missing or invalid. */
+export function parsePage(params) {
+  const page = Number.parseInt(params.get("page"), 10);
+  return page > 0 ? page : 1;
+}
+
+/**
+ * serverSort(filters)
+ * - The API `sort` param for server paging, or null when the list needs
+ *   filtering or sorting on the client.
+ */
+export function serverSort(filters) {
+  if (hasActiveFilters(filters)) return null;
+  return PRODUCT_SORTS[filters.sort]?.apiSort ?? null;
+}
+
+/**
+ * paginate(items, { page, mode, hasMore })
+ * - items: the products loaded so far, in display order
+ * - hasMore: the API has products after `items` (server paging)
+ * - Returns { visible, page, pageCount, hasMore }: the products to render,
+ *   the page clamped to what exists, the number of pages to offer, and
+ *   whether more can be loaded (infinite scroll).
+ */
+export function paginate(items, { page, mode, hasMore = false }) {
+  const loadedPages = Math.max(1, Math.ceil(items.length / PAGE_SIZE));
+  const current = Math.min(page, loadedPages);
+  const pageCount = hasMore ? loadedPages + 1 : loadedPages;
+
+  if (mode === "scroll") {
+    const visible = items.slice(0, current * PAGE_SIZE);
+    return {
+      visible,
+      page: current,
+      pageCount,
+      hasMore: hasMore || visible.length < items.length,
+    };
+  }
+  return {
+    visible: items.slice((current - 1) * PAGE_SIZE, current * PAGE_SIZE),
+    page: current,
+    pageCount,
+    hasMore: current < pageCount,
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * productPages.test.js
+ *
+ * Tests for product grid paging (numbered pages and infinite scroll).
+ */
+
+import { describe, expect, it } from "vitest";
+import { PAGE_SIZE, paginate, parsePage, serverSort } from "./productPages";
+import { parseFilters } from "./productFilters";
+
+const products = (count) =>
+  Array.from({ length: count }, (_, i) => ({ id: i + 1 }));
+
+const ids = (items) => items.map((p) => p.id);
+
+describe("paginate", () => {
+  it("shows one page at a time in pages mode", () => {
+    const items = products(PAGE_SIZE * 2 + 3);
+    const result = paginate(items, { page: 2, mode: "pages" });
+    expect(ids(result.visible)).toEqual(
+      ids(items.slice(PAGE_SIZE, PAGE_SIZE * 2))
+    );
+    expect(result).toMatchObject({ page: 2, pageCount: 3, hasMore: true });
+
+    const last = paginate(items, { page: 3, mode: "pages" });
+    expect(last.visible).toHaveLength(3);
+    expect(last.hasMore).toBe(false);
+  });
+
+  it("shows every loaded page in scroll mode", () => {
+    const items = products(PAGE_SIZE * 2 + 3);
+    const result = paginate(items, { page: 2, mode: "scroll" });
+    expect(result.visible).toHaveLength(PAGE_SIZE * 2);
+    expect(result.hasMore).toBe(true);
+
+    const all = paginate(items, { page: 3, mode: "scroll" });
+    expect(all.visible).toHaveLength(items.length);
+    expect(all.hasMore).toBe(false);
+  });
+
+  it("clamps the page to the pages that exist", () => {
+    const result = paginate(products(3), { page: 9, mode: "pages" });
+    expect(result).toMatchObject({ page: 1, pageCount: 1, hasMore: false });
+    expect(result.visible).toHaveLength(3);
+
+    const empty = paginate([], { page: 2, mode: "pages" });
+    expect(empty).toMatchObject({ visible: [], page: 1, pageCount: 1 });
+  });
+
+  it("offers the next page while the server has more", () => {
+    const items = products(PAGE_SIZE);
+    expect(
+      paginate(items, { page: 1, mode: "pages", hasMore: true })
+    ).toMatchObject({ page: 1, pageCount: 2, hasMore: true });
+    expect(
+      paginate(items, { page: 1, mode: "scroll", hasMore: true }).hasMore
+    ).toBe(true);
+  });
+});
+
+describe("serverSort", () => {
+  const filters = (query) => parseFilters(new URLSearchParams(query));
+
+  it("uses the API sort for the unfiltered list in API order", () => {
+    expect(serverSort(filters(""))).toBe("asc");
+    expect(serverSort(filters("sort=newest"))).toBe("desc");
+  });
+
+  it("pages on the client when the list is filtered or sorted here", () => {
+    expect(serverSort(filters("sort=price-asc"))).toBeNull();
+    expect(serverSort(filters("q=shirt"))).toBeNull();
+    expect(serverSort(filters("sort=newest&category=jewelery"))).toBeNull();
+    expect(serverSort(filters("min=10"))).toBeNull();
+  });
+});
+
+describe("parsePage", () => {
+  it("reads ?page= and falls back to 1", () => {
+    expect(parsePage(new URLSearchParams("page=3"))).toBe(3);
+    expect(parsePage(new URLSearchParams(""))).toBe(1);
+    expect(parsePage(new URLSearchParams("page=0"))).toBe(1);
+    expect(parsePage(new URLSearchParams("page=abc"))).toBe(1);
+  });
+});
@@ -1,9 +1,9 @@
-import axios from "axios";
 import { useState } from "react";
 import Container from "react-bootstrap/Container";
 import Form from "react-bootstrap/Form";
 import Button from "react-bootstrap/Button";
 import Alert from "react-bootstrap/Alert";
+import { createProduct } from "../api/api";
 
 /**
  * AddProduct
@@ -15,7 +15,8 @@ import Alert from "react-bootstrap/Alert";
  * Notes:
  * - Form is controlled via `formData` state.
  * - `handleSubmit` calls the API and stores the returned product in `product`.
- * - The FakeStore API used here is a demo API — created resources may not persist.
+ * - The FakeStore API does not persist creates; createProduct keeps a local copy
+ *   (see api/overlay.js) so the new product shows up in the catalog.
  * - Basic client-side validation is enforced using `required` on inputs.
  */
 function AddProduct() {
@@ -53,7 +54,7 @@ function AddProduct() {
   /**
    * handleSubmit
    * - Prevents default form submission.
-   * - Sends a POST request to the FakeStore API with the form payload.
+   * - Sends a POST request via the shared API client with the form payload.
    * - On success: save the returned product, show success message, clear errors.
    * - On failure: record an error message for the user.
    *
@@ -69,10 +70,7 @@ function AddProduct() {
       // Ensure price is sent as a number if the API expects numeric price
       const payload = { ...formData, price: Number(formData.price) };
 
-      const response = await axios.post(
-        "https://fakestoreapi.com/products",
-        payload
-      );
+      const response = await createProduct(payload);
 
       // Save created product and mark submitted for showing success UI
       setProduct(response.data);
@@ -0,0 +1,77 @@
+import React, { useMemo } from "react";
+import Alert from "react-bootstrap/Alert";
+import Button from "react-bootstrap/Button";
+import { useCart } from "../hooks";
+
+/**
+ * CartChangesNotice
+ *
+ * Warns the user that prices or availability changed since items were added.
+ *
+ * Purpose:
+ * - Lists the changes found by cart revalidation (CartContext `priceChanges`).
+ * - Lets the user acknowledge them; Checkout keeps payment disabled until then.
+ *
+ * Props:
+ *  - checking: boolean -> shows a small "checking prices" line while revalidating
+ *  - error: string|null -> non-fatal revalidation error to display
+ *
+ * Notes:
+ *  - Renders nothing when there is nothing to report.
+ */
+export default function CartChangesNotice({ checking, error }) {
+  const { priceChanges, acknowledgePriceChanges } = useCart();
+
+  // Currency formatter for old/new prices
+  const currency = useMemo(
+    () =>
+      new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }),
+    []
+  );
+
+  if (priceChanges.length === 0) {
+    if (error) {
+      return (
+        <Alert variant="secondary" className="small">
+          We couldn’t confirm current prices ({error}). Totals use the prices
+          from when items were added.
+        </Alert>
+      );
+    }
+    return checking ? (
+      <div className="text-muted small mb-3">Checking current prices…</div>
+    ) : null;
+  }
+
+  return (
+    <Alert variant="warning" aria-live="polite">
+      <Alert.Heading as="h2" className="h6">
+        Prices changed
+      </Alert.Heading>
+      <ul className="mb-2 ps-3">
+        {priceChanges.map((change) => (
+          <li key={change.id}>
+            {change.type === "removed" ? (
+              <>
+                <strong>{change.title}</strong> is no longer available and won’t
+                be charged.
+              </>
+            ) : (
+              <>
+                <strong>{change.title}</strong> changed from{" "}
+                {currency.format(change.from)} to {currency.format(change.to)}.
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+      <Button
+        size="sm"
+        variant="outline-dark"
+        onClick={acknowledgePriceChanges}
+      >
+        Got it
+      </Button>
+    </Alert>
+  );
+}
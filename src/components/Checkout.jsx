@@ -3,21 +3,55 @@
  * Checkout.jsx
  *
  * Purpose:
- * - Present a multi-section checkout form (contact, shipping, payment).
- * - Validate basic inputs, simulate an order placement, and clear the cart on success.
+ * - Walk the user through a multi-step checkout wizard:
+ *   Contact -> Shipping -> Delivery method -> Payment -> Review.
+ * - Validate each step before moving on, simulate an order placement, and
+ *   clear the cart on success.
  * - Show an order summary on the right and a success screen when the order completes.
  *
  * Notes:
- * - This is a demo payment flow. No real payment processing is performed.
- * - Validation is intentionally basic (client-side only) to provide user feedback.
- * - Cart item shape may vary between components (e.g. `qty` vs `quantity`); the summary
- *   uses defensive fallbacks when reading quantities.
+ * - Payments go through the provider interface in payments/payments.js
+ *   (authorize -> optional 3-D Secure challenge -> capture). The default
+ *   provider is the local mock gateway; its magic test cards simulate
+ *   declines, insufficient funds, 3-D Secure and processing errors.
+ *   If capture fails the authorization is voided.
+ * - Placing the order goes through orders/orderSubmission.js: one idempotency
+ *   key per attempt, a locked cart snapshot while paying, duplicate submits
+ *   collapsed, and a refreshed tab resumes the pending order (showing its
+ *   status) instead of charging again.
+ * - Steps are URL-addressable (/checkout/:step). Opening a later step while an
+ *   earlier one is incomplete redirects to the first incomplete step.
+ * - Step definitions and validation live in checkout/checkoutSteps.js; each
+ *   step's fields are rendered by a component in checkout/.
+ * - Non-sensitive fields (contact, address, delivery method) are saved as a
+ *   draft in localStorage so a refresh doesn't wipe them, one per account
+ *   ("checkout:draft:user-<id>", "checkout:draft:local" when signed out) so
+ *   nobody else's details end up in a checkout. Card details stay in memory
+ *   only.
+ * - Returning customers: the address book and saved cards of the signed-in
+ *   user (or this browser) come from useCustomerProfile. A new checkout is
+ *   prefilled with the saved contact and default address; "Save this address"
+ *   saves on leaving the shipping step, "Remember this card" saves the brand
+ *   and last 4 digits once the order is paid.
+ * - Signed-in users: fields still empty after that are filled from their
+ *   account profile (/users/:id, see profile/account.js).
+ * - Completed orders are saved to the order history (orders/orderHistory.js)
+ *   and can be viewed at /orders/:id; the success screen links to the
+ *   printable receipt (/orders/:id/receipt).
+ * - Cart items are validated and normalized on load (see context/cartStorage.js),
+ *   so every item has a numeric `qty` and `price`.
  * - Uses `useCart` for cart state/actions; wrap the app with CartProvider so this hook works.
+ * - Prices are revalidated on load; payment stays disabled until the user has
+ *   acknowledged any price changes and removed unavailable items.
+ * - Discount codes can be entered in the summary. Shipping (by delivery method)
+ *   and tax (by country/state) are computed by the pricing modules through
+ *   useOrderTotals; the amount charged is the summary's total.
  */
 
 import React from "react";
-import { useState, useMemo } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { useState, useMemo, useEffect, useRef } from "react";
+import { Link, Navigate, useNavigate, useParams } from "react-router-dom";
+import { toast } from "react-toastify";
 import Container from "react-bootstrap/Container";
 import Row from "react-bootstrap/Row";
 import Col from "react-bootstrap/Col";
@@ -28,14 +62,121 @@ import Form from "react-bootstrap/Form";
 import Button from "react-bootstrap/Button";
 import Alert from "react-bootstrap/Alert";
 import Spinner from "react-bootstrap/Spinner";
-import { useCart } from "../hooks";
+import {
+  useAccount,
+  useAuth,
+  useCart,
+  useCartRevalidation,
+  useCustomerProfile,
+  useLocalStorage,
+  useOrders,
+  useOrderTotals,
+} from "../hooks";
+import {
+  cancelSubmission,
+  clearSubmission,
+  confirmChallenge,
+  getSubmission,
+  isSubmissionPending,
+  recoverSubmission,
+  submitOrder,
+  subscribeSubmission,
+} from "../orders/orderSubmission";
+import { getShippingMethods, calculateShipping } from "../pricing/shipping";
+import { changeCountry, normalizeAddress } from "../addresses/address";
+import { fillFromAccount } from "../profile/account";
+import {
+  fillFromProfile,
+  findAddress,
+  pickAddress,
+} from "../profile/customerProfile";
+import CartChangesNotice from "./CartChangesNotice";
+import OrderTotals from "./OrderTotals";
+import PromoCodeForm from "./PromoCodeForm";
+import { PaymentError } from "../payments/payments";
+import { CARD_BRANDS } from "../payments/cardValidation";
+import CheckoutProgress from "./checkout/CheckoutProgress";
+import ContactStep from "./checkout/ContactStep";
+import ShippingStep from "./checkout/ShippingStep";
+import DeliveryStep from "./checkout/DeliveryStep";
+import PaymentStep from "./checkout/PaymentStep";
+import ReviewStep from "./checkout/ReviewStep";
+import ThreeDSChallengeModal from "./checkout/ThreeDSChallengeModal";
+import {
+  CHECKOUT_STEPS,
+  DRAFT_FIELDS,
+  EMPTY_DRAFT,
+  EMPTY_PAYMENT,
+  firstIncompleteStep,
+  getStepIndex,
+  validateStep,
+} from "./checkout/checkoutSteps";
+
+// localStorage key for the non-sensitive checkout draft of a user (or guest)
+const DRAFT_STORAGE_PREFIX = "checkout:draft";
+const draftStorageKey = (user) =>
+  user
+    ? `${DRAFT_STORAGE_PREFIX}:user-${user.id}`
+    : `${DRAFT_STORAGE_PREFIX}:local`;
+
+// Hints shown under a payment failure, by PaymentError code
+const PAYMENT_ERROR_HINTS = {
+  DECLINED: "Try a different card or contact your bank.",
+  INSUFFICIENT_FUNDS: "Try a different card.",
+  AUTHENTICATION_FAILED: "Check the code from your bank and try again.",
+  PROCESSING_ERROR: "Nothing was charged. Please try again.",
+};
+
+// Status shown while a refreshed tab recovers an order, by submission status
+const RECOVERY_MESSAGES = {
+  authorizing: "Checking the payment status with your bank…",
+  requires_action: "Waiting for your bank to confirm the payment…",
+  capturing: "Confirming your payment…",
+  completed: "Payment received. Saving your order…",
+};
+
+// Keep only known draft fields (drops stale keys and anything sensitive).
+// Countries/regions saved as names by older drafts become codes.
+const pickDraft = (value) => {
+  const draft = { ...EMPTY_DRAFT };
+  DRAFT_FIELDS.forEach((k) => {
+    if (typeof value?.[k] === "string") draft[k] = value[k];
+  });
+  return normalizeAddress(draft);
+};
 
 export default function Checkout() {
   // Navigation helper (used after successful order or when routing)
   const navigate = useNavigate();
 
-  // Cart context: items array and totals (cartTotal, cartCount) plus clearCart action
-  const { items, cartTotal, cartCount, clearCart } = useCart();
+  // Cart context: items array, cartCount and clearCart action
+  const { items, cartCount, clearCart, priceChanges, appliedPromotions } =
+    useCart();
+
+  // Completed orders are saved to the order history (/orders)
+  const { saveOrder } = useOrders();
+
+  // Address book and saved cards of the signed-in user (or this browser)
+  const {
+    profile,
+    saveAddress,
+    deleteAddress,
+    makeDefaultAddress,
+    saveCard,
+    deleteCard,
+  } = useCustomerProfile();
+
+  // Signed-in user (the draft is kept per user) and their account profile
+  // (null when signed out)
+  const { user } = useAuth();
+  const { account } = useAccount();
+
+  // Refresh cart snapshots against current product data before paying
+  const { checking, error: revalidateError } = useCartRevalidation();
+
+  // Payment is blocked while there are unacknowledged changes or unavailable items
+  const hasUnavailable = (items || []).some((it) => it.unavailable);
+  const paymentBlocked = checking || priceChanges.length > 0 || hasUnavailable;
 
   // Currency formatter used throughout the component
   const currency = useMemo(
@@ -44,131 +185,277 @@ export default function Checkout() {
     []
   );
 
-  // processing: true while simulating the payment API call
+  // Current step from the URL (/checkout/:step)
+  const { step: stepParam } = useParams();
+  const stepIndex = getStepIndex(stepParam);
+  const step = CHECKOUT_STEPS[stepIndex];
+
+  // processing: true while the payment provider is working
   const [processing, setProcessing] = useState(false);
-  // success: holds an order id string after a successful simulated order
+  // success: { orderId, payment } after a captured payment
   const [success, setSuccess] = useState(null);
-  // errors: keyed object of form validation errors, e.g. { email: "Invalid" }
-  const [errors, setErrors] = useState({});
-
-  // form: controlled form state for contact, shipping and payment fields
-  // Group fields logically: contact, shipping, payment (helps when adding validation)
-  const [form, setForm] = useState({
-    // Contact
-    firstName: "",
-    lastName: "",
-    email: "",
-    phone: "",
-    // Shipping
-    address1: "",
-    address2: "",
-    city: "",
-    state: "",
-    zip: "",
-    country: "United States",
-    // Payment (mock)
-    cardName: "",
-    cardNumber: "",
-    exp: "",
-    cvc: "",
+  // paymentError: last PaymentError (declines etc.), shown on the Review step
+  const [paymentError, setPaymentError] = useState(null);
+  // challenge: the payment waiting for a 3-D Secure challenge
+  const [challenge, setChallenge] = useState(null);
+  // submission: the order attempt in progress in this tab (sessionStorage)
+  const [submission, setSubmission] = useState(getSubmission);
+  useEffect(() => subscribeSubmission(setSubmission), []);
+  // recovering: true while a pending attempt from before a refresh is resumed
+  const [recovering, setRecovering] = useState(() => {
+    const pending = getSubmission();
+    return isSubmissionPending(pending) || pending?.status === "completed";
   });
+  // errors for the step they were found on, e.g. { step: "contact", errors: { email: "Invalid" } }
+  const [errorState, setErrorState] = useState({ step: null, errors: {} });
+  const errors = errorState.step === stepParam ? errorState.errors : {};
+
+  // Non-sensitive fields persist as a draft; payment fields live in memory only.
+  const draftKey = draftStorageKey(user);
+  const [storedDraft, setDraft] = useLocalStorage(draftKey, EMPTY_DRAFT);
+  const [payment, setPayment] = useState(EMPTY_PAYMENT);
+  // "Save this address" / "Remember this card" options (not persisted)
+  const [saveOptions, setSaveOptions] = useState({
+    address: false,
+    card: false,
+  });
+  const form = useMemo(
+    () => ({ ...pickDraft(storedDraft), ...payment }),
+    [storedDraft, payment]
+  );
+
+  // Summary breakdown for the selected delivery method and destination
+  const totals = useOrderTotals({
+    shippingMethod: form.shippingMethod,
+    country: form.country,
+    region: form.state,
+  });
+
+  // Delivery options with their price for this order (after discounts)
+  const shippingOptions = useMemo(
+    () =>
+      getShippingMethods().map((m) => ({
+        ...m,
+        amount: calculateShipping(
+          items,
+          m.id,
+          totals.subtotal - totals.discountTotal
+        ).amount,
+      })),
+    [items, totals.subtotal, totals.discountTotal]
+  );
+
+  // Furthest step the user may open: the first incomplete one (or Review)
+  const lastIndex = CHECKOUT_STEPS.length - 1;
+  const incomplete = firstIncompleteStep(form, lastIndex);
+  const reachable = incomplete ? getStepIndex(incomplete) : lastIndex;
 
   // Generic controlled input handler - updates matching form key by name
+  // and clears that field's error.
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setForm((f) => ({ ...f, [name]: value }));
+    if (name in EMPTY_PAYMENT) {
+      setPayment((p) => ({ ...p, [name]: value }));
+      setPaymentError(null);
+    } else if (name === "country") {
+      // A new country has its own regions and postal format
+      setDraft((d) => pickDraft(changeCountry(d, value)));
+    } else {
+      setDraft((d) => pickDraft({ ...d, [name]: value }));
+    }
+    if (errors[name]) {
+      const { [name]: _removed, ...rest } = errors;
+      setErrorState({ step: stepParam, errors: rest });
+    }
+  };
+
+  // Fill the address fields from a saved address, or clear them (null).
+  const applySavedAddress = (address) => {
+    const fields = address ?? {
+      address1: "",
+      address2: "",
+      city: "",
+      state: "",
+      zip: "",
+      country: form.country,
+    };
+    setDraft((d) => pickDraft({ ...d, ...pickAddress(fields) }));
+    setErrorState({ step: null, errors: {} });
+  };
+
+  const goToStep = (index) => navigate(`/checkout/${CHECKOUT_STEPS[index].id}`);
+
+  // Show a payment failure; anything that isn't a PaymentError is unexpected.
+  const handlePaymentError = (err) => {
+    if (err instanceof PaymentError) {
+      setPaymentError(err);
+    } else {
+      console.error("Payment failed:", err);
+      setPaymentError(
+        new PaymentError("Something went wrong while processing the payment.")
+      );
+    }
   };
 
   /**
-   * validate()
-   * - Runs a set of lightweight checks and returns an errors object.
-   * - Each key maps to a field name and a short message (string).
-   * - Caller should setErrors(result) and prevent submission when there are entries.
-   *
-   * Notes:
-   * - This is client-side validation only. Server-side validation is still required
-   *   in a real payment flow.
+   * finishOrder(order, snapshot)
+   * - Saves a completed order to the order history (and the card's brand and
+   *   last 4 digits when the snapshot asks to remember it), clears the cart,
+   *   draft and card details and shows the success screen. Safe to call twice
+   *   for the same order (duplicate submits, recovery after a refresh).
    */
-  const validate = () => {
-    const e = {};
-    // Required field set (contact + shipping + payment essentials)
-    const req = [
-      "firstName",
-      "lastName",
-      "email",
-      "address1",
-      "city",
-      "state",
-      "zip",
-      "country",
-      "cardName",
-      "cardNumber",
-      "exp",
-      "cvc",
-    ];
-    req.forEach((k) => {
-      if (!String(form[k]).trim()) e[k] = "Required";
-    });
-
-    // Basic email format check
-    if (form.email && !/^\S+@\S+\.\S+$/.test(form.email))
-      e.email = "Invalid email";
-
-    // Utility: strip non-digits for numeric card/CVC checks
-    const digitsOnly = (s) => (s || "").replace(/\D/g, "");
-
-    // Card number length sanity check (loose)
-    const card = digitsOnly(form.cardNumber);
-    if (card && (card.length < 12 || card.length > 19))
-      e.cardNumber = "Card number looks wrong";
-
-    // Expiry format MM/YY
-    if (form.exp && !/^(0?[1-9]|1[0-2])\/\d{2}$/.test(form.exp))
-      e.exp = "Use MM/YY";
-
-    // CVC digits length 3-4
-    const cvc = digitsOnly(form.cvc);
-    if (cvc && (cvc.length < 3 || cvc.length > 4)) e.cvc = "3–4 digits";
-
-    return e;
+  const finishOrder = (order, snapshot) => {
+    saveOrder(order);
+    if (snapshot?.rememberCard) saveCard(order.payment);
+    setSuccess({ orderId: order.id, payment: order.payment });
+    clearCart();
+    setDraft(EMPTY_DRAFT);
+    setPayment(EMPTY_PAYMENT);
+    clearSubmission();
+  };
+
+  // Result of the submission pipeline: open 3-D Secure or finish the order.
+  const handleResult = (result) => {
+    if (!result) return;
+    if (result.status === "requires_action") {
+      setChallenge(result.payment);
+      return;
+    }
+    setChallenge(null);
+    finishOrder(result.order, result.submission.snapshot);
   };
 
+  // Tab refreshed mid-payment: show the pending order's status and continue
+  // from the payment provider's record instead of charging again.
+  useEffect(() => {
+    if (!recovering) return undefined;
+    let active = true;
+    recoverSubmission()
+      .then((result) => active && handleResult(result))
+      .catch((err) => active && handlePaymentError(err))
+      .finally(() => active && setRecovering(false));
+    return () => {
+      active = false;
+    };
+    // Runs once on mount; the handlers only use state setters.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // New checkout: prefill empty contact/address fields from the saved profile
+  useEffect(() => {
+    setDraft((d) => pickDraft(fillFromProfile(pickDraft(d), profile)));
+    // Runs on mount and when another user's draft is loaded; later edits must
+    // not be overwritten.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [draftKey]);
+
+  // Then whatever is still empty from the account profile, once it loads
+  const accountPrefilled = useRef(null);
+  useEffect(() => {
+    if (!account || accountPrefilled.current === account.id) return;
+    accountPrefilled.current = account.id;
+    setDraft((d) => pickDraft(fillFromAccount(pickDraft(d), account)));
+    // Once per account; setDraft's identity changes every render.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [account]);
+
   /**
-   * placeOrder(e)
-   * - Handles form submission: validate, show errors if any, simulate API call,
-   *   create a mock order id, clear cart and show success screen.
-   *
-   * Notes:
-   * - In production you would integrate with a payment provider and backend order API.
-   * - This function intentionally delays briefly to simulate network latency.
+   * placeOrder()
+   * - Re-validates every step, then hands a snapshot of the cart, totals and
+   *   address to the submission pipeline (orders/orderSubmission.js), which
+   *   authorizes the total with an idempotency key and captures it. A 3-D
+   *   Secure challenge opens the challenge modal.
+   * - A second submit while the first is running joins the same attempt.
+   * - Declines and other failures are shown on the Review step.
    */
-  const placeOrder = async (e) => {
-    e.preventDefault();
+  const placeOrder = async () => {
+    // Never charge before the user has seen current prices
+    if (paymentBlocked) return;
+
+    // Every step must still be valid (e.g. the draft changed in another tab)
+    const invalid = firstIncompleteStep(form, lastIndex);
+    if (invalid) {
+      setErrorState({ step: invalid, errors: validateStep(invalid, form) });
+      navigate(`/checkout/${invalid}`);
+      return;
+    }
 
-    // Validate and show inline errors
-    const v = validate();
-    setErrors(v);
-    if (Object.keys(v).length) return;
+    setPaymentError(null);
+    setProcessing(true);
+    try {
+      const result = await submitOrder({
+        snapshot: {
+          items,
+          form: pickDraft(form),
+          totals,
+          promotions: appliedPromotions,
+          rememberCard: saveOptions.card || !!form.savedCard,
+        },
+        card: {
+          name: form.cardName,
+          number: form.cardNumber,
+          exp: form.exp,
+          cvc: form.cvc,
+        },
+      });
+      handleResult(result);
+    } catch (err) {
+      handlePaymentError(err);
+    } finally {
+      setProcessing(false);
+    }
+  };
 
+  // 3-D Secure: verify the code, then capture as usual.
+  const submitChallenge = async (code) => {
     setProcessing(true);
     try {
-      // Simulate network/API latency
-      await new Promise((r) => setTimeout(r, 900));
-
-      // Create a short random order id for demonstration
-      const orderId = `FS-${Math.random()
-        .toString(36)
-        .slice(2, 10)
-        .toUpperCase()}`;
-      setSuccess(orderId);
-
-      // Clear the cart after successful order
-      clearCart();
+      handleResult(await confirmChallenge(code));
+    } catch (err) {
+      setChallenge(null);
+      handlePaymentError(err);
     } finally {
       setProcessing(false);
     }
   };
 
+  // 3-D Secure abandoned: release the pending payment.
+  const cancelChallenge = async () => {
+    setChallenge(null);
+    await cancelSubmission();
+    setPaymentError(
+      new PaymentError("Payment canceled. You haven’t been charged.", {
+        code: "CANCELED",
+      })
+    );
+  };
+
+  /**
+   * handleSubmit(e)
+   * - Continue: validate the current step and move to the next one.
+   * - On the Review step: place the order.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (step.id === "review") {
+      placeOrder();
+      return;
+    }
+    const v = validateStep(step.id, form);
+    setErrorState({ step: step.id, errors: v });
+    if (Object.keys(v).length) return;
+    if (
+      step.id === "shipping" &&
+      saveOptions.address &&
+      !findAddress(profile, form)
+    ) {
+      saveAddress(form, { contact: form });
+      setSaveOptions((o) => ({ ...o, address: false }));
+      toast.success("Address saved to your address book");
+    }
+    goToStep(stepIndex + 1);
+  };
+
   /* -------------------------
      UI: success screen
      ------------------------- */
@@ -183,16 +470,37 @@ export default function Checkout() {
             {/* Order id box */}
             <div className="border rounded p-3 d-inline-block mb-3">
               <div className="fw-semibold">Order ID</div>
-              <div className="fs-5">{success}</div>
+              <div className="fs-5">{success.orderId}</div>
             </div>
 
+            <p className="text-muted small">
+              Paid {currency.format(success.payment.amount)} with{" "}
+              {CARD_BRANDS[success.payment.brand]?.label ?? "card"} ending in{" "}
+              {success.payment.last4}.
+            </p>
+
             <p className="mb-4">
-              A confirmation email will be sent to{" "}
-              <strong>{form.email || "your inbox"}</strong>.
+              Your receipt is ready to print or download as PDF or JSON.
             </p>
 
-            {/* Action buttons: continue shopping or go home */}
-            <div className="d-flex gap-2 justify-content-center">
+            {/* Action buttons: receipt, view the order, continue shopping or go home */}
+            <div className="d-flex gap-2 justify-content-center flex-wrap">
+              <Button
+                as={Link}
+                to={`/orders/${success.orderId}/receipt`}
+                variant="outline-primary"
+                style={{ borderColor: "#003366", color: "#003366" }}
+              >
+                View receipt
+              </Button>
+              <Button
+                as={Link}
+                to={`/orders/${success.orderId}`}
+                variant="outline-primary"
+                style={{ borderColor: "#003366", color: "#003366" }}
+              >
+                View order
+              </Button>
               <Button
                 as={Link}
                 to="/products"
@@ -225,6 +533,27 @@ export default function Checkout() {
     );
   }
 
+  /* -------------------------
+     Recovering an order after a refresh -> show its status, never charge again
+     ------------------------- */
+  if (recovering && submission) {
+    return (
+      <Container className="py-4">
+        <Card className="shadow-sm mx-auto" style={{ maxWidth: 860 }}>
+          <Card.Body className="text-center py-5" aria-live="polite">
+            <Spinner animation="border" className="mb-3" />
+            <div className="fs-5 fw-semibold">
+              Finishing order {submission.orderId}
+            </div>
+            <p className="text-muted mb-0">
+              {RECOVERY_MESSAGES[submission.status]} Please don’t pay again.
+            </p>
+          </Card.Body>
+        </Card>
+      </Container>
+    );
+  }
+
   /* -------------------------
      If cart is empty -> prompt user to add items
      ------------------------- */
@@ -250,256 +579,138 @@ export default function Checkout() {
   }
 
   /* -------------------------
-     Main checkout form + order summary
+     Unknown step -> start at the first step; skipped steps -> first incomplete one
+     ------------------------- */
+  if (!step)
+    return <Navigate to={`/checkout/${CHECKOUT_STEPS[0].id}`} replace />;
+  if (stepIndex > reachable)
+    return <Navigate to={`/checkout/${incomplete}`} replace />;
+
+  // Fields for the current step
+  const stepProps = { form, errors, onChange: handleChange };
+  const stepContent = {
+    contact: <ContactStep {...stepProps} />,
+    shipping: (
+      <ShippingStep
+        {...stepProps}
+        addressBook={{
+          addresses: profile.addresses,
+          defaultAddressId: profile.defaultAddressId,
+          onUse: applySavedAddress,
+          onMakeDefault: makeDefaultAddress,
+          onRemove: deleteAddress,
+        }}
+        saveAddress={saveOptions.address}
+        onSaveAddressChange={(address) =>
+          setSaveOptions((o) => ({ ...o, address }))
+        }
+      />
+    ),
+    delivery: <DeliveryStep {...stepProps} options={shippingOptions} />,
+    payment: (
+      <PaymentStep
+        {...stepProps}
+        savedCards={profile.cards}
+        onRemoveCard={deleteCard}
+        saveCard={saveOptions.card}
+        onSaveCardChange={(card) => setSaveOptions((o) => ({ ...o, card }))}
+      />
+    ),
+    review: <ReviewStep form={form} shipping={totals.shipping} />,
+  }[step.id];
+  const isReview = step.id === "review";
+  // An attempt is already running (also covers a second submit before re-render)
+  const submitting = processing || isSubmissionPending(submission);
+
+  /* -------------------------
+     Main checkout wizard + order summary
      ------------------------- */
   return (
     <Container className="py-4">
+      {/* Price/availability changes found by revalidation */}
+      <CartChangesNotice checking={checking} error={revalidateError} />
+      {hasUnavailable && (
+        <Alert variant="danger">
+          Some items are no longer available. Remove them from your{" "}
+          <Link to="/cart">cart</Link> to continue.
+        </Alert>
+      )}
+
       <Row className="g-4">
-        {/* Left: form (contact, shipping, payment) */}
+        {/* Left: step indicator + current step */}
         <Col lg={8}>
-          <Form onSubmit={placeOrder} noValidate>
-            {/* Contact section */}
+          <CheckoutProgress current={step.id} reachable={reachable} />
+
+          {/* Payment failure from the provider (declines, 3-D Secure, errors) */}
+          {(isReview || step.id === "payment") && paymentError && (
+            <Alert variant="danger" aria-live="assertive">
+              <div className="fw-semibold">{paymentError.message}</div>
+              {PAYMENT_ERROR_HINTS[paymentError.code] && (
+                <div className="small">
+                  {PAYMENT_ERROR_HINTS[paymentError.code]}
+                </div>
+              )}
+              {isReview && !paymentError.retryable && (
+                <Button
+                  size="sm"
+                  variant="outline-dark"
+                  className="mt-2"
+                  onClick={() => goToStep(getStepIndex("payment"))}
+                >
+                  Use a different card
+                </Button>
+              )}
+            </Alert>
+          )}
+
+          <Form onSubmit={handleSubmit} noValidate>
             <Card className="shadow-sm mb-4">
               <Card.Body>
-                <Card.Title className="mb-3">Contact</Card.Title>
-                <Row className="g-3">
-                  {/* First / Last name */}
-                  <Col md={6}>
-                    <Form.Label>First name</Form.Label>
-                    <Form.Control
-                      name="firstName"
-                      value={form.firstName}
-                      onChange={handleChange}
-                      isInvalid={!!errors.firstName}
-                      autoComplete="given-name"
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.firstName}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  <Col md={6}>
-                    <Form.Label>Last name</Form.Label>
-                    <Form.Control
-                      name="lastName"
-                      value={form.lastName}
-                      onChange={handleChange}
-                      isInvalid={!!errors.lastName}
-                      autoComplete="family-name"
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.lastName}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  {/* Email and optional phone */}
-                  <Col md={7}>
-                    <Form.Label>Email</Form.Label>
-                    <Form.Control
-                      type="email"
-                      name="email"
-                      value={form.email}
-                      onChange={handleChange}
-                      isInvalid={!!errors.email}
-                      autoComplete="email"
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.email}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  <Col md={5}>
-                    <Form.Label>Phone (optional)</Form.Label>
-                    <Form.Control
-                      name="phone"
-                      value={form.phone}
-                      onChange={handleChange}
-                      autoComplete="tel"
-                    />
-                  </Col>
-                </Row>
+                <Card.Title className="mb-3">{step.label}</Card.Title>
+                {stepContent}
               </Card.Body>
             </Card>
 
-            {/* Shipping section */}
-            <Card className="shadow-sm mb-4">
-              <Card.Body>
-                <Card.Title className="mb-3">Shipping address</Card.Title>
-                <Row className="g-3">
-                  <Col xs={12}>
-                    <Form.Label>Address line 1</Form.Label>
-                    <Form.Control
-                      name="address1"
-                      value={form.address1}
-                      onChange={handleChange}
-                      isInvalid={!!errors.address1}
-                      autoComplete="address-line1"
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.address1}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  <Col xs={12}>
-                    <Form.Label>Address line 2 (optional)</Form.Label>
-                    <Form.Control
-                      name="address2"
-                      value={form.address2}
-                      onChange={handleChange}
-                      autoComplete="address-line2"
-                    />
-                  </Col>
-
-                  <Col md={6}>
-                    <Form.Label>City</Form.Label>
-                    <Form.Control
-                      name="city"
-                      value={form.city}
-                      onChange={handleChange}
-                      isInvalid={!!errors.city}
-                      autoComplete="address-level2"
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.city}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  <Col md={3}>
-                    <Form.Label>State/Province</Form.Label>
-                    <Form.Control
-                      name="state"
-                      value={form.state}
-                      onChange={handleChange}
-                      isInvalid={!!errors.state}
-                      autoComplete="address-level1"
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.state}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  <Col md={3}>
-                    <Form.Label>ZIP/Postal</Form.Label>
-                    <Form.Control
-                      name="zip"
-                      value={form.zip}
-                      onChange={handleChange}
-                      isInvalid={!!errors.zip}
-                      autoComplete="postal-code"
-                      inputMode="numeric"
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.zip}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  <Col md={6}>
-                    <Form.Label>Country</Form.Label>
-                    <Form.Control
-                      name="country"
-                      value={form.country}
-                      onChange={handleChange}
-                      isInvalid={!!errors.country}
-                      autoComplete="country-name"
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.country}
-                    </Form.Control.Feedback>
-                  </Col>
-                </Row>
-              </Card.Body>
-            </Card>
+            {/* Back / Continue (or Pay on the Review step) */}
+            <div className="d-flex justify-content-between gap-2">
+              {stepIndex > 0 ? (
+                <Button
+                  variant="outline-secondary"
+                  onClick={() => goToStep(stepIndex - 1)}
+                  disabled={submitting}
+                >
+                  Back
+                </Button>
+              ) : (
+                <Button as={Link} to="/cart" variant="outline-secondary">
+                  Back to cart
+                </Button>
+              )}
 
-            {/* Payment section (mock) */}
-            <Card className="shadow-sm mb-4">
-              <Card.Body>
-                <Card.Title className="mb-3">Payment</Card.Title>
-                <Row className="g-3">
-                  <Col md={6}>
-                    <Form.Label>Name on card</Form.Label>
-                    <Form.Control
-                      name="cardName"
-                      value={form.cardName}
-                      onChange={handleChange}
-                      isInvalid={!!errors.cardName}
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.cardName}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  <Col md={6}>
-                    <Form.Label>Card number</Form.Label>
-                    <Form.Control
-                      name="cardNumber"
-                      value={form.cardNumber}
-                      onChange={handleChange}
-                      isInvalid={!!errors.cardNumber}
-                      inputMode="numeric"
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.cardNumber}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  <Col md={4}>
-                    <Form.Label>Expiry (MM/YY)</Form.Label>
-                    <Form.Control
-                      name="exp"
-                      value={form.exp}
-                      onChange={handleChange}
-                      isInvalid={!!errors.exp}
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.exp}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  <Col md={4}>
-                    <Form.Label>CVC</Form.Label>
-                    <Form.Control
-                      name="cvc"
-                      value={form.cvc}
-                      onChange={handleChange}
-                      isInvalid={!!errors.cvc}
-                      inputMode="numeric"
-                    />
-                    <Form.Control.Feedback type="invalid">
-                      {errors.cvc}
-                    </Form.Control.Feedback>
-                  </Col>
-
-                  {/* Pay button: shows processing spinner when submitting */}
-                  <Col md={4} className="d-flex align-items-end">
-                    <Button
-                      type="submit"
-                      variant="primary"
-                      className="w-100"
-                      disabled={processing}
-                      style={{
-                        backgroundColor: "#003366",
-                        borderColor: "#003366",
-                      }}
-                    >
-                      {processing ? (
-                        <>
-                          <Spinner
-                            as="span"
-                            animation="border"
-                            size="sm"
-                            role="status"
-                            aria-hidden="true"
-                          />{" "}
-                          Processing
-                        </>
-                      ) : (
-                        `Pay ${currency.format(cartTotal)}`
-                      )}
-                    </Button>
-                  </Col>
-                </Row>
-              </Card.Body>
-            </Card>
+              <Button
+                type="submit"
+                variant="primary"
+                disabled={submitting || (isReview && paymentBlocked)}
+                style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+              >
+                {submitting ? (
+                  <>
+                    <Spinner
+                      as="span"
+                      animation="border"
+                      size="sm"
+                      role="status"
+                      aria-hidden="true"
+                    />{" "}
+                    Processing
+                  </>
+                ) : isReview ? (
+                  `Pay ${currency.format(totals.total)}`
+                ) : (
+                  `Continue to ${CHECKOUT_STEPS[stepIndex + 1].label.toLowerCase()}`
+                )}
+              </Button>
+            </div>
           </Form>
         </Col>
 
@@ -522,46 +733,40 @@ export default function Checkout() {
                       style={{ width: 64, height: 64, objectFit: "cover" }}
                     />
 
-                    {/* Defensive handling: some areas use `quantity`, others `qty` */}
                     <div className="flex-grow-1">
                       <div className="fw-semibold">{it.title}</div>
-                      <div className="text-muted small">
-                        Qty: {it.quantity || it.qty || 1}
-                      </div>
+                      <div className="text-muted small">Qty: {it.qty}</div>
                     </div>
 
                     <div className="fw-semibold">
-                      {currency.format(
-                        (it.price || 0) * (it.quantity || it.qty || 1)
-                      )}
+                      {currency.format(it.price * it.qty)}
                     </div>
                   </ListGroup.Item>
                 ))}
               </ListGroup>
 
-              {/* Item count / subtotal (calculate defensively in case cartCount missing) */}
-              <div className="d-flex justify-content-between fs-6 mb-2">
-                <span>Items ({cartCount || items.length})</span>
-                <span>
-                  {currency.format(
-                    items.reduce(
-                      (s, it) =>
-                        s + (it.price || 0) * (it.quantity || it.qty || 1),
-                      0
-                    )
-                  )}
-                </span>
-              </div>
-
-              {/* Total */}
-              <div className="d-flex justify-content-between fs-5">
-                <span>Total</span>
-                <span className="fw-bold">{currency.format(cartTotal)}</span>
-              </div>
+              {/* Discount code entry */}
+              <PromoCodeForm />
+
+              {/* Subtotal, discounts, shipping, tax and total */}
+              <OrderTotals
+                totals={totals}
+                itemCount={cartCount}
+                taxPendingNote="Enter your state to calculate"
+              />
             </Card.Body>
           </Card>
         </Col>
       </Row>
+
+      {/* 3-D Secure challenge requested by the card issuer */}
+      <ThreeDSChallengeModal
+        show={!!challenge}
+        message={challenge?.challenge?.message}
+        onSubmit={submitChallenge}
+        onCancel={cancelChallenge}
+        submitting={processing}
+      />
     </Container>
   );
 }
@@ -8,8 +8,8 @@
  *
  * Notes:
  * - This component is read-only until initial product data is loaded.
- * - FakeStoreAPI does not persist updates across server restarts/refreshes;
- *   success messages are informational for the demo only.
+ * - FakeStoreAPI does not persist updates; updateProduct records the edit in the
+ *   local overlay (see api/overlay.js) so it survives a refresh in this browser.
  * - Keep UX friendly for small screens: success/error alerts sit directly
  *   under the card header so they are visible without extra scrolling.
  */
@@ -84,13 +84,17 @@ export default function EditProduct() {
     setError("");
 
     try {
-      const res = await updateProduct(id, payload);
+      // Send price as a number so the persisted edit matches server data
+      const res = await updateProduct(id, {
+        ...payload,
+        price: Number(payload.price),
+      });
 
-      // Show a friendly success message (note about FakeStoreAPI persistence)
+      // Show a friendly success message (changes are kept locally in this browser)
       setSuccess(
         `Product updated! (ID: ${
           res?.data?.id || id
-        }). Note: FakeStoreAPI won’t persist after refresh.`
+        }). Changes are saved in this browser.`
       );
 
       // On small screens the alert may be offscreen — bring it into view
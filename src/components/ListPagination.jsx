@@ -0,0 +1,72 @@
+import React from "react";
+import Pagination from "react-bootstrap/Pagination";
+
+/**
+ * ListPagination
+ *
+ * Page links for client-side paginated lists.
+ *
+ * Props:
+ *  - page: number -> current page (1-based)
+ *  - pageCount: number -> total number of pages
+ *  - onChange: function(page) -> called with the page to show
+ *  - label: string -> accessible name for the nav landmark (optional)
+ *
+ * Notes:
+ *  - Renders nothing when everything fits on one page.
+ *  - Long page ranges are shortened to the first, last and the pages around
+ *    the current one, with ellipses in between.
+ */
+
+// Pages shown on either side of the current one
+const SIBLINGS = 1;
+
+// Page numbers to render, with null where an ellipsis goes
+function visiblePages(page, pageCount) {
+  const pages = [];
+  for (let p = 1; p <= pageCount; p++) {
+    const near = Math.abs(p - page) <= SIBLINGS;
+    if (p === 1 || p === pageCount || near) pages.push(p);
+    else if (pages[pages.length - 1] !== null) pages.push(null);
+  }
+  return pages;
+}
+
+export default function ListPagination({
+  page,
+  pageCount,
+  onChange,
+  label = "Pages",
+}) {
+  if (pageCount <= 1) return null;
+
+  return (
+    <nav aria-label={label}>
+      <Pagination className="justify-content-center mb-0">
+        <Pagination.Prev
+          disabled={page <= 1}
+          onClick={() => onChange(page - 1)}
+          aria-label="Previous page"
+        />
+        {visiblePages(page, pageCount).map((p, i) =>
+          p === null ? (
+            <Pagination.Ellipsis key={`gap-${i}`} disabled />
+          ) : (
+            <Pagination.Item
+              key={p}
+              active={p === page}
+              onClick={() => onChange(p)}
+            >
+              {p}
+            </Pagination.Item>
+          )
+        )}
+        <Pagination.Next
+          disabled={page >= pageCount}
+          onClick={() => onChange(page + 1)}
+          aria-label="Next page"
+        />
+      </Pagination>
+    </nav>
+  );
+}
@@ -1,27 +1,43 @@
 // NavigationBar.jsx
 // - Top-level navigation for the app.
-// - Shows links to Products, Add Product and Cart with a cart item count badge.
+// - Shows links to Products, Add Product (if the user may add products), Orders
+//   and Cart with a cart item count badge.
+// - Shows "Sign in", or the signed-in username (linking to /account) with a
+//   "Sign out" link.
 // - Uses react-bootstrap Navbar for responsive collapse behavior.
 // - Note: closeMenu is used to collapse the mobile menu after navigation.
 
 import { useState } from "react";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
 import Navbar from "react-bootstrap/Navbar";
 import Nav from "react-bootstrap/Nav";
 import Container from "react-bootstrap/Container";
 import Badge from "react-bootstrap/Badge";
-import { useCart } from "../hooks"; // import from centralized hooks index
+import { ROLES } from "../auth/permissions";
+import { useAuth, useCart } from "../hooks"; // import from centralized hooks index
 
 function NavigationBar() {
   // Read cartCount from cart context to display item count in the header badge
   const { cartCount } = useCart();
 
+  // Signed-in user for the account links
+  const { user, can, logout } = useAuth();
+  const navigate = useNavigate();
+
   // Control whether the Navbar is expanded (mobile)
   const [expanded, setExpanded] = useState(false);
 
   // Close the responsive menu (useful after clicking a link)
   const closeMenu = () => setExpanded(false);
 
+  const signOut = () => {
+    closeMenu();
+    logout();
+    toast.info("You’ve been signed out");
+    navigate("/");
+  };
+
   return (
     <Navbar
       bg="light" // background color for the navbar
@@ -48,14 +64,47 @@ function NavigationBar() {
               Products
             </Nav.Link>
 
-            {/* Link to add product page */}
-            <Nav.Link as={Link} to="/addproduct" onClick={closeMenu}>
-              Add Product
-            </Nav.Link>
+            {/* Link to add product page (editors and admins) */}
+            {can("products:create") && (
+              <Nav.Link as={Link} to="/addproduct" onClick={closeMenu}>
+                Add Product
+              </Nav.Link>
+            )}
+
+            {/* Link to user management (admins) */}
+            {can("users:manage") && (
+              <Nav.Link as={Link} to="/admin/users" onClick={closeMenu}>
+                Users
+              </Nav.Link>
+            )}
           </Nav>
 
-          {/* Right-aligned navigation: cart with badge */}
+          {/* Right-aligned navigation: account, order history and cart with badge */}
           <Nav>
+            {user ? (
+              <>
+                <Nav.Link as={Link} to="/account" onClick={closeMenu}>
+                  Signed in as <strong>{user.username}</strong>
+                  {user.role !== "customer" && (
+                    <Badge bg="secondary" className="ms-1">
+                      {ROLES[user.role].label}
+                    </Badge>
+                  )}
+                </Nav.Link>
+                <Nav.Link as="button" type="button" onClick={signOut}>
+                  Sign out
+                </Nav.Link>
+              </>
+            ) : (
+              <Nav.Link as={Link} to="/login" onClick={closeMenu}>
+                Sign in
+              </Nav.Link>
+            )}
+
+            <Nav.Link as={Link} to="/orders" onClick={closeMenu}>
+              Orders
+            </Nav.Link>
+
             <Nav.Link
               as={Link}
               to="/cart"
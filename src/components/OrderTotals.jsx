@@ -0,0 +1,98 @@
+import React, { useMemo } from "react";
+
+/**
+ * OrderTotals
+ *
+ * Price breakdown shown at the bottom of the CartPage and Checkout summaries.
+ *
+ * Props:
+ *  - totals: result of useOrderTotals() / calculateOrderTotals()
+ *  - itemCount: optional number shown next to the subtotal label
+ *  - taxPendingNote: text shown instead of the tax while it is pending
+ *
+ * Notes:
+ *  - The discount line only appears when a code takes something off.
+ *  - A pending tax (no destination yet) shows `taxPendingNote`
+ *    (default "Calculated at checkout"); a destination the tax table doesn't
+ *    cover (`tax.unsupported`) says so instead.
+ */
+export default function OrderTotals({
+  totals,
+  itemCount,
+  taxPendingNote = "Calculated at checkout",
+}) {
+  const { subtotal, discountTotal, shipping, tax, total } = totals;
+
+  // Currency formatter for all amounts
+  const currency = useMemo(
+    () =>
+      new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }),
+    []
+  );
+
+  // "7.25%" style label for the tax rate
+  const taxRate = `${Number((tax.rate * 100).toFixed(3))}%`;
+
+  return (
+    <div>
+      {/* Subtotal */}
+      <div className="d-flex justify-content-between mb-2">
+        <span>
+          Subtotal{typeof itemCount === "number" ? ` (${itemCount})` : ""}
+        </span>
+        <span className="fw-semibold">{currency.format(subtotal)}</span>
+      </div>
+
+      {/* Discounts */}
+      {discountTotal > 0 && (
+        <div className="d-flex justify-content-between mb-2 text-success">
+          <span>Discounts</span>
+          <span className="fw-semibold">−{currency.format(discountTotal)}</span>
+        </div>
+      )}
+
+      {/* Shipping */}
+      <div className="d-flex justify-content-between mb-1">
+        <span>
+          Shipping <span className="text-muted small">({shipping.label})</span>
+        </span>
+        <span className="fw-semibold">
+          {shipping.amount === 0 ? "Free" : currency.format(shipping.amount)}
+        </span>
+      </div>
+      {shipping.amountToFree > 0 && (
+        <div className="text-muted small mb-2">
+          Add {currency.format(shipping.amountToFree)} more for free{" "}
+          {shipping.label.toLowerCase()} shipping.
+        </div>
+      )}
+
+      {/* Tax */}
+      <div className="d-flex justify-content-between mb-3 mt-2">
+        <span>
+          {tax.label}
+          {!tax.pending && tax.rate > 0 && (
+            <span className="text-muted small"> ({taxRate})</span>
+          )}
+        </span>
+        <span className="fw-semibold">
+          {tax.pending ? (
+            <span className="text-muted small">
+              {tax.unsupported
+                ? "Not available for this address"
+                : taxPendingNote}
+            </span>
+          ) : (
+            currency.format(tax.amount)
+          )}
+        </span>
+      </div>
+
+      {/* Total */}
+      <div className="d-flex justify-content-between fs-5 border-top pt-2 mb-3">
+        <span>Total</span>
+        <span className="fw-bold">{currency.format(total)}</span>
+      </div>
+    </div>
+  );
+}
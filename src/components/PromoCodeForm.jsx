@@ -0,0 +1,124 @@
+import React, { useMemo, useState } from "react";
+import Form from "react-bootstrap/Form";
+import Button from "react-bootstrap/Button";
+import InputGroup from "react-bootstrap/InputGroup";
+import { useCart } from "../hooks";
+
+/**
+ * PromoCodeForm
+ *
+ * Discount code entry used in the CartPage and Checkout order summaries.
+ *
+ * Purpose:
+ * - Lets the user apply codes (validated by CartContext `applyPromoCode`).
+ * - Lists applied codes with their discount and a remove action.
+ * - Explains why a code that was entered doesn't currently apply
+ *   (e.g. minimum spend not reached, no qualifying items).
+ *
+ * Notes:
+ * - Discount math lives in pricing/promotions.js; this component only renders.
+ */
+export default function PromoCodeForm() {
+  const {
+    applyPromoCode,
+    removePromoCode,
+    appliedPromotions,
+    rejectedPromotions,
+  } = useCart();
+
+  const [code, setCode] = useState("");
+  const [error, setError] = useState(null);
+
+  // Currency formatter for discount amounts
+  const currency = useMemo(
+    () =>
+      new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }),
+    []
+  );
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    const result = applyPromoCode(code);
+    if (result.ok) {
+      setCode("");
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="mb-3">
+      <Form noValidate onSubmit={onSubmit}>
+        <Form.Label htmlFor="promo-code" className="small mb-1">
+          Discount code
+        </Form.Label>
+        <InputGroup size="sm" hasValidation>
+          <Form.Control
+            id="promo-code"
+            value={code}
+            onChange={(e) => {
+              setCode(e.target.value);
+              setError(null);
+            }}
+            placeholder="Enter code"
+            autoComplete="off"
+            isInvalid={!!error}
+          />
+          <Button type="submit" variant="outline-dark" disabled={!code.trim()}>
+            Apply
+          </Button>
+          <Form.Control.Feedback type="invalid">{error}</Form.Control.Feedback>
+        </InputGroup>
+      </Form>
+
+      {/* Applied codes with the amount each one takes off */}
+      {appliedPromotions.map((promo) => (
+        <div
+          key={promo.code}
+          className="d-flex justify-content-between align-items-center small mt-2"
+        >
+          <span>
+            <span className="fw-semibold">{promo.code}</span>{" "}
+            <span className="text-muted">{promo.description}</span>
+          </span>
+          <span className="d-flex align-items-center gap-2">
+            <span className="text-success">
+              −{currency.format(promo.amount)}
+            </span>
+            <Button
+              variant="link"
+              size="sm"
+              className="p-0"
+              onClick={() => removePromoCode(promo.code)}
+              aria-label={`Remove code ${promo.code}`}
+            >
+              Remove
+            </Button>
+          </span>
+        </div>
+      ))}
+
+      {/* Entered codes that don't apply to the current cart */}
+      {rejectedPromotions.map((promo) => (
+        <div
+          key={promo.code}
+          className="d-flex justify-content-between align-items-center small mt-2"
+        >
+          <span className="text-muted">
+            <span className="fw-semibold">{promo.code}</span> – {promo.reason}
+          </span>
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0"
+            onClick={() => removePromoCode(promo.code)}
+            aria-label={`Remove code ${promo.code}`}
+          >
+            Remove
+          </Button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React from "react";
+import { Link, Navigate, useLocation } from "react-router-dom";
+import Container from "react-bootstrap/Container";
+import Alert from "react-bootstrap/Alert";
+import { useAuth } from "../hooks";
+
+/**
+ * RequireAuth
+ *
+ * Route guard: renders its children only for signed-in users, optionally
+ * only for those with a permission (see auth/permissions.js).
+ *
+ * Usage (App.jsx):
+ *   <Route
+ *     path="/addproduct"
+ *     element={<RequireAuth permission="products:create"><AddProduct /></RequireAuth>}
+ *   />
+ *
+ * Notes:
+ *  - Signed-out users are sent to /login with the page they wanted in
+ *    `location.state.from`; the login page returns them there afterwards.
+ *  - Signed-in users without the permission get a "not allowed" message.
+ *  - This only hides UI. The server must still check the token for anything
+ *    that matters.
+ */
+export default function RequireAuth({ permission, children }) {
+  const { isAuthenticated, can } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated)
+    return <Navigate to="/login" replace state={{ from: location }} />;
+
+  if (permission && !can(permission))
+    return (
+      <Container className="py-4">
+        <Alert variant="warning">
+          <div className="fw-semibold">You don’t have access to this page.</div>
+          <div className="small">
+            Ask an administrator for access, or go back to the{" "}
+            <Link to="/products">products</Link>.
+          </div>
+        </Alert>
+      </Container>
+    );
+
+  return children;
+}
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import Form from "react-bootstrap/Form";
+import Button from "react-bootstrap/Button";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import { EMPTY_USER_FORM, validateUserForm } from "../profile/account";
+
+/**
+ * UserForm
+ *
+ * Reusable form component for editing a user record (name, contact details
+ * and address, as stored by FakeStoreAPI /users).
+ *
+ * Props:
+ *  - initialValues: form values (see userToForm in profile/account.js)
+ *  - onSubmit: function(formData) -> called with valid values on submit
+ *  - submitting: boolean -> disables the submit button while submitting
+ *  - submitLabel: string -> optional label for the submit button
+ *  - takenUsernames: string[] -> usernames other accounts already use
+ *
+ * Notes:
+ *  - Validation (required fields, email format, unique username) runs on submit; a field's
+ *    error clears as soon as it's edited.
+ *  - Same layout and button styling as ProductForm.
+ */
+export default function UserForm({
+  initialValues,
+  onSubmit,
+  submitting,
+  submitLabel = "Save",
+  takenUsernames,
+}) {
+  const [formData, setFormData] = useState({
+    ...EMPTY_USER_FORM,
+    ...initialValues,
+  });
+  const [errors, setErrors] = useState({});
+
+  // Generic change handler for controlled inputs (also clears the field's error)
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({ ...formData, [name]: value });
+    if (errors[name]) {
+      const { [name]: _removed, ...rest } = errors;
+      setErrors(rest);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const v = validateUserForm(formData, { takenUsernames });
+    setErrors(v);
+    if (Object.keys(v).length) return;
+    if (typeof onSubmit === "function") onSubmit(formData);
+  };
+
+  // Text input with its label and error message
+  const field = (name, label, props = {}) => (
+    <Form.Group controlId={`user-${name}`}>
+      <Form.Label>{label}</Form.Label>
+      <Form.Control
+        name={name}
+        value={formData[name]}
+        onChange={handleChange}
+        isInvalid={!!errors[name]}
+        {...props}
+      />
+      <Form.Control.Feedback type="invalid">
+        {errors[name]}
+      </Form.Control.Feedback>
+    </Form.Group>
+  );
+
+  return (
+    <Form onSubmit={handleSubmit} noValidate>
+      {/* Name */}
+      <Row className="g-3 mb-3">
+        <Col sm={6}>
+          {field("firstname", "First name", { autoComplete: "given-name" })}
+        </Col>
+        <Col sm={6}>
+          {field("lastname", "Last name", { autoComplete: "family-name" })}
+        </Col>
+      </Row>
+
+      {/* Account and contact details */}
+      <Row className="g-3 mb-3">
+        <Col sm={6}>
+          {field("username", "Username", { autoComplete: "username" })}
+        </Col>
+        <Col sm={6}>
+          {field("email", "Email", { type: "email", autoComplete: "email" })}
+        </Col>
+        <Col sm={6}>
+          {field("phone", "Phone (optional)", { autoComplete: "tel" })}
+        </Col>
+      </Row>
+
+      {/* Address */}
+      <Row className="g-3 mb-4">
+        <Col xs={4} sm={3}>
+          {field("number", "Number (optional)")}
+        </Col>
+        <Col xs={8} sm={9}>
+          {field("street", "Street (optional)", {
+            autoComplete: "address-line1",
+          })}
+        </Col>
+        <Col sm={8}>
+          {field("city", "City (optional)", { autoComplete: "address-level2" })}
+        </Col>
+        <Col sm={4}>
+          {field("zipcode", "ZIP code (optional)", {
+            autoComplete: "postal-code",
+          })}
+        </Col>
+      </Row>
+
+      {/* Submit button: dark-blue CTA, disabled while submitting */}
+      <Button
+        variant="primary"
+        type="submit"
+        disabled={submitting}
+        style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+        className="w-100"
+      >
+        {submitting ? "Saving..." : submitLabel}
+      </Button>
+    </Form>
+  );
+}
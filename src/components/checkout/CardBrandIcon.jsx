@@ -0,0 +1,78 @@
+import React from "react";
+import { CARD_BRANDS } from "../../payments/cardValidation";
+
+/**
+ * CardBrandIcon
+ *
+ * Small inline SVG badge for the detected card brand (no image assets needed).
+ *
+ * Props:
+ *  - brand: brand id from detectBrand() ("visa", "mastercard", "amex",
+ *    "discover") or null for a generic card outline
+ */
+
+// Badge colors per brand
+const BRAND_STYLES = {
+  visa: { bg: "#1a1f71", fg: "#ffffff", text: "VISA" },
+  amex: { bg: "#2e77bb", fg: "#ffffff", text: "AMEX" },
+  discover: { bg: "#ffffff", fg: "#e65c00", text: "DISC" },
+};
+
+export default function CardBrandIcon({ brand }) {
+  const label = brand ? CARD_BRANDS[brand]?.label : "Card";
+
+  return (
+    <svg
+      width="36"
+      height="24"
+      viewBox="0 0 36 24"
+      role="img"
+      aria-label={label}
+    >
+      <title>{label}</title>
+      {brand === "mastercard" ? (
+        <>
+          <rect width="36" height="24" rx="3" fill="#252525" />
+          <circle cx="14" cy="12" r="7" fill="#eb001b" />
+          <circle cx="22" cy="12" r="7" fill="#f79e1b" fillOpacity="0.9" />
+        </>
+      ) : BRAND_STYLES[brand] ? (
+        <>
+          <rect
+            width="35"
+            height="23"
+            x="0.5"
+            y="0.5"
+            rx="3"
+            fill={BRAND_STYLES[brand].bg}
+            stroke="#ced4da"
+          />
+          <text
+            x="18"
+            y="16"
+            textAnchor="middle"
+            fontSize="10"
+            fontWeight="700"
+            fontFamily="Arial, sans-serif"
+            fill={BRAND_STYLES[brand].fg}
+          >
+            {BRAND_STYLES[brand].text}
+          </text>
+        </>
+      ) : (
+        <>
+          <rect
+            width="35"
+            height="23"
+            x="0.5"
+            y="0.5"
+            rx="3"
+            fill="#f8f9fa"
+            stroke="#adb5bd"
+          />
+          <rect x="0.5" y="6" width="35" height="4" fill="#adb5bd" />
+        </>
+      )}
+    </svg>
+  );
+}
@@ -0,0 +1,45 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import Nav from "react-bootstrap/Nav";
+import { CHECKOUT_STEPS } from "./checkoutSteps";
+
+/**
+ * CheckoutProgress
+ *
+ * Step indicator for the checkout wizard.
+ *
+ * Props:
+ *  - current: id of the active step
+ *  - reachable: index of the furthest step the user may open
+ *    (every earlier step validates)
+ *
+ * Notes:
+ *  - Steps up to `reachable` are links; later steps are disabled.
+ */
+export default function CheckoutProgress({ current, reachable }) {
+  return (
+    <Nav
+      variant="pills"
+      className="mb-4 flex-nowrap overflow-auto small"
+      aria-label="Checkout steps"
+    >
+      {CHECKOUT_STEPS.map((step, index) => (
+        <Nav.Item key={step.id}>
+          <Nav.Link
+            as={Link}
+            to={`/checkout/${step.id}`}
+            active={step.id === current}
+            disabled={index > reachable}
+            aria-current={step.id === current ? "step" : undefined}
+            className="text-nowrap"
+            style={
+              step.id === current ? { backgroundColor: "#003366" } : undefined
+            }
+          >
+            {index + 1}. {step.label}
+          </Nav.Link>
+        </Nav.Item>
+      ))}
+    </Nav>
+  );
+}
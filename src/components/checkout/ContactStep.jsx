@@ -0,0 +1,75 @@
+import React from "react";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import Form from "react-bootstrap/Form";
+
+/**
+ * ContactStep
+ *
+ * Checkout step 1: name, email and optional phone.
+ *
+ * Props:
+ *  - form: current checkout values
+ *  - errors: { field: message } for this step
+ *  - onChange: input change handler (reads e.target.name/value)
+ */
+export default function ContactStep({ form, errors, onChange }) {
+  return (
+    <Row className="g-3">
+      {/* First / Last name */}
+      <Col md={6}>
+        <Form.Label>First name</Form.Label>
+        <Form.Control
+          name="firstName"
+          value={form.firstName}
+          onChange={onChange}
+          isInvalid={!!errors.firstName}
+          autoComplete="given-name"
+        />
+        <Form.Control.Feedback type="invalid">
+          {errors.firstName}
+        </Form.Control.Feedback>
+      </Col>
+
+      <Col md={6}>
+        <Form.Label>Last name</Form.Label>
+        <Form.Control
+          name="lastName"
+          value={form.lastName}
+          onChange={onChange}
+          isInvalid={!!errors.lastName}
+          autoComplete="family-name"
+        />
+        <Form.Control.Feedback type="invalid">
+          {errors.lastName}
+        </Form.Control.Feedback>
+      </Col>
+
+      {/* Email and optional phone */}
+      <Col md={7}>
+        <Form.Label>Email</Form.Label>
+        <Form.Control
+          type="email"
+          name="email"
+          value={form.email}
+          onChange={onChange}
+          isInvalid={!!errors.email}
+          autoComplete="email"
+        />
+        <Form.Control.Feedback type="invalid">
+          {errors.email}
+        </Form.Control.Feedback>
+      </Col>
+
+      <Col md={5}>
+        <Form.Label>Phone (optional)</Form.Label>
+        <Form.Control
+          name="phone"
+          value={form.phone}
+          onChange={onChange}
+          autoComplete="tel"
+        />
+      </Col>
+    </Row>
+  );
+}
@@ -0,0 +1,50 @@
+import React, { useMemo } from "react";
+import Form from "react-bootstrap/Form";
+
+/**
+ * DeliveryStep
+ *
+ * Checkout step 3: choose a shipping method.
+ *
+ * Props:
+ *  - form: current checkout values (uses form.shippingMethod)
+ *  - errors: { field: message } for this step
+ *  - onChange: input change handler (reads e.target.name/value)
+ *  - options: [{ id, label, eta, amount }] priced for the current order
+ */
+export default function DeliveryStep({ form, errors, onChange, options }) {
+  // Currency formatter for method prices
+  const currency = useMemo(
+    () =>
+      new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }),
+    []
+  );
+
+  return (
+    <div>
+      {options.map((option) => (
+        <Form.Check
+          key={option.id}
+          type="radio"
+          id={`shipping-${option.id}`}
+          name="shippingMethod"
+          value={option.id}
+          checked={form.shippingMethod === option.id}
+          onChange={onChange}
+          isInvalid={!!errors.shippingMethod}
+          className="mb-2"
+          label={
+            <>
+              <span className="fw-semibold">{option.label}</span> –{" "}
+              {option.amount === 0 ? "Free" : currency.format(option.amount)}{" "}
+              <span className="text-muted small">({option.eta})</span>
+            </>
+          }
+        />
+      ))}
+      {errors.shippingMethod && (
+        <div className="text-danger small">{errors.shippingMethod}</div>
+      )}
+    </div>
+  );
+}
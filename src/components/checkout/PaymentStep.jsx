@@ -0,0 +1,208 @@
+import React from "react";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import Form from "react-bootstrap/Form";
+import InputGroup from "react-bootstrap/InputGroup";
+import Button from "react-bootstrap/Button";
+import ListGroup from "react-bootstrap/ListGroup";
+import {
+  CARD_BRANDS,
+  detectBrand,
+  formatCardNumber,
+  formatCvc,
+  formatExpiry,
+} from "../../payments/cardValidation";
+import CardBrandIcon from "./CardBrandIcon";
+
+/**
+ * PaymentStep
+ *
+ * Checkout step 4: card details (mock - no real payment is processed).
+ *
+ * Props:
+ *  - form: current checkout values
+ *  - errors: { field: message } for this step
+ *  - onChange: input change handler (reads e.target.name/value)
+ *  - savedCards: saved cards ({ id, brand, last4 }) to pick from
+ *  - onRemoveCard(id): forget a saved card
+ *  - saveCard / onSaveCardChange(checked): "Remember this card" option for a
+ *    new card
+ *
+ * Notes:
+ *  - Card details are kept in memory only and never saved with the draft,
+ *    so they must be re-entered after a refresh.
+ *  - Inputs are masked as the user types (see payments/cardValidation.js):
+ *    the number is grouped for its brand, expiry gets its slash and the CVC
+ *    is capped at the brand's length. The detected brand is shown as an icon.
+ *  - Saved cards only hold the brand and last 4 digits, so picking one still
+ *    asks for the full number (which must match it).
+ */
+export default function PaymentStep({
+  form,
+  errors,
+  onChange,
+  savedCards,
+  onRemoveCard,
+  saveCard,
+  onSaveCardChange,
+}) {
+  const brand = detectBrand(form.cardNumber);
+  const cvcLength = brand ? CARD_BRANDS[brand].cvcLength : 4;
+  const savedCard = savedCards.find((c) => c.id === form.savedCard);
+  const cardLabel = (card) =>
+    `${CARD_BRANDS[card.brand].label} ending in ${card.last4}`;
+
+  // Format the raw input, then hand a regular change event to the form.
+  const handleMasked = (format) => (e) => {
+    const { name, value } = e.target;
+    onChange({ target: { name, value: format(value) } });
+  };
+
+  const selectCard = (id) =>
+    onChange({ target: { name: "savedCard", value: id } });
+
+  return (
+    <Row className="g-3">
+      {savedCards.length > 0 && (
+        <Col xs={12}>
+          <fieldset>
+            <legend className="fs-6 fw-semibold">Pay with</legend>
+            <ListGroup>
+              {savedCards.map((card) => (
+                <ListGroup.Item
+                  key={card.id}
+                  className="d-flex justify-content-between align-items-center"
+                >
+                  <Form.Check
+                    type="radio"
+                    name="savedCard"
+                    id={`saved-card-${card.id}`}
+                    checked={form.savedCard === card.id}
+                    onChange={() => selectCard(card.id)}
+                    label={
+                      <span className="d-inline-flex align-items-center gap-2">
+                        <CardBrandIcon brand={card.brand} />
+                        {cardLabel(card)}
+                      </span>
+                    }
+                  />
+                  <Button
+                    size="sm"
+                    variant="link"
+                    className="text-danger"
+                    onClick={() => {
+                      if (form.savedCard === card.id) selectCard("");
+                      onRemoveCard(card.id);
+                    }}
+                    aria-label={`Remove ${cardLabel(card)}`}
+                  >
+                    Remove
+                  </Button>
+                </ListGroup.Item>
+              ))}
+              <ListGroup.Item>
+                <Form.Check
+                  type="radio"
+                  name="savedCard"
+                  id="saved-card-new"
+                  checked={!savedCard}
+                  onChange={() => selectCard("")}
+                  label="A new card"
+                />
+              </ListGroup.Item>
+            </ListGroup>
+          </fieldset>
+        </Col>
+      )}
+
+      <Col md={6}>
+        <Form.Label>Name on card</Form.Label>
+        <Form.Control
+          name="cardName"
+          value={form.cardName}
+          onChange={onChange}
+          isInvalid={!!errors.cardName}
+          autoComplete="cc-name"
+        />
+        <Form.Control.Feedback type="invalid">
+          {errors.cardName}
+        </Form.Control.Feedback>
+      </Col>
+
+      <Col md={6}>
+        <Form.Label htmlFor="cardNumber">Card number</Form.Label>
+        <InputGroup hasValidation>
+          <Form.Control
+            id="cardNumber"
+            name="cardNumber"
+            value={form.cardNumber}
+            onChange={handleMasked(formatCardNumber)}
+            isInvalid={!!errors.cardNumber}
+            inputMode="numeric"
+            autoComplete="cc-number"
+            placeholder={
+              savedCard
+                ? `•••• •••• •••• ${savedCard.last4}`
+                : "1234 5678 9012 3456"
+            }
+          />
+          <InputGroup.Text className="bg-white">
+            <CardBrandIcon brand={brand} />
+          </InputGroup.Text>
+          <Form.Control.Feedback type="invalid">
+            {errors.cardNumber}
+          </Form.Control.Feedback>
+        </InputGroup>
+        {savedCard && (
+          <Form.Text muted>
+            For your security only the last 4 digits are saved. Enter the full
+            number of your {cardLabel(savedCard)}.
+          </Form.Text>
+        )}
+      </Col>
+
+      <Col md={4}>
+        <Form.Label>Expiry (MM/YY)</Form.Label>
+        <Form.Control
+          name="exp"
+          value={form.exp}
+          onChange={handleMasked((value) => formatExpiry(value, form.exp))}
+          isInvalid={!!errors.exp}
+          inputMode="numeric"
+          autoComplete="cc-exp"
+          placeholder="MM/YY"
+        />
+        <Form.Control.Feedback type="invalid">
+          {errors.exp}
+        </Form.Control.Feedback>
+      </Col>
+
+      <Col md={4}>
+        <Form.Label>CVC</Form.Label>
+        <Form.Control
+          name="cvc"
+          value={form.cvc}
+          onChange={handleMasked((value) => formatCvc(value, form.cardNumber))}
+          isInvalid={!!errors.cvc}
+          inputMode="numeric"
+          autoComplete="cc-csc"
+          placeholder={"•".repeat(cvcLength)}
+        />
+        <Form.Control.Feedback type="invalid">
+          {errors.cvc}
+        </Form.Control.Feedback>
+      </Col>
+
+      {!savedCard && (
+        <Col xs={12}>
+          <Form.Check
+            id="save-card"
+            label="Remember this card for next time (brand and last 4 digits only)"
+            checked={saveCard}
+            onChange={(e) => onSaveCardChange(e.target.checked)}
+          />
+        </Col>
+      )}
+    </Row>
+  );
+}
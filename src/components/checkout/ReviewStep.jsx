@@ -0,0 +1,69 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import ListGroup from "react-bootstrap/ListGroup";
+import { CARD_BRANDS, detectBrand } from "../../payments/cardValidation";
+import { formatAddressLines } from "../../addresses/address";
+
+/**
+ * ReviewStep
+ *
+ * Checkout step 5: read-only recap of every step before placing the order.
+ *
+ * Props:
+ *  - form: current checkout values
+ *  - shipping: shipping result from the order totals ({ label, eta })
+ *
+ * Notes:
+ *  - Each section links back to its step for edits.
+ *  - Only the last four card digits are shown.
+ */
+export default function ReviewStep({ form, shipping }) {
+  const last4 = (form.cardNumber || "").replace(/\D/g, "").slice(-4);
+  const brandLabel = CARD_BRANDS[detectBrand(form.cardNumber)]?.label ?? "Card";
+
+  const sections = [
+    {
+      step: "contact",
+      title: "Contact",
+      lines: [`${form.firstName} ${form.lastName}`, form.email, form.phone],
+    },
+    {
+      step: "shipping",
+      title: "Ship to",
+      lines: formatAddressLines(form),
+    },
+    {
+      step: "delivery",
+      title: "Delivery method",
+      lines: [`${shipping.label} (${shipping.eta})`],
+    },
+    {
+      step: "payment",
+      title: "Payment",
+      lines: [form.cardName, last4 ? `${brandLabel} ending in ${last4}` : ""],
+    },
+  ];
+
+  return (
+    <ListGroup variant="flush">
+      {sections.map((section) => (
+        <ListGroup.Item
+          key={section.step}
+          className="d-flex justify-content-between align-items-start px-0"
+        >
+          <div>
+            <div className="fw-semibold">{section.title}</div>
+            {section.lines.filter(Boolean).map((line, i) => (
+              <div key={i} className="text-muted small">
+                {line}
+              </div>
+            ))}
+          </div>
+          <Link to={`/checkout/${section.step}`} className="small">
+            Edit
+          </Link>
+        </ListGroup.Item>
+      ))}
+    </ListGroup>
+  );
+}
@@ -0,0 +1,101 @@
+import React from "react";
+import Form from "react-bootstrap/Form";
+import Badge from "react-bootstrap/Badge";
+import Button from "react-bootstrap/Button";
+import ListGroup from "react-bootstrap/ListGroup";
+import { formatAddressLines } from "../../addresses/address";
+import { sameAddress } from "../../profile/customerProfile";
+
+/**
+ * SavedAddresses
+ *
+ * Address book picker shown above the shipping form.
+ *
+ * Props:
+ *  - form: current checkout values (the entered address is matched against
+ *    the saved ones to show which is in use)
+ *  - addresses: saved addresses (see profile/customerProfile.js)
+ *  - defaultAddressId: id of the default address
+ *  - onUse(address|null): fill the form with a saved address, or clear it
+ *    to enter a new one
+ *  - onMakeDefault(id) / onRemove(id): address book actions
+ */
+export default function SavedAddresses({
+  form,
+  addresses,
+  defaultAddressId,
+  onUse,
+  onMakeDefault,
+  onRemove,
+}) {
+  const selected = addresses.find((a) => sameAddress(a, form));
+
+  return (
+    <fieldset className="mb-3">
+      <legend className="fs-6 fw-semibold">Use a saved address</legend>
+      <ListGroup>
+        {addresses.map((address) => {
+          const [first, ...rest] = formatAddressLines(address);
+          const isDefault = address.id === defaultAddressId;
+          return (
+            <ListGroup.Item
+              key={address.id}
+              className="d-flex justify-content-between align-items-start gap-2"
+            >
+              <Form.Check
+                type="radio"
+                name="savedAddress"
+                id={`saved-address-${address.id}`}
+                checked={selected?.id === address.id}
+                onChange={() => onUse(address)}
+                label={
+                  <>
+                    <span className="fw-semibold">{first}</span>{" "}
+                    {isDefault && (
+                      <Badge bg="secondary" className="ms-1">
+                        Default
+                      </Badge>
+                    )}
+                    <span className="d-block text-muted small">
+                      {rest.join(", ")}
+                    </span>
+                  </>
+                }
+              />
+              <div className="d-flex gap-1 flex-shrink-0">
+                {!isDefault && (
+                  <Button
+                    size="sm"
+                    variant="link"
+                    onClick={() => onMakeDefault(address.id)}
+                  >
+                    Make default
+                  </Button>
+                )}
+                <Button
+                  size="sm"
+                  variant="link"
+                  className="text-danger"
+                  onClick={() => onRemove(address.id)}
+                  aria-label={`Remove ${first}`}
+                >
+                  Remove
+                </Button>
+              </div>
+            </ListGroup.Item>
+          );
+        })}
+        <ListGroup.Item>
+          <Form.Check
+            type="radio"
+            name="savedAddress"
+            id="saved-address-new"
+            checked={!selected}
+            onChange={() => onUse(null)}
+            label="Enter a new address"
+          />
+        </ListGroup.Item>
+      </ListGroup>
+    </fieldset>
+  );
+}
@@ -0,0 +1,136 @@
+import React from "react";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import Form from "react-bootstrap/Form";
+import { getAddressFields, getCountries } from "../../addresses/address";
+import { sameAddress } from "../../profile/customerProfile";
+import SavedAddresses from "./SavedAddresses";
+
+// Column width and autocomplete token per address field
+const FIELD_LAYOUT = {
+  address1: { md: 12, autoComplete: "address-line1" },
+  address2: { md: 12, autoComplete: "address-line2" },
+  city: { md: 6, autoComplete: "address-level2" },
+  state: { md: 3, autoComplete: "address-level1" },
+  zip: { md: 3, autoComplete: "postal-code" },
+};
+
+/**
+ * ShippingStep
+ *
+ * Checkout step 2: shipping address.
+ *
+ * Props:
+ *  - form: current checkout values
+ *  - errors: { field: message } for this step
+ *  - onChange: input change handler (reads e.target.name/value)
+ *  - addressBook: { addresses, defaultAddressId, onUse, onMakeDefault,
+ *    onRemove } for the saved address picker (see SavedAddresses)
+ *  - saveAddress / onSaveAddressChange(checked): "Save this address" option,
+ *    offered while the entered address isn't in the address book
+ *
+ * Notes:
+ *  - The country selector comes first: it decides which fields are shown,
+ *    their labels (State/Province/County...), which are required and the
+ *    postal code format (see addresses/addressFormats.js).
+ *  - Regions are a dropdown for countries that have a fixed list.
+ *  - Country and state also drive the tax shown in the order summary.
+ */
+export default function ShippingStep({
+  form,
+  errors,
+  onChange,
+  addressBook,
+  saveAddress,
+  onSaveAddressChange,
+}) {
+  const fields = getAddressFields(form.country);
+  const saved = addressBook.addresses.some((a) => sameAddress(a, form));
+
+  return (
+    <Row className="g-3">
+      {addressBook.addresses.length > 0 && (
+        <Col xs={12}>
+          <SavedAddresses form={form} {...addressBook} />
+        </Col>
+      )}
+
+      <Col md={6}>
+        <Form.Label htmlFor="ship-country">Country</Form.Label>
+        <Form.Select
+          id="ship-country"
+          name="country"
+          value={form.country}
+          onChange={onChange}
+          isInvalid={!!errors.country}
+          autoComplete="country"
+        >
+          <option value="">Choose a country…</option>
+          {getCountries().map((c) => (
+            <option key={c.code} value={c.code}>
+              {c.name}
+            </option>
+          ))}
+        </Form.Select>
+        <Form.Control.Feedback type="invalid">
+          {errors.country}
+        </Form.Control.Feedback>
+      </Col>
+
+      {Object.entries(fields).map(([name, field]) => {
+        const { md, autoComplete } = FIELD_LAYOUT[name];
+        const id = `ship-${name}`;
+        const label = field.required
+          ? field.label
+          : `${field.label} (optional)`;
+        return (
+          <Col key={name} md={md}>
+            <Form.Label htmlFor={id}>{label}</Form.Label>
+            {field.options ? (
+              <Form.Select
+                id={id}
+                name={name}
+                value={form[name]}
+                onChange={onChange}
+                isInvalid={!!errors[name]}
+                autoComplete={autoComplete}
+              >
+                <option value="">Choose…</option>
+                {field.options.map(([code, optionName]) => (
+                  <option key={code} value={code}>
+                    {optionName}
+                  </option>
+                ))}
+              </Form.Select>
+            ) : (
+              <Form.Control
+                id={id}
+                name={name}
+                value={form[name]}
+                onChange={onChange}
+                isInvalid={!!errors[name]}
+                autoComplete={autoComplete}
+                inputMode={field.inputMode}
+                placeholder={field.example}
+              />
+            )}
+            <Form.Control.Feedback type="invalid">
+              {errors[name]}
+            </Form.Control.Feedback>
+          </Col>
+        );
+      })}
+
+      {!saved && (
+        <Col xs={12}>
+          <Form.Check
+            id="save-address"
+            label="Save this address to my address book"
+            checked={saveAddress}
+            onChange={(e) => onSaveAddressChange(e.target.checked)}
+          />
+        </Col>
+      )}
+    </Row>
+  );
+}
@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { Modal, Button, Form } from "react-bootstrap";
+
+/**
+ * ThreeDSChallengeModal
+ *
+ * 3-D Secure step-up shown when the card issuer asks the buyer to confirm a
+ * payment (payment status "requires_action").
+ *
+ * Props:
+ *  - show: boolean            -> controls modal visibility
+ *  - message: string          -> instructions from the provider's challenge
+ *  - onSubmit: function(code) -> called with the one-time code entered
+ *  - onCancel: function       -> called when the buyer abandons the challenge
+ *  - submitting: boolean      -> disables the actions while verifying
+ *
+ * Notes:
+ *  - The backdrop is static so the challenge can't be dismissed by accident;
+ *    cancelling is an explicit action that voids the pending payment.
+ */
+function ThreeDSChallengeModal({
+  show,
+  message,
+  onSubmit,
+  onCancel,
+  submitting,
+}) {
+  const [code, setCode] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(code);
+  };
+
+  return (
+    <Modal
+      show={show}
+      onHide={onCancel}
+      onExited={() => setCode("")}
+      backdrop="static"
+      keyboard={!submitting}
+      centered
+      aria-labelledby="three-ds-title"
+    >
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton={!submitting}>
+          <Modal.Title id="three-ds-title">Confirm your payment</Modal.Title>
+        </Modal.Header>
+
+        <Modal.Body>
+          <p className="mb-3">{message}</p>
+          <Form.Label htmlFor="three-ds-code">Verification code</Form.Label>
+          <Form.Control
+            id="three-ds-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            autoFocus
+            disabled={submitting}
+          />
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onCancel} disabled={submitting}>
+            Cancel payment
+          </Button>
+          <Button
+            type="submit"
+            variant="primary"
+            disabled={submitting || !code.trim()}
+            style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+          >
+            {submitting ? "Verifying..." : "Verify"}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+}
+
+export default ThreeDSChallengeModal;
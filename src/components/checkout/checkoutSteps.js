@@ -0,0 +1,154 @@
+/**
+ * checkoutSteps.js
+ *
+ * Step definitions and per-step validation for the checkout wizard.
+ *
+ * Purpose:
+ * - Keep the step order, the fields each step owns and their validation rules
+ *   in one place so Checkout.jsx only deals with navigation and rendering.
+ *
+ * Notes:
+ * - Step ids are used in the URL (/checkout/:step).
+ * - DRAFT_FIELDS are the non-sensitive fields persisted between visits;
+ *   payment fields are never written to storage.
+ * - Shipping address rules (which fields exist, labels, required fields,
+ *   postal code formats) are per country; see addresses/address.js.
+ * - This is client-side validation only. Server-side validation is still
+ *   required in a real payment flow.
+ */
+
+import { DEFAULT_SHIPPING_METHOD } from "../../pricing/shippingRates";
+import { DEFAULT_COUNTRY, validateAddress } from "../../addresses/address";
+import { getShippingMethods } from "../../pricing/shipping";
+import {
+  CARD_BRANDS,
+  detectBrand,
+  validateCardNumber,
+  validateCvc,
+  validateExpiry,
+} from "../../payments/cardValidation";
+
+export const CHECKOUT_STEPS = [
+  {
+    id: "contact",
+    label: "Contact",
+    fields: ["firstName", "lastName", "email", "phone"],
+  },
+  {
+    id: "shipping",
+    label: "Shipping",
+    fields: ["country", "address1", "address2", "city", "state", "zip"],
+  },
+  { id: "delivery", label: "Delivery method", fields: ["shippingMethod"] },
+  {
+    id: "payment",
+    label: "Payment",
+    fields: ["savedCard", "cardName", "cardNumber", "exp", "cvc"],
+  },
+  { id: "review", label: "Review", fields: [] },
+];
+
+// Fields kept in the persisted draft (everything except payment details)
+export const EMPTY_DRAFT = {
+  // Contact
+  firstName: "",
+  lastName: "",
+  email: "",
+  phone: "",
+  // Shipping
+  address1: "",
+  address2: "",
+  city: "",
+  state: "",
+  zip: "",
+  country: DEFAULT_COUNTRY,
+  // Delivery
+  shippingMethod: DEFAULT_SHIPPING_METHOD,
+};
+export const DRAFT_FIELDS = Object.keys(EMPTY_DRAFT);
+
+// Payment (mock) fields: held in memory only.
+// savedCard is the id of a saved card ("visa-4242") the user chose to pay with.
+export const EMPTY_PAYMENT = {
+  savedCard: "",
+  cardName: "",
+  cardNumber: "",
+  exp: "",
+  cvc: "",
+};
+
+// Required fields per step
+const REQUIRED = {
+  contact: ["firstName", "lastName", "email"],
+  delivery: ["shippingMethod"],
+  payment: ["cardName", "cardNumber", "exp", "cvc"],
+};
+
+/** getStepIndex(id) - position of a step id, or -1 when unknown. */
+export const getStepIndex = (id) =>
+  CHECKOUT_STEPS.findIndex((s) => s.id === id);
+
+/**
+ * validateStep(stepId, form)
+ * - Runs the checks for one step and returns an errors object
+ *   ({ fieldName: "Short message" }); empty when the step is complete.
+ */
+export function validateStep(stepId, form) {
+  const e = {};
+  (REQUIRED[stepId] || []).forEach((k) => {
+    if (!String(form[k] ?? "").trim()) e[k] = "Required";
+  });
+
+  if (stepId === "contact") {
+    // Basic email format check
+    if (form.email && !/^\S+@\S+\.\S+$/.test(form.email))
+      e.email = "Invalid email";
+  }
+
+  if (stepId === "shipping") {
+    // Fields, required flags and postal code format depend on the country
+    Object.assign(e, validateAddress(form));
+  }
+
+  if (stepId === "delivery") {
+    const known = getShippingMethods().some(
+      (m) => m.id === form.shippingMethod
+    );
+    if (!known) e.shippingMethod = "Choose a delivery method";
+  }
+
+  if (stepId === "payment") {
+    // Brand, length and Luhn checks; expiry in the future; CVC per brand
+    const checks = {
+      cardNumber: validateCardNumber(form.cardNumber),
+      exp: validateExpiry(form.exp),
+      cvc: validateCvc(form.cvc, form.cardNumber),
+    };
+    Object.entries(checks).forEach(([k, message]) => {
+      if (message) e[k] = message;
+    });
+
+    // Only brand + last 4 are saved, so a saved card's number is typed again
+    if (form.savedCard && form.cardNumber && !e.cardNumber) {
+      const [brand, last4] = form.savedCard.split("-");
+      const digits = form.cardNumber.replace(/\D/g, "");
+      if (detectBrand(digits) !== brand || !digits.endsWith(last4))
+        e.cardNumber = `This isn’t your ${CARD_BRANDS[brand]?.label ?? "card"} ending in ${last4}`;
+    }
+  }
+
+  return e;
+}
+
+/**
+ * firstIncompleteStep(form, beforeIndex)
+ * - Returns the id of the first step before `beforeIndex` that doesn't
+ *   validate, or null when all of them are complete. Used to stop users from
+ *   skipping ahead via the URL.
+ */
+export function firstIncompleteStep(form, beforeIndex) {
+  const step = CHECKOUT_STEPS.slice(0, beforeIndex).find(
+    (s) => Object.keys(validateStep(s.id, form)).length > 0
+  );
+  return step ? step.id : null;
+}
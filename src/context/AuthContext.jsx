@@ -0,0 +1,73 @@
+/**
+ * AuthContext.jsx
+ *
+ * Purpose:
+ * - Provide the signed-in user to the app via React Context, with login and
+ *   logout actions (see api/auth.js).
+ * - Sign the user out automatically when the session expires or an admin
+ *   deactivates the account.
+ *
+ * Notes:
+ * - The session itself lives in api/session.js so non-React code (API
+ *   client, cart sync) reads the same value; this provider only mirrors it.
+ *   Signing out (or in as someone else) in another tab signs this tab out,
+ *   and so does deactivating the account there (getSession() checks it).
+ * - Value: { user, isAuthenticated, can, login, logout }
+ *   - user: { id, username, role } or null
+ *   - can(permission): permission check for the current user (roles and
+ *     permissions are defined in auth/permissions.js)
+ *   - login({ username, password }) resolves with the session or rejects
+ *     with an ApiError (status 401 for wrong credentials)
+ */
+
+import { createContext, useEffect, useMemo, useState } from "react";
+import { getSession, subscribeSession } from "../api/session";
+import { login, logout } from "../api/auth";
+import { can, getRole } from "../auth/permissions";
+
+const AuthContext = createContext(null);
+
+// setTimeout can't wait longer than this (~24.8 days)
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+export function AuthProvider({ children }) {
+  const [session, setSession] = useState(getSession);
+  useEffect(() => subscribeSession(setSession), []);
+
+  // Sign out when the session expires (getSession() drops expired sessions)
+  useEffect(() => {
+    if (!session?.expiresAt) return undefined;
+    const delay = Math.min(
+      Math.max(session.expiresAt - Date.now(), 0),
+      MAX_TIMEOUT
+    );
+    const timer = setTimeout(() => {
+      if (!getSession()) logout();
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  const value = useMemo(() => {
+    const user = session
+      ? { id: session.userId, username: session.username }
+      : null;
+    if (user) user.role = getRole(user);
+    return {
+      user,
+      isAuthenticated: !!user,
+      can: (permission) => can(user, permission),
+      login,
+      logout,
+    };
+  }, [session]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+/*
+  Exports:
+  - AuthContext: the context object (useful for useContext or tests)
+  - AuthProvider: the provider component to wrap the app
+*/
+export { AuthContext };
+export default AuthContext;
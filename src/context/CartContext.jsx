@@ -3,7 +3,8 @@
  *
  * Purpose:
  * - Provide a centralized cart state for the app via React Context.
- * - Persist cart contents to localStorage under the key "cart:v1".
+ * - Persist cart contents to localStorage through the versioned storage in
+ *   cartStorage.js (schema migrations, per-item validation, quarantine).
  * - Expose actions (add, remove, updateQty, clear) and derived values
  *   (cartCount, cartTotal) to consuming components/hooks.
  *
@@ -13,29 +14,72 @@
  * - localStorage operations are wrapped in try/catch to avoid breaking the app
  *   when storage is unavailable or contains malformed JSON.
  * - The reducer stores a minimal representation of products (id, title, price, image)
- *   to keep the persisted payload small while still rendering cart items.
+ *   plus variant, addedAt and priceAtAdd, to keep the persisted payload small
+ *   while still rendering cart items.
+ * - Tabs stay consistent: `storage` events from other tabs re-hydrate the cart,
+ *   and every action first catches up with storage so no tab's update is lost.
+ * - revalidate() refetches current product data, updates snapshot prices and
+ *   flags removed products (`unavailable`); the resulting price/availability
+ *   changes are kept in `priceChanges` until the user acknowledges them.
+ *   Unavailable items are excluded from cartCount/cartTotal.
+ * - When a user is signed in (see api/session.js) the cart is synced with their
+ *   FakeStoreAPI server cart: loaded and merged on sign-in, then every change
+ *   is pushed (debounced). Merge rules live in api/cartSync.js.
+ * - The local cart belongs to one account (see readCartOwner in
+ *   cartStorage.js). A guest cart is merged into the account on sign-in; on
+ *   sign-out or an account switch the previous account's items are cleared,
+ *   so they never reach another account's server cart.
+ * - Discount codes are kept in localStorage ("cart:promos") and evaluated by
+ *   pricing/promotions.js on every change: discountTotal is what the codes
+ *   take off. The amount charged (with shipping and tax) comes from
+ *   hooks/useOrderTotals.js.
+ * - While an order is being submitted (see orders/orderSubmission.js) the cart
+ *   is locked: `cartLocked` is true and add/remove/updateQty/clear and promo
+ *   code changes are ignored (they return false / an error) so the charged
+ *   snapshot can't drift from the cart.
  */
 
-import { createContext, useEffect, useMemo, useReducer } from "react";
+import {
+  createContext,
+  useEffect,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
+import { getSession, subscribeSession } from "../api/session";
+import { loadServerCart, mergeCarts, pushCart } from "../api/cartSync";
+import { getProducts, setQueryData } from "../api/api";
+import { useLocalStorage } from "../hooks/useLocalStorage";
+import {
+  getSubmission,
+  isSubmissionPending,
+  subscribeSubmission,
+} from "../orders/orderSubmission";
+import {
+  calculatePromotions,
+  findPromotion,
+  normalizeCode,
+} from "../pricing/promotions";
+import { mergeChanges, revalidateItems } from "./cartRevalidation";
+import {
+  CART_STORAGE_KEY,
+  loadCart,
+  readCartOwner,
+  readStoredRaw,
+  saveCart,
+  writeCartOwner,
+} from "./cartStorage";
+
+// Delay before pushing local changes to the server cart (coalesces bursts).
+const SYNC_DELAY = 500;
+
+// localStorage key for the discount codes entered by the user.
+const PROMO_STORAGE_KEY = "cart:promos";
 
 // Create context object. Consumers can use this to read cart state.
 const CartContext = createContext(null);
 
-/**
- * loadInitial()
- * - Reads the cart from localStorage on first render.
- * - Returns an array (empty if nothing stored or on error).
- */
-function loadInitial() {
-  try {
-    const raw = localStorage.getItem("cart:v1");
-    return raw ? JSON.parse(raw) : [];
-  } catch {
-    // If parsing fails or storage is unavailable, start with an empty cart.
-    return [];
-  }
-}
-
 /**
  * cartReducer(state, action)
  * - Handles cart mutations with a small set of action types:
@@ -43,15 +87,19 @@ function loadInitial() {
  *   - REMOVE: remove an item by id
  *   - UPDATE_QTY: set a new quantity (removes item if qty <= 0)
  *   - CLEAR: empty the cart
+ *   - MERGE_SERVER: merge a server cart into the current items (on sign-in)
+ *   - HYDRATE: replace items with a freshly loaded copy (cross-tab updates)
+ *   - REVALIDATE: refresh snapshots against current product data
  *
  * Notes on ADD:
  * - We store a minimal item snapshot to reduce persisted size.
+ * - `addedAt` comes from the action payload so the reducer stays pure.
  * - The reducer is pure and returns new arrays/objects for React updates.
  */
 function cartReducer(state, action) {
   switch (action.type) {
     case "ADD": {
-      const { product, qty } = action.payload;
+      const { product, qty, addedAt } = action.payload;
       const idx = state.findIndex((i) => i.id === product.id);
       if (idx >= 0) {
         const next = [...state];
@@ -63,6 +111,10 @@ function cartReducer(state, action) {
         title: product.title,
         price: product.price,
         image: product.image,
+        category: product.category,
+        variant: product.variant ?? null,
+        addedAt,
+        priceAtAdd: product.price,
       };
       return [...state, { ...minimal, qty }];
     }
@@ -76,6 +128,14 @@ function cartReducer(state, action) {
     }
     case "CLEAR":
       return [];
+    case "MERGE_SERVER": {
+      const { serverProducts, products, addedAt } = action.payload;
+      return mergeCarts(state, serverProducts, products, addedAt);
+    }
+    case "HYDRATE":
+      return action.payload.items;
+    case "REVALIDATE":
+      return revalidateItems(state, action.payload.productsById).items;
     default:
       return state;
   }
@@ -84,39 +144,234 @@ function cartReducer(state, action) {
 /**
  * CartProvider
  * - Wrap your app with <CartProvider> so any component can access the cart.
- * - Exposes: items, cartCount, cartTotal, addItem, removeItem, updateQty, clearCart
+ * - Exposes: items, cartCount, cartTotal, addItem, removeItem, updateQty, clearCart,
+ *   cartLocked,
+ *   syncStatus ("idle" | "syncing" | "synced" | "error"),
+ *   revalidate, priceChanges, acknowledgePriceChanges,
+ *   promoCodes, applyPromoCode, removePromoCode, appliedPromotions,
+ *   rejectedPromotions, discountTotal
  */
 export function CartProvider({ children }) {
-  // useReducer with lazy initializer to load from localStorage only once.
-  const [items, dispatch] = useReducer(cartReducer, undefined, loadInitial);
+  // useReducer with lazy initializer to load (and migrate) storage only once.
+  const [items, dispatch] = useReducer(cartReducer, undefined, loadCart);
 
-  // Persist items to localStorage whenever they change.
+  // Raw storage string this tab last wrote or saw; used to detect other tabs' writes.
+  const lastRawRef = useRef(null);
+
+  // Persist items whenever they change.
   useEffect(() => {
-    try {
-      localStorage.setItem("cart:v1", JSON.stringify(items));
-    } catch {
-      // Ignore errors (e.g. storage quota, disabled storage)
-    }
+    lastRawRef.current = saveCart(items);
   }, [items]);
 
+  // Another tab changed the cart: reload (and validate) it from storage.
+  useEffect(() => {
+    const onStorage = (e) => {
+      // e.key is null when storage was cleared entirely.
+      if (e.key !== null && e.key !== CART_STORAGE_KEY) return;
+      if (e.newValue === lastRawRef.current) return;
+      lastRawRef.current = e.newValue;
+      dispatch({ type: "HYDRATE", payload: { items: loadCart() } });
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  // Order submission in progress (this tab): the cart is locked until it ends.
+  const [submission, setSubmission] = useState(getSubmission);
+  useEffect(() => subscribeSubmission(setSubmission), []);
+  const cartLocked = isSubmissionPending(submission);
+
+  // Apply an action on top of the latest stored cart. If another tab wrote
+  // since we last looked (and its event hasn't arrived yet), hydrate first.
+  // Returns false (and does nothing) while the cart is locked.
+  const run = (action) => {
+    if (isSubmissionPending(getSubmission())) return false;
+    const raw = readStoredRaw();
+    if (raw !== lastRawRef.current) {
+      lastRawRef.current = raw;
+      dispatch({ type: "HYDRATE", payload: { items: loadCart() } });
+    }
+    dispatch(action);
+    return true;
+  };
+
+  // Signed-in user (null when signed out); drives server cart sync.
+  const [session, setSession] = useState(getSession);
+  useEffect(() => subscribeSession(setSession), []);
+  const userId = session?.userId ?? null;
+
+  // Sync bookkeeping: which user/cart we push to and whether the initial merge is done.
+  const syncRef = useRef({ userId: null, cartId: null, ready: false });
+  const pushQueueRef = useRef(Promise.resolve());
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const [syncStatus, setSyncStatus] = useState("idle");
+
+  // On sign-in: load the server cart and merge it into the local cart.
+  useEffect(() => {
+    syncRef.current = { userId, cartId: null, ready: false };
+
+    // Items left by another account (sign-out, switch, or a session that
+    // expired while the app was closed) are dropped, not merged. Only a
+    // guest's cart carries over into the account signing in.
+    const owner = readCartOwner();
+    const foreign = owner !== null && String(owner) !== String(userId);
+    if (foreign) {
+      itemsRef.current = [];
+      dispatch({ type: "CLEAR" });
+    }
+    writeCartOwner(userId);
+
+    if (!userId) {
+      setSyncStatus("idle");
+      return undefined;
+    }
+
+    let active = true;
+    setSyncStatus("syncing");
+    loadServerCart(userId, itemsRef.current)
+      .then(({ cartId, serverProducts, products }) => {
+        if (!active) return;
+        syncRef.current = { userId, cartId, ready: true };
+        // Merge against the latest state; the items effect then pushes the result.
+        dispatch({
+          type: "MERGE_SERVER",
+          payload: {
+            serverProducts,
+            products,
+            addedAt: new Date().toISOString(),
+          },
+        });
+      })
+      .catch(() => {
+        if (!active) return;
+        // Keep working locally; later changes will still try to push.
+        syncRef.current = { userId, cartId: null, ready: true };
+        setSyncStatus("error");
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [userId]);
+
+  // After the initial merge, push every change to the server cart (debounced,
+  // and queued so pushes land in order). `sync` pins the user and cart the
+  // change belongs to: syncRef gets a new object whenever the user changes,
+  // so a push queued for the previous account is dropped instead of landing
+  // in the new account's cart.
+  useEffect(() => {
+    const sync = syncRef.current;
+    if (!sync.userId || !sync.ready) return undefined;
+
+    setSyncStatus("syncing");
+    const timer = setTimeout(() => {
+      pushQueueRef.current = pushQueueRef.current
+        .then(async () => {
+          if (syncRef.current !== sync) return;
+          const cartId = await pushCart(sync.userId, sync.cartId, items);
+          if (syncRef.current !== sync) return;
+          sync.cartId = cartId;
+          setSyncStatus("synced");
+        })
+        .catch(() => {
+          if (syncRef.current === sync) setSyncStatus("error");
+        });
+    }, SYNC_DELAY);
+
+    return () => clearTimeout(timer);
+    // userId: a sign-out/switch cancels the pending push for the old user.
+  }, [items, userId]);
+
   // Action helpers - dispatch simple action objects to the reducer.
   const addItem = (product, qty = 1) =>
-    dispatch({ type: "ADD", payload: { product, qty } });
-  const removeItem = (id) => dispatch({ type: "REMOVE", payload: { id } });
+    run({
+      type: "ADD",
+      payload: { product, qty, addedAt: new Date().toISOString() },
+    });
+  const removeItem = (id) => run({ type: "REMOVE", payload: { id } });
   const updateQty = (id, qty) =>
-    dispatch({ type: "UPDATE_QTY", payload: { id, qty } });
-  const clearCart = () => dispatch({ type: "CLEAR" });
+    run({ type: "UPDATE_QTY", payload: { id, qty } });
+  const clearCart = () => {
+    if (!run({ type: "CLEAR" })) return false;
+    setPromoCodes([]);
+    return true;
+  };
+
+  // Unacknowledged price/availability changes found by revalidate()
+  const [priceChanges, setPriceChanges] = useState([]);
 
-  // Derived values (memoized for performance)
+  /**
+   * revalidate()
+   * - Fetches the current catalog, refreshes cart snapshots and records changes.
+   * - Resolves with the list of changes found in this pass.
+   */
+  const revalidate = async () => {
+    const response = await getProducts();
+    // Share the fresh list with the product pages' query cache.
+    setQueryData(["products"], response);
+    const productsById = {};
+    (Array.isArray(response.data) ? response.data : []).forEach((p) => {
+      productsById[String(p.id)] = p;
+    });
+    const { changes } = revalidateItems(itemsRef.current, productsById);
+    // Locked (order being placed): keep the snapshot; re-check afterwards.
+    if (!run({ type: "REVALIDATE", payload: { productsById } })) return [];
+    if (changes.length > 0)
+      setPriceChanges((prev) => mergeChanges(prev, changes));
+    return changes;
+  };
+  const acknowledgePriceChanges = () => setPriceChanges([]);
+
+  // Derived values (memoized for performance); unavailable items don't count.
   const cartCount = useMemo(
-    () => items.reduce((sum, i) => sum + i.qty, 0),
+    () => items.reduce((sum, i) => (i.unavailable ? sum : sum + i.qty), 0),
     [items]
   );
   const cartTotal = useMemo(
-    () => items.reduce((sum, i) => sum + i.qty * i.price, 0),
+    () =>
+      items.reduce(
+        (sum, i) => (i.unavailable ? sum : sum + i.qty * i.price),
+        0
+      ),
     [items]
   );
 
+  // Discount codes in the order entered (normalized, unique).
+  const [promoCodes, setPromoCodes] = useLocalStorage(PROMO_STORAGE_KEY, []);
+
+  /**
+   * applyPromoCode(code)
+   * - Adds a known code. Returns { ok: true } or { ok: false, error }.
+   * - Codes that exist but don't apply to the current cart are still kept;
+   *   they show up in rejectedPromotions with the reason.
+   */
+  const applyPromoCode = (code) => {
+    const normalized = normalizeCode(code);
+    if (isSubmissionPending(getSubmission()))
+      return { ok: false, error: "Your order is being placed" };
+    if (!normalized) return { ok: false, error: "Enter a code" };
+    if (!findPromotion(normalized))
+      return { ok: false, error: "This code isn’t valid" };
+    if (promoCodes.includes(normalized))
+      return { ok: false, error: "This code is already applied" };
+    setPromoCodes((prev) =>
+      prev.includes(normalized) ? prev : [...prev, normalized]
+    );
+    return { ok: true };
+  };
+  const removePromoCode = (code) => {
+    if (isSubmissionPending(getSubmission())) return;
+    const normalized = normalizeCode(code);
+    setPromoCodes((prev) => prev.filter((c) => c !== normalized));
+  };
+
+  const promotions = useMemo(
+    () => calculatePromotions(items, promoCodes),
+    [items, promoCodes]
+  );
+  const discountTotal = promotions.discountTotal;
+
   // Value object provided to consumers
   const value = {
     items,
@@ -126,6 +381,17 @@ export function CartProvider({ children }) {
     removeItem,
     updateQty,
     clearCart,
+    cartLocked,
+    syncStatus,
+    revalidate,
+    priceChanges,
+    acknowledgePriceChanges,
+    promoCodes,
+    applyPromoCode,
+    removePromoCode,
+    appliedPromotions: promotions.applied,
+    rejectedPromotions: promotions.rejected,
+    discountTotal,
   };
 
   return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
@@ -0,0 +1,86 @@
+/**
+ * cartRevalidation.js
+ *
+ * Pure helpers that compare cart snapshots against current product data.
+ *
+ * Purpose:
+ * - Cart items store a frozen { id, title, price, image, category } snapshot. When the
+ *   catalog changes, revalidateItems() refreshes those snapshots and reports
+ *   what changed so the UI can tell the user before they pay.
+ *
+ * Rules:
+ * - Product missing from the catalog -> item flagged `unavailable: true`
+ *   (kept in the cart so the user can see and remove it).
+ * - Price differs -> item price updated, change reported with old/new price.
+ * - Title/image/category are refreshed silently; a product that reappears is un-flagged.
+ */
+
+/**
+ * revalidateItems(items, productsById)
+ * - productsById: { [id]: product } for every product currently in the catalog.
+ * - Returns { items, changes } where changes is a list of
+ *   { id, title, type: "price", from, to } or { id, title, type: "removed" }.
+ */
+export function revalidateItems(items, productsById) {
+  const changes = [];
+  const next = items.map((item) => {
+    const product = productsById[String(item.id)];
+
+    if (!product) {
+      if (!item.unavailable)
+        changes.push({ id: item.id, title: item.title, type: "removed" });
+      return item.unavailable ? item : { ...item, unavailable: true };
+    }
+
+    const price = Number(product.price);
+    const priceChanged = Number.isFinite(price) && price !== item.price;
+    if (priceChanged) {
+      changes.push({
+        id: item.id,
+        title: product.title ?? item.title,
+        type: "price",
+        from: item.price,
+        to: price,
+      });
+    }
+
+    const updated = {
+      ...item,
+      title: product.title ?? item.title,
+      image: product.image ?? item.image,
+      category: product.category ?? item.category,
+      price: priceChanged ? price : item.price,
+    };
+    delete updated.unavailable;
+
+    const unchanged =
+      !item.unavailable &&
+      updated.title === item.title &&
+      updated.image === item.image &&
+      updated.category === item.category &&
+      updated.price === item.price;
+    return unchanged ? item : updated;
+  });
+
+  return { items: next, changes };
+}
+
+/**
+ * mergeChanges(previous, incoming)
+ * - Combines unacknowledged change lists, keeping the latest entry per item.
+ * - A price change that returns to the original price is dropped.
+ */
+export function mergeChanges(previous, incoming) {
+  const byId = new Map(previous.map((c) => [String(c.id), c]));
+  incoming.forEach((change) => {
+    const key = String(change.id);
+    const prior = byId.get(key);
+    if (change.type === "price" && prior?.type === "price") {
+      if (prior.from === change.to) byId.delete(key);
+      else byId.set(key, { ...change, from: prior.from });
+    } else {
+      byId.set(key, change);
+    }
+  });
+  return [...byId.values()];
+}
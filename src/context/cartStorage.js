@@ -0,0 +1,283 @@
+/**
+ * cartStorage.js
+ *
+ * Versioned persistence for the cart (used by CartContext).
+ *
+ * Purpose:
+ * - Store the cart in a versioned envelope: { version, items, savedAt }.
+ * - Upgrade older payloads through a migration pipeline on load.
+ * - Validate every item on load and quarantine corrupt entries (kept under
+ *   "cart:quarantine" for inspection) instead of silently resetting the cart.
+ *
+ * Schema history:
+ * - v1 (key "cart:v1"): bare array of { id, title, price, image, qty }.
+ *   Some older code wrote `quantity` instead of `qty`.
+ * - v2 (key "cart"): adds per-item `variant` (string|null), `addedAt` (ISO
+ *   string) and `priceAtAdd` (unit price when the item was first added).
+ *
+ * Cross-tab:
+ * - saveCart skips writes when the stored items are unchanged, so tabs that
+ *   re-save hydrated state don't bounce `storage` events back and forth.
+ * - readStoredRaw() exposes the stored string so CartContext can tell whether
+ *   another tab wrote since it last looked.
+ *
+ * Owner:
+ * - "cart:owner" records whose cart this is: the signed-in user's id, or null
+ *   for a guest. CartContext uses it to drop another account's items instead
+ *   of merging them into the next account that signs in.
+ *
+ * Adding a version:
+ * - Bump CART_SCHEMA_VERSION, add a `migrations[n]` step that upgrades
+ *   version n to n + 1, and extend validateItem for the new fields.
+ */
+
+export const CART_STORAGE_KEY = "cart";
+export const CART_QUARANTINE_KEY = "cart:quarantine";
+export const CART_OWNER_KEY = "cart:owner";
+export const CART_SCHEMA_VERSION = 2;
+
+// Legacy keys read (and then removed) when the current key is missing.
+const LEGACY_KEYS = { "cart:v1": 1 };
+
+// Cap the quarantine so repeated corruption can't fill storage.
+const MAX_QUARANTINE = 20;
+
+/**
+ * migrations[n]: upgrades an envelope from version n to n + 1.
+ * Steps are pure and tolerate partially broken items; validation runs after.
+ */
+const migrations = {
+  1: (envelope) => ({
+    version: 2,
+    items: envelope.items.map((item) => {
+      if (!item || typeof item !== "object") return item;
+      // Fold the legacy `quantity` spelling into `qty`.
+      const { quantity, ...rest } = item;
+      return {
+        ...rest,
+        qty: item.qty ?? quantity,
+        variant: item.variant ?? null,
+        addedAt: item.addedAt ?? envelope.savedAt ?? new Date().toISOString(),
+        priceAtAdd: item.priceAtAdd ?? item.price,
+      };
+    }),
+  }),
+};
+
+/**
+ * validateItem(item)
+ * - Returns [normalizedItem, null] for a valid v2 item, or [null, reason].
+ */
+export function validateItem(item) {
+  if (!item || typeof item !== "object") return [null, "not an object"];
+  if (item.id === undefined || item.id === null || item.id === "")
+    return [null, "missing id"];
+  const price = Number(item.price);
+  if (!Number.isFinite(price) || price < 0) return [null, "invalid price"];
+  const qty = Number(item.qty);
+  if (!Number.isInteger(qty) || qty <= 0) return [null, "invalid quantity"];
+
+  const priceAtAdd = Number(item.priceAtAdd);
+  return [
+    {
+      ...item,
+      title: typeof item.title === "string" ? item.title : String(item.id),
+      image: typeof item.image === "string" ? item.image : "",
+      price,
+      qty,
+      variant: item.variant ?? null,
+      addedAt: item.addedAt || new Date().toISOString(),
+      priceAtAdd: Number.isFinite(priceAtAdd) ? priceAtAdd : price,
+    },
+    null,
+  ];
+}
+
+/** quarantine(entries) - append rejected payloads/items for later inspection. */
+function quarantine(entries) {
+  if (entries.length === 0) return;
+  try {
+    const existing = JSON.parse(localStorage.getItem(CART_QUARANTINE_KEY));
+    const list = Array.isArray(existing) ? existing : [];
+    const at = new Date().toISOString();
+    const next = [...list, ...entries.map((e) => ({ ...e, at }))];
+    localStorage.setItem(
+      CART_QUARANTINE_KEY,
+      JSON.stringify(next.slice(-MAX_QUARANTINE))
+    );
+  } catch {
+    // Ignore errors (e.g. storage quota, disabled storage)
+  }
+  console.warn(
+    `cartStorage: quarantined ${entries.length} corrupt cart entries`
+  );
+}
+
+/**
+ * readRaw()
+ * - Finds the stored payload, preferring the current key over legacy ones.
+ * - Returns { raw, key, legacyVersion } or null when nothing is stored.
+ */
+function readRaw() {
+  const current = localStorage.getItem(CART_STORAGE_KEY);
+  if (current !== null) return { raw: current, key: CART_STORAGE_KEY };
+  for (const [key, version] of Object.entries(LEGACY_KEYS)) {
+    const raw = localStorage.getItem(key);
+    if (raw !== null) return { raw, key, legacyVersion: version };
+  }
+  return null;
+}
+
+/**
+ * toEnvelope(parsed, legacyVersion)
+ * - Wraps bare arrays (v1) into an envelope; returns null if unrecognizable.
+ */
+function toEnvelope(parsed, legacyVersion) {
+  if (Array.isArray(parsed))
+    return { version: legacyVersion ?? 1, items: parsed };
+  if (
+    parsed &&
+    typeof parsed === "object" &&
+    Number.isInteger(parsed.version) &&
+    Array.isArray(parsed.items)
+  )
+    return parsed;
+  return null;
+}
+
+/**
+ * migrate(envelope)
+ * - Runs migration steps until the envelope reaches CART_SCHEMA_VERSION.
+ * - Throws for unknown (e.g. newer) versions so the payload is quarantined.
+ */
+export function migrate(envelope) {
+  let current = envelope;
+  while (current.version < CART_SCHEMA_VERSION) {
+    const step = migrations[current.version];
+    if (!step) throw new Error(`No cart migration from v${current.version}`);
+    current = { ...step(current), savedAt: current.savedAt };
+  }
+  if (current.version !== CART_SCHEMA_VERSION)
+    throw new Error(`Unsupported cart schema v${current.version}`);
+  return current;
+}
+
+/**
+ * loadCart()
+ * - Reads, migrates and validates the persisted cart. Returns an items array.
+ * - Corrupt payloads or items are quarantined; valid items are kept.
+ * - Legacy keys are rewritten under the current key and then removed.
+ */
+export function loadCart() {
+  let stored;
+  try {
+    stored = readRaw();
+  } catch {
+    // Storage unavailable: start with an empty cart.
+    return [];
+  }
+  if (!stored) return [];
+
+  let envelope;
+  try {
+    envelope = toEnvelope(JSON.parse(stored.raw), stored.legacyVersion);
+    if (!envelope) throw new Error("Unrecognized cart payload");
+    envelope = migrate(envelope);
+  } catch (err) {
+    quarantine([{ reason: err.message, payload: stored.raw }]);
+    try {
+      localStorage.removeItem(stored.key);
+    } catch {
+      // Ignore errors (e.g. disabled storage)
+    }
+    return [];
+  }
+
+  const items = [];
+  const rejected = [];
+  const seen = new Set();
+  envelope.items.forEach((raw) => {
+    const [item, reason] = validateItem(raw);
+    if (!item) {
+      rejected.push({ reason, payload: raw });
+    } else if (seen.has(String(item.id))) {
+      rejected.push({ reason: "duplicate id", payload: raw });
+    } else {
+      seen.add(String(item.id));
+      items.push(item);
+    }
+  });
+  quarantine(rejected);
+
+  if (stored.key !== CART_STORAGE_KEY || rejected.length > 0) {
+    saveCart(items);
+    if (stored.key !== CART_STORAGE_KEY) {
+      try {
+        localStorage.removeItem(stored.key);
+      } catch {
+        // Ignore errors (e.g. disabled storage)
+      }
+    }
+  }
+
+  return items;
+}
+
+/** readStoredRaw() - the raw stored cart string (null if missing/unavailable). */
+export function readStoredRaw() {
+  try {
+    return localStorage.getItem(CART_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * saveCart(items)
+ * - Persist items in the current envelope format.
+ * - Returns the raw string now in storage (unchanged when items are equal).
+ */
+export function saveCart(items) {
+  const existing = readStoredRaw();
+  try {
+    const parsed = JSON.parse(existing);
+    if (
+      parsed?.version === CART_SCHEMA_VERSION &&
+      JSON.stringify(parsed.items) === JSON.stringify(items)
+    )
+      return existing;
+  } catch {
+    // Unreadable payload: overwrite it below.
+  }
+
+  const raw = JSON.stringify({
+    version: CART_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    items,
+  });
+  try {
+    localStorage.setItem(CART_STORAGE_KEY, raw);
+  } catch {
+    // Ignore errors (e.g. storage quota, disabled storage)
+    return existing;
+  }
+  return raw;
+}
+
+/** readCartOwner() - id of the user the stored cart belongs to (null: guest). */
+export function readCartOwner() {
+  try {
+    return JSON.parse(localStorage.getItem(CART_OWNER_KEY)) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/** writeCartOwner(userId) - record whose cart is stored (null: guest). */
+export function writeCartOwner(userId) {
+  try {
+    localStorage.setItem(CART_OWNER_KEY, JSON.stringify(userId ?? null));
+  } catch {
+    // Ignore errors (e.g. storage quota, disabled storage)
+  }
+}
@@ -15,6 +15,14 @@
  * - If you add new hooks, export them here to keep imports consistent across the app.
  */
 export { useCart } from "./useCart"; // cart context helper (add/update/remove/clear)
+export { useAuth } from "./useAuth"; // signed-in user and login/logout
+export { useAccount } from "./useAccount"; // signed-in user's /users record (load/save)
+export { useCartRevalidation } from "./useCartRevalidation"; // refresh cart prices/availability on mount
+export { useOrderTotals } from "./useOrderTotals"; // subtotal/discounts/shipping/tax/total breakdown
+export { useOrders } from "./useOrders"; // persisted order history (list/get/save)
+export { useCustomerProfile } from "./useCustomerProfile"; // address book and saved cards (per user)
 export { useLocalStorage } from "./useLocalStorage"; // simple persistent state tied to localStorage
 export { useApi, useAsync } from "./useApi"; // reusable API / async helpers (loading, error, refetch)
 export { useDebounce, useDebounceCallback } from "./useDebounce"; // debounce utilities for inputs/callbacks
+export { useIntersectionObserver } from "./useIntersectionObserver"; // callback when an element scrolls into view
+export { useScrollRestoration } from "./useScrollRestoration"; // keep a page's scroll position across Back/Forward
@@ -0,0 +1,50 @@
+/**
+ * useAccount.js
+ *
+ * The signed-in user's FakeStoreAPI record (/users/:id) and a save action.
+ *
+ * Usage:
+ *   const { account, loading, error, saveAccount } = useAccount();
+ *
+ * Notes:
+ * - `account` is null while signed out or loading. It's cached under
+ *   userQueryKey(id) (see useApi and api.js), so the account pages, checkout
+ *   and the admin user page share it.
+ * - saveAccount(values) takes UserForm values (see profile/account.js), sends
+ *   PUT /users/:id and keeps the change in the local user overlay, since
+ *   FakeStoreAPI doesn't persist edits. Resolves with the saved record.
+ *   A changed username is copied to the session so the navbar shows it.
+ */
+
+import { useAuth } from "./useAuth";
+import { useApi } from "./useApi";
+import { getUser, updateUser, userQueryKey } from "../api/api";
+import { getSession, setSession } from "../api/session";
+import { formToUser } from "../profile/account";
+
+export function useAccount() {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+
+  const { data, loading, error, refetch } = useApi(
+    ({ signal }) => getUser(userId, { signal }),
+    [userId],
+    { key: userQueryKey(userId), staleTime: 60 * 1000, enabled: !!userId }
+  );
+
+  const saveAccount = async (values) => {
+    const { data: saved } = await updateUser(userId, formToUser(values));
+    const session = getSession();
+    if (session?.userId === userId && saved.username !== session.username)
+      setSession({ ...session, username: saved.username });
+    return saved;
+  };
+
+  return {
+    account: userId ? data : null,
+    loading: !!userId && loading,
+    error,
+    refetch,
+    saveAccount,
+  };
+}
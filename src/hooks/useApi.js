@@ -2,73 +2,189 @@
  * useApi / useAsync
  *
  * Utility hooks to simplify API calls and async operations:
- * - useApi(apiFunction, deps)
+ * - useApi(apiFunction, deps, options)
  *     - Calls the provided apiFunction (should return an axios-like response or any object)
  *     - Manages data, loading and error states automatically
- *     - Returns { data, loading, error, refetch }
- *     - Useful for simple data fetching in components
+ *     - Returns { data, loading, error, refetch, isFetching }
+ *     - Pass `options.key` to share results through the query cache
+ *       (stale-while-revalidate, see api/queryCache.js)
  *
  * - useAsync()
  *     - Provides an `execute` function to run arbitrary async work with loading/error/data state
  *     - Useful for on-demand operations (form submit, button actions, etc.)
  *
  * Notes / best-practices:
- * - apiFunction should be a function (no args) that performs the fetch and returns a response.
- *   Example: () => axios.get("/api/items")
+ * - apiFunction receives `{ signal }` from an AbortController; forward it to the
+ *   request so it is canceled on unmount.
+ *   Example: ({ signal }) => getProducts({ signal })
  * - If apiFunction returns an axios response, useApi sets `data = response.data`.
  *   If your function returns raw data, adapt accordingly (e.g. return { data }).
  * - The dependencies array controls when useApi re-runs; include inputs used by apiFunction.
+ *   With a key, include those inputs in the key as well (e.g. ["products", id]).
  * - Both hooks surface `error` as a string (error.message fallback); components can show it in UI.
- * - Consider adding cancellation (AbortController) in apiFunction or here for long-running fetches.
+ * - Keyed queries:
+ *     - Cached data is returned immediately and revalidated in the background,
+ *       so `loading` is only true when there is nothing to show yet.
+ *     - `isFetching` is true during any request, including background refreshes.
+ *     - options.staleTime (ms, default 0) skips refetching while data is fresh.
+ *     - options.cacheTime (ms, default 5 min) keeps unused entries around.
+ *     - options.enabled (default true) set to false to hold off fetching.
+ *     - options.keepPreviousData (default false) keeps showing the last
+ *       data while a new key loads for the first time (e.g. the next page),
+ *       instead of going back to `loading`.
+ *     - Call invalidateQueries(key) after mutations (product helpers in
+ *       api/api.js already do this) to refresh subscribed components.
  */
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
+import { isCancel } from "../api/client";
+import {
+  DEFAULT_CACHE_TIME,
+  fetchQuery,
+  getQueryState,
+  hashKey,
+  isStale,
+  subscribe,
+} from "../api/queryCache";
+
+// Unwrap axios responses; pass raw values through.
+const unwrap = (response) =>
+  response && response.data !== undefined ? response.data : response;
+
+const toMessage = (err) => err?.message || "An error occurred";
 
 /**
  * Custom hook for managing API calls with loading, error, and data states
- * @param {Function} apiFunction - The API function to call. Should return a promise.
+ * @param {Function} apiFunction - The API function to call. Receives { signal }; should return a promise.
  * @param {Array} dependencies - Dependencies array for useEffect (when to refetch)
- * @returns {Object} - { data, loading, error, refetch }
+ * @param {Object} [options] - { key, staleTime, cacheTime, enabled, keepPreviousData } (see notes above)
+ * @returns {Object} - { data, loading, error, refetch, isFetching }
  */
-export function useApi(apiFunction, dependencies = []) {
-  // Local state: the fetched data, loading flag and any error message.
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
+export function useApi(apiFunction, dependencies = [], options = {}) {
+  const {
+    key,
+    staleTime = 0,
+    cacheTime = DEFAULT_CACHE_TIME,
+    enabled = true,
+    keepPreviousData = false,
+  } = options;
+  const hash = key ? hashKey(key) : null;
+
+  // Seed state from the cache so revisits render instantly.
+  const cached = hash ? getQueryState(hash) : undefined;
+  const [data, setData] = useState(
+    cached?.data !== undefined ? unwrap(cached.data) : null
+  );
+  const [loading, setLoading] = useState(enabled && cached?.data === undefined);
   const [error, setError] = useState(null);
+  const [isFetching, setIsFetching] = useState(false);
+
+  // Whether anything has been shown yet (for keepPreviousData).
+  const hasDataRef = useRef(cached?.data !== undefined);
+  useEffect(() => {
+    if (data !== null) hasDataRef.current = true;
+  }, [data]);
+  const keepPrevious = () => keepPreviousData && hasDataRef.current;
+
+  // Keep the latest apiFunction without re-running effects on every render.
+  const apiRef = useRef(apiFunction);
+  useEffect(() => {
+    apiRef.current = apiFunction;
+  });
+
+  // Controller for unkeyed requests (aborted on unmount / re-run).
+  const controllerRef = useRef(null);
 
   // fetchData is the main worker that calls apiFunction and updates state.
   const fetchData = async () => {
+    const fetcher = (ctx) => apiRef.current(ctx);
+
+    if (hash) {
+      // Keyed: the cache handles dedupe and state; listeners update this component.
+      try {
+        await fetchQuery(hash, fetcher);
+      } catch {
+        // Error state is delivered through the cache subscription.
+      }
+      return;
+    }
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
     try {
       setLoading(true);
+      setIsFetching(true);
       setError(null);
 
       // apiFunction should return a promise; if using axios it will be a response object.
-      const response = await apiFunction();
+      const response = await fetcher({ signal: controller.signal });
 
       // If response has `.data` (axios), use it; otherwise use the value directly.
-      setData(
-        response && response.data !== undefined ? response.data : response
-      );
+      setData(unwrap(response));
     } catch (err) {
+      // Ignore cancellations (unmount or superseded request).
+      if (isCancel(err)) return;
       // Normalize error message so UI can display it easily.
-      setError(err?.message || "An error occurred");
+      setError(toMessage(err));
     } finally {
-      setLoading(false);
+      if (controllerRef.current === controller) {
+        setLoading(false);
+        setIsFetching(false);
+      }
     }
   };
 
-  // Run on mount and whenever dependencies change.
+  // Run on mount and whenever dependencies/key change.
   useEffect(() => {
-    fetchData();
+    if (!enabled) {
+      setLoading(false);
+      return undefined;
+    }
+
+    if (!hash) {
+      fetchData();
+      return () => controllerRef.current?.abort();
+    }
+
+    // Sync local state from the cache entry.
+    const sync = () => {
+      const state = getQueryState(hash);
+      if (!state) return;
+      if (state.data !== undefined) setData(unwrap(state.data));
+      setError(
+        state.error && !isCancel(state.error) ? toMessage(state.error) : null
+      );
+      setIsFetching(state.isFetching);
+      setLoading(
+        state.data === undefined &&
+          (state.isFetching || !state.error) &&
+          !keepPrevious()
+      );
+    };
+
+    const unsubscribe = subscribe(hash, sync, { cacheTime });
+    const state = getQueryState(hash);
+    if (state?.data !== undefined) setData(unwrap(state.data));
+    else if (!keepPrevious()) setData(null);
+    setLoading(state?.data === undefined && !keepPrevious());
+    setError(null);
+
+    // Serve cached data and revalidate in the background when stale.
+    if (isStale(hash, staleTime)) fetchData();
+    else sync();
+
+    return unsubscribe;
     // Intentionally not including fetchData in deps to avoid re-creating effect.
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, dependencies);
+  }, [hash, enabled, ...dependencies]);
 
   // Expose refetch so consumers can manually refresh data.
   return {
     data,
     loading,
     error,
+    isFetching,
     refetch: fetchData,
   };
 }
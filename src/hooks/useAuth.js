@@ -0,0 +1,30 @@
+/**
+ * useAuth.js
+ *
+ * Small wrapper hook for accessing the AuthContext.
+ *
+ * Usage:
+ *   import { useAuth } from "../hooks";
+ *   const { user, isAuthenticated, login, logout } = useAuth();
+ *
+ * Notes:
+ * - Like useCart, this hook only returns the context and throws when it's
+ *   used outside of AuthProvider.
+ */
+
+import { useContext } from "react";
+import AuthContext from "../context/AuthContext.jsx";
+
+/**
+ * Custom hook to access auth context
+ * Must be used within AuthProvider
+ */
+export function useAuth() {
+  const context = useContext(AuthContext);
+
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+
+  return context;
+}
@@ -0,0 +1,52 @@
+/**
+ * useCartRevalidation.js
+ *
+ * Revalidates cart snapshots against current product data when a page mounts.
+ *
+ * Purpose:
+ * - Cart items keep the price they had when added. Pages that show totals
+ *   (CartPage, Checkout) call this hook so prices are refreshed and removed
+ *   products are flagged before the user pays.
+ *
+ * Usage:
+ *   const { checking, error, recheck } = useCartRevalidation();
+ *
+ * Notes:
+ * - The changes found are stored in CartContext (`priceChanges`) so the notice
+ *   survives navigation from the cart page to checkout.
+ * - Skips the request when the cart is empty.
+ * - Failures are non-fatal: `error` is set and the cart keeps its snapshots.
+ */
+
+import { useState, useEffect } from "react";
+import { useCart } from "./useCart";
+
+export function useCartRevalidation() {
+  const { items, revalidate } = useCart();
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const hasItems = items.length > 0;
+
+  // recheck runs one revalidation pass and tracks its loading/error state.
+  const recheck = async () => {
+    try {
+      setChecking(true);
+      setError(null);
+      await revalidate();
+    } catch (err) {
+      setError(err?.message || "Couldn’t check current prices");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Run once on mount (and again if the cart goes from empty to non-empty).
+  useEffect(() => {
+    if (hasItems) recheck();
+    // Intentionally not including recheck in deps to avoid re-creating effect.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hasItems]);
+
+  return { checking, error, recheck };
+}
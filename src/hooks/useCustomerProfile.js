@@ -0,0 +1,56 @@
+/**
+ * useCustomerProfile.js
+ *
+ * Access to the saved checkout details (address book, saved cards, contact)
+ * of the signed-in user, or of this browser when signed out (see
+ * profile/customerProfile.js).
+ *
+ * Usage:
+ *   const { profile, saveAddress, saveCard } = useCustomerProfile();
+ *
+ * Notes:
+ * - Backed by useLocalStorage under a per-user key, so signing in or out
+ *   switches profiles and every component using this hook stays in sync.
+ * - `profile` is validated; the action helpers mirror the pure functions in
+ *   customerProfile.js.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useLocalStorage } from "./useLocalStorage";
+import { getSession, subscribeSession } from "../api/session";
+import {
+  EMPTY_PROFILE,
+  addAddress,
+  addCard,
+  normalizeProfile,
+  profileStorageKey,
+  removeAddress,
+  removeCard,
+  setDefaultAddress,
+} from "../profile/customerProfile";
+
+export function useCustomerProfile() {
+  const [session, setSession] = useState(getSession);
+  useEffect(() => subscribeSession(setSession), []);
+
+  const [stored, setStored] = useLocalStorage(
+    profileStorageKey(session),
+    EMPTY_PROFILE
+  );
+  const profile = useMemo(() => normalizeProfile(stored), [stored]);
+
+  // Apply a customerProfile.js update to the latest stored profile
+  const update = (fn, ...args) =>
+    setStored((prev) => fn(normalizeProfile(prev), ...args));
+
+  return {
+    profile,
+    // saveAddress(address, { contact, makeDefault }) - add/update an address
+    saveAddress: (address, options) => update(addAddress, address, options),
+    deleteAddress: (id) => update(removeAddress, id),
+    makeDefaultAddress: (id) => update(setDefaultAddress, id),
+    // saveCard({ brand, last4 }) - remember a card's brand and last 4 digits
+    saveCard: (card) => update(addCard, card),
+    deleteCard: (id) => update(removeCard, id),
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * useIntersectionObserver.js
+ *
+ * Calls back when an element scrolls into view (IntersectionObserver).
+ *
+ * Usage:
+ *   const sentinelRef = useIntersectionObserver(loadMore, {
+ *     rootMargin: "400px",
+ *     enabled: hasMore && !isFetching,
+ *   });
+ *   <div ref={sentinelRef} />
+ *
+ * Notes:
+ * - Returns a callback ref; attach it to the element to watch.
+ * - onIntersect(entry) runs each time the element enters the viewport (or
+ *   `root`). The latest callback is always used, so it needn't be memoized.
+ * - The observer is recreated when the element, `enabled` or the options
+ *   change. A new observer reports right away if the element is already in
+ *   view, so re-enabling (or keying the element on the list length) checks
+ *   again after a load that didn't push it out of view.
+ * - Does nothing where IntersectionObserver isn't available; offer a
+ *   "Load more" button as a fallback.
+ */
+
+import { useEffect, useRef, useState } from "react";
+
+export function useIntersectionObserver(
+  onIntersect,
+  { root = null, rootMargin = "0px", threshold = 0, enabled = true } = {}
+) {
+  const [node, setNode] = useState(null);
+
+  // Keep the latest callback without re-creating the observer.
+  const callbackRef = useRef(onIntersect);
+  useEffect(() => {
+    callbackRef.current = onIntersect;
+  });
+
+  useEffect(() => {
+    if (!node || !enabled || typeof IntersectionObserver === "undefined")
+      return undefined;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) callbackRef.current(entry);
+        });
+      },
+      { root, rootMargin, threshold }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [node, enabled, root, rootMargin, threshold]);
+
+  return setNode;
+}
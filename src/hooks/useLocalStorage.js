@@ -13,9 +13,45 @@
  * - The setter supports functional updates to match useState API.
  * - Errors reading/writing localStorage are caught and logged to avoid breaking the app.
  * - Useful for small pieces of persistent UI state (theme, last-visited page, etc.).
+ * - Stays in sync across tabs (via `storage` events) and across hook instances
+ *   in the same tab that share a key (via a "local-storage" window event).
+ * - Functional updates are applied to the latest stored value, so concurrent
+ *   writers don't overwrite each other's changes.
+ * - The key may change between renders; the value is then read from the new key.
  */
 
-import { useState } from "react";
+import { useState, useEffect } from "react";
+
+// Same-tab change notification (the native `storage` event only fires in other tabs).
+const LOCAL_EVENT = "local-storage";
+
+// Parse a stored string, falling back to initialValue when missing/corrupt.
+function parseStored(raw, initialValue) {
+  if (raw === null || raw === undefined) return initialValue;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return initialValue;
+  }
+}
+
+// Read and parse a key, logging (and falling back to initialValue) on errors.
+function readValue(key, initialValue) {
+  try {
+    // Try to read the value from localStorage
+    const item = window.localStorage.getItem(key);
+    // If present, parse and return it; otherwise return the provided initialValue
+    return item ? JSON.parse(item) : initialValue;
+  } catch (error) {
+    // If parsing fails or access to localStorage is denied, log a warning
+    // and fall back to the initial value to keep the app functional.
+    console.warn(
+      `useLocalStorage: Error reading localStorage key "${key}":`,
+      error
+    );
+    return initialValue;
+  }
+}
 
 /**
  * Custom hook for managing localStorage with React state
@@ -25,22 +61,16 @@ import { useState } from "react";
  */
 export function useLocalStorage(key, initialValue) {
   // Initialize state lazily: read from localStorage once on first render.
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      // Try to read the value from localStorage
-      const item = window.localStorage.getItem(key);
-      // If present, parse and return it; otherwise return the provided initialValue
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      // If parsing fails or access to localStorage is denied, log a warning
-      // and fall back to the initial value to keep the app functional.
-      console.warn(
-        `useLocalStorage: Error reading localStorage key "${key}":`,
-        error
-      );
-      return initialValue;
-    }
-  });
+  const [storedValue, setStoredValue] = useState(() =>
+    readValue(key, initialValue)
+  );
+
+  // A different key (e.g. per-user storage after signing in) -> read its value.
+  const [readKey, setReadKey] = useState(key);
+  if (readKey !== key) {
+    setReadKey(key);
+    setStoredValue(readValue(key, initialValue));
+  }
 
   /**
    * setValue
@@ -50,13 +80,18 @@ export function useLocalStorage(key, initialValue) {
    */
   const setValue = (value) => {
     try {
-      // Support functional updates: value can be a function (prev => next)
-      const valueToStore =
-        value instanceof Function ? value(storedValue) : value;
+      // Support functional updates: value can be a function (prev => next).
+      // Read the latest stored value so updates from other tabs aren't lost.
+      const latest = parseStored(window.localStorage.getItem(key), storedValue);
+      const valueToStore = value instanceof Function ? value(latest) : value;
       // Update React state
       setStoredValue(valueToStore);
       // Persist to localStorage (stringify to preserve types/objects)
       window.localStorage.setItem(key, JSON.stringify(valueToStore));
+      // Let other hook instances in this tab know about the change
+      window.dispatchEvent(
+        new CustomEvent(LOCAL_EVENT, { detail: { key, value: valueToStore } })
+      );
     } catch (error) {
       // Log errors (quota exceeded, serialization issues, etc.) but don't throw
       // to avoid breaking UI code that uses the hook.
@@ -67,6 +102,26 @@ export function useLocalStorage(key, initialValue) {
     }
   };
 
+  // Keep state in sync with writes from other tabs and other hook instances.
+  useEffect(() => {
+    const onStorage = (e) => {
+      // e.key is null when storage was cleared entirely.
+      if (e.key !== null && e.key !== key) return;
+      setStoredValue(parseStored(e.newValue, initialValue));
+    };
+    const onLocal = (e) => {
+      if (e.detail?.key === key) setStoredValue(e.detail.value);
+    };
+    window.addEventListener("storage", onStorage);
+    window.addEventListener(LOCAL_EVENT, onLocal);
+    return () => {
+      window.removeEventListener("storage", onStorage);
+      window.removeEventListener(LOCAL_EVENT, onLocal);
+    };
+    // initialValue is only a fallback; re-subscribing on its identity is unnecessary.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key]);
+
   // Return the current stored value and the setter – same shape as useState.
   return [storedValue, setValue];
 }
@@ -0,0 +1,38 @@
+/**
+ * useOrderTotals.js
+ *
+ * Order summary totals (subtotal, discounts, shipping, tax, total) for the cart.
+ *
+ * Purpose:
+ * - CartPage and Checkout show the same breakdown; this hook combines the cart
+ *   context values with the pricing modules (see pricing/orderTotals.js).
+ *
+ * Usage:
+ *   const totals = useOrderTotals({ shippingMethod, country, region });
+ *   totals.shipping.amount, totals.tax.amount, totals.total
+ *
+ * Notes:
+ * - All options are optional: without a destination the tax is `pending`,
+ *   without a method the default shipping method is used.
+ */
+
+import { useMemo } from "react";
+import { useCart } from "./useCart";
+import { calculateOrderTotals } from "../pricing/orderTotals";
+
+export function useOrderTotals({ shippingMethod, country, region } = {}) {
+  const { items, cartTotal, discountTotal } = useCart();
+
+  return useMemo(
+    () =>
+      calculateOrderTotals({
+        items,
+        subtotal: cartTotal,
+        discountTotal,
+        shippingMethod,
+        country,
+        region,
+      }),
+    [items, cartTotal, discountTotal, shippingMethod, country, region]
+  );
+}
@@ -0,0 +1,40 @@
+/**
+ * useOrders.js
+ *
+ * Access to the persisted order history of the signed-in user, or of guest
+ * checkouts in this browser when signed out (see orders/orderHistory.js).
+ *
+ * Usage:
+ *   const { orders, getOrder, saveOrder } = useOrders();
+ *
+ * Notes:
+ * - Backed by useLocalStorage under a per-user key, so signing in or out
+ *   switches histories and every component using this hook (and other tabs)
+ *   sees new orders immediately.
+ * - `orders` is validated and sorted newest first.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useLocalStorage } from "./useLocalStorage";
+import { getSession, subscribeSession } from "../api/session";
+import {
+  addOrder,
+  normalizeOrders,
+  ordersStorageKey,
+} from "../orders/orderHistory";
+
+export function useOrders() {
+  const [session, setSession] = useState(getSession);
+  useEffect(() => subscribeSession(setSession), []);
+
+  const [stored, setStored] = useLocalStorage(ordersStorageKey(session), []);
+  const orders = useMemo(() => normalizeOrders(stored), [stored]);
+
+  // getOrder(id) - a single order, or null if it doesn't exist
+  const getOrder = (id) => orders.find((o) => o.id === id) ?? null;
+
+  // saveOrder(order) - add (or replace) an order in the history
+  const saveOrder = (order) => setStored((prev) => addOrder(prev, order));
+
+  return { orders, getOrder, saveOrder };
+}
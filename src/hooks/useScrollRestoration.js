@@ -0,0 +1,77 @@
+/**
+ * useScrollRestoration.js
+ *
+ * Remembers the window scroll position of a page per history entry and puts
+ * it back when the user returns (e.g. Back from a product to the list).
+ *
+ * Usage:
+ *   useScrollRestoration(!loading);
+ *
+ * Notes:
+ * - Positions are kept in sessionStorage under "scroll:<location.key>", so
+ *   each visit to the page has its own and they survive a reload.
+ * - `ready` should turn true once the content is rendered at its full
+ *   height; restoring any earlier would be cut short. The position is
+ *   restored once per mount.
+ * - The browser's own restoration is turned off while the page is mounted,
+ *   since it runs before the content has loaded.
+ * - BrowserRouter doesn't reset the scroll position on navigation, so new
+ *   visits (no saved position) are left where they are.
+ */
+
+import { useEffect, useRef } from "react";
+import { useLocation } from "react-router-dom";
+
+const storageKey = (key) => `scroll:${key}`;
+
+function readPosition(key) {
+  try {
+    const y = Number(sessionStorage.getItem(storageKey(key)));
+    return Number.isFinite(y) && y > 0 ? y : null;
+  } catch {
+    return null;
+  }
+}
+
+export function useScrollRestoration(ready) {
+  const { key } = useLocation();
+  const positionRef = useRef(0);
+  const restoredRef = useRef(false);
+
+  // Track the position while mounted; save it when leaving this entry.
+  useEffect(() => {
+    restoredRef.current = false;
+    positionRef.current = window.scrollY;
+    const onScroll = () => {
+      positionRef.current = window.scrollY;
+    };
+    window.addEventListener("scroll", onScroll, { passive: true });
+    return () => {
+      window.removeEventListener("scroll", onScroll);
+      try {
+        sessionStorage.setItem(storageKey(key), String(positionRef.current));
+      } catch {
+        // Ignore errors (e.g. storage quota, disabled storage)
+      }
+    };
+  }, [key]);
+
+  // Leave restoring to us while mounted
+  useEffect(() => {
+    const { history } = window;
+    if (!("scrollRestoration" in history)) return undefined;
+    const previous = history.scrollRestoration;
+    history.scrollRestoration = "manual";
+    return () => {
+      history.scrollRestoration = previous;
+    };
+  }, []);
+
+  // Restore once the content is ready
+  useEffect(() => {
+    if (!ready || restoredRef.current) return;
+    restoredRef.current = true;
+    const y = readPosition(key);
+    if (y !== null) window.scrollTo(0, y);
+  }, [ready, key]);
+}
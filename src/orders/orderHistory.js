@@ -0,0 +1,136 @@
+/**
+ * orderHistory.js
+ *
+ * Persisted record of completed orders (used by useOrders and the order pages).
+ *
+ * Purpose:
+ * - Keep a self-contained snapshot of every placed order - items with the
+ *   prices paid, shipping address, totals, payment summary, timestamp and
+ *   status - so it can be shown and reordered after the cart is cleared.
+ *
+ * Storage:
+ * - localStorage, one history per owner: "orders:v1:user-<id>" for the
+ *   signed-in user (see api/session.js), "orders:v1:local" for guests; each
+ *   holds an array of orders, newest first. The shared "orders:v1" list of
+ *   earlier versions isn't read: whose orders it holds is unknown.
+ * - Entries that fail validation on read are dropped (the rest still load).
+ * - Capped at MAX_ORDERS so storage can't grow without bound.
+ *
+ * Notes:
+ * - Orders only ever store the card brand and last 4 digits.
+ */
+
+export const ORDERS_STORAGE_PREFIX = "orders:v1";
+
+// Oldest orders are dropped beyond this count.
+export const MAX_ORDERS = 100;
+
+// Status labels shown in the UI, by order status
+export const ORDER_STATUS_LABELS = {
+  paid: "Paid",
+  refunded: "Refunded",
+  partially_refunded: "Partially refunded",
+  canceled: "Canceled",
+};
+
+/** ordersStorageKey(session) - localStorage key for the session's owner. */
+export const ordersStorageKey = (session) =>
+  session?.userId
+    ? `${ORDERS_STORAGE_PREFIX}:user-${session.userId}`
+    : `${ORDERS_STORAGE_PREFIX}:local`;
+
+const isValidOrder = (order) =>
+  !!order &&
+  typeof order === "object" &&
+  typeof order.id === "string" &&
+  typeof order.createdAt === "string" &&
+  Array.isArray(order.items) &&
+  order.items.length > 0 &&
+  typeof order.totals?.total === "number";
+
+/** normalizeOrders(value) - valid orders from a stored value (newest first). */
+export function normalizeOrders(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(isValidOrder)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/** addOrder(orders, order) - new list with `order` first (replacing same id). */
+export function addOrder(orders, order) {
+  const rest = normalizeOrders(orders).filter((o) => o.id !== order.id);
+  return [order, ...rest].slice(0, MAX_ORDERS);
+}
+
+/**
+ * createOrderRecord({ id, items, form, totals, promotions, payment, createdAt })
+ * - items: cart items at the time of payment (unavailable ones are skipped)
+ * - form: checkout values (contact + address fields; card fields are ignored)
+ * - totals: result of useOrderTotals()
+ * - promotions: CartContext appliedPromotions
+ * - payment: captured payment from the payment provider
+ */
+export function createOrderRecord({
+  id,
+  items,
+  form,
+  totals,
+  promotions = [],
+  payment,
+  createdAt = new Date().toISOString(),
+}) {
+  return {
+    id,
+    createdAt,
+    status: "paid",
+    items: items
+      .filter((i) => !i.unavailable)
+      .map((i) => ({
+        id: i.id,
+        title: i.title,
+        price: i.price,
+        image: i.image,
+        category: i.category,
+        variant: i.variant ?? null,
+        qty: i.qty,
+      })),
+    contact: {
+      firstName: form.firstName,
+      lastName: form.lastName,
+      email: form.email,
+      phone: form.phone,
+    },
+    shippingAddress: {
+      address1: form.address1,
+      address2: form.address2,
+      city: form.city,
+      state: form.state,
+      zip: form.zip,
+      country: form.country,
+    },
+    shippingMethod: {
+      id: totals.shipping.method,
+      label: totals.shipping.label,
+    },
+    promotions: promotions.map(({ code, description, amount }) => ({
+      code,
+      description,
+      amount,
+    })),
+    totals: {
+      subtotal: totals.subtotal,
+      discountTotal: totals.discountTotal,
+      shipping: totals.shipping.amount,
+      tax: totals.tax.amount,
+      taxLabel: totals.tax.label,
+      total: totals.total,
+    },
+    payment: {
+      id: payment.id,
+      status: payment.status,
+      amount: payment.amount,
+      brand: payment.brand,
+      last4: payment.last4,
+    },
+  };
+}
@@ -0,0 +1,302 @@
+/**
+ * orderSubmission.js
+ *
+ * Order submission pipeline used by Checkout: authorize -> optional 3-D Secure
+ * -> capture, made safe against double submits and page refreshes.
+ *
+ * Purpose:
+ * - Every checkout attempt gets an idempotency key (sent with the payment
+ *   authorization) and a frozen snapshot of the cart, totals and address.
+ *   The order record is built from that snapshot, never from the live cart.
+ * - Duplicate submissions (Enter pressed twice, a second click while the
+ *   network is slow) are collapsed into the request already in flight.
+ * - The attempt is saved to sessionStorage ("checkout:submission") after every
+ *   step. If the tab is refreshed mid-payment, recoverSubmission() looks the
+ *   payment up by idempotency key and continues from its status instead of
+ *   charging again.
+ *
+ * Submission shape:
+ *   { idempotencyKey, orderId, status, paymentId, snapshot, order, error,
+ *     createdAt, updatedAt }
+ *   status: "authorizing" | "requires_action" | "capturing" | "completed" |
+ *           "failed"
+ *
+ * Results (submitOrder / confirmChallenge / recoverSubmission):
+ *   { status: "requires_action", submission, payment }  -> show 3-D Secure
+ *   { status: "completed", submission, order }          -> order record to save
+ * Failures reject with the PaymentError from the provider.
+ *
+ * Notes:
+ * - While a submission is pending the cart is locked (CartContext ignores
+ *   changes); see isSubmissionPending.
+ * - sessionStorage is per tab, so the lock and recovery only apply to the tab
+ *   that placed the order.
+ * - Card details are passed to the provider and never stored.
+ * - subscribeSubmission(listener) notifies on every change in this tab.
+ */
+
+import {
+  PaymentError,
+  authorizePayment,
+  capturePayment,
+  completeChallenge,
+  lookupPayment,
+  voidPayment,
+} from "../payments/payments";
+import { createOrderRecord } from "./orderHistory";
+
+export const SUBMISSION_STORAGE_KEY = "checkout:submission";
+
+const PENDING_STATUSES = ["authorizing", "requires_action", "capturing"];
+
+const listeners = new Set();
+
+// The request currently running in this tab (duplicates get the same promise)
+let inflight = null;
+
+// Short random order id, e.g. "FS-K3J2H1G0"
+const newOrderId = () =>
+  `FS-${Math.random().toString(36).slice(2, 10).toUpperCase()}`;
+
+const newIdempotencyKey = () =>
+  globalThis.crypto?.randomUUID?.() ??
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+/** isSubmissionPending(submission) - true while a payment is in progress. */
+export const isSubmissionPending = (submission) =>
+  !!submission && PENDING_STATUSES.includes(submission.status);
+
+/**
+ * getSubmission()
+ * - Returns the stored submission for this tab, or null (none/corrupt).
+ */
+export function getSubmission() {
+  try {
+    const raw = sessionStorage.getItem(SUBMISSION_STORAGE_KEY);
+    if (!raw) return null;
+    const submission = JSON.parse(raw);
+    if (
+      typeof submission?.idempotencyKey !== "string" ||
+      typeof submission.status !== "string" ||
+      !submission.snapshot
+    )
+      return null;
+    return submission;
+  } catch {
+    return null;
+  }
+}
+
+function store(submission) {
+  try {
+    if (submission)
+      sessionStorage.setItem(
+        SUBMISSION_STORAGE_KEY,
+        JSON.stringify(submission)
+      );
+    else sessionStorage.removeItem(SUBMISSION_STORAGE_KEY);
+  } catch {
+    // Ignore errors (e.g. storage quota, disabled storage)
+  }
+  listeners.forEach((listener) => listener(submission));
+  return submission;
+}
+
+// Apply `changes` to the stored submission (if it's still the same attempt).
+function update(submission, changes) {
+  const current = getSubmission();
+  if (current && current.idempotencyKey !== submission.idempotencyKey)
+    return current;
+  return store({
+    ...submission,
+    ...current,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+/** clearSubmission() - forget the stored submission (after it's been handled). */
+export function clearSubmission() {
+  if (inflight) return;
+  store(null);
+}
+
+/**
+ * subscribeSubmission(listener)
+ * - Calls listener(submission|null) whenever the submission changes.
+ * - Returns an unsubscribe function.
+ */
+export function subscribeSubmission(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Run `task` as the in-flight request of this tab.
+function track(task) {
+  const promise = task().finally(() => {
+    if (inflight === promise) inflight = null;
+  });
+  inflight = promise;
+  return promise;
+}
+
+// Record a failure (unlocks the cart) and hand the error back to the caller.
+function fail(submission, err) {
+  update(submission, {
+    status: "failed",
+    error: { message: err.message, code: err.code ?? null },
+  });
+  return err;
+}
+
+// Capture an authorized payment and build the order record from the snapshot.
+// A failed capture voids the authorization so no funds stay on hold.
+async function captureAndComplete(submission, payment) {
+  update(submission, { status: "capturing", paymentId: payment.id });
+  let captured = payment;
+  if (payment.status !== "captured") {
+    try {
+      captured = await capturePayment(payment.id);
+    } catch (err) {
+      await voidPayment(payment.id).catch(() => {});
+      throw err;
+    }
+  }
+  const order = createOrderRecord({
+    ...submission.snapshot,
+    id: submission.orderId,
+    payment: captured,
+  });
+  const completed = update(submission, {
+    status: "completed",
+    paymentId: captured.id,
+    order,
+  });
+  return { status: "completed", submission: completed, order };
+}
+
+// Authorization result -> challenge, or capture and complete.
+function handleAuthorized(submission, payment) {
+  if (payment.status === "requires_action") {
+    const waiting = update(submission, {
+      status: "requires_action",
+      paymentId: payment.id,
+    });
+    return { status: "requires_action", submission: waiting, payment };
+  }
+  return captureAndComplete(submission, payment);
+}
+
+/**
+ * submitOrder({ snapshot, card })
+ * - snapshot: { items, form, totals, promotions, rememberCard } frozen at
+ *   submit time (form holds contact/address fields only; see
+ *   createOrderRecord). rememberCard is passed back with the result.
+ * - card: { name, number, exp, cvc } for the authorization
+ * - Starts a new attempt with a fresh idempotency key. While an attempt is
+ *   still pending, calling again returns that attempt instead.
+ */
+export function submitOrder({ snapshot, card }) {
+  if (inflight) return inflight;
+  if (isSubmissionPending(getSubmission())) return recoverSubmission();
+
+  const now = new Date().toISOString();
+  const submission = store({
+    idempotencyKey: newIdempotencyKey(),
+    orderId: newOrderId(),
+    status: "authorizing",
+    paymentId: null,
+    snapshot,
+    order: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  return track(async () => {
+    try {
+      const payment = await authorizePayment({
+        amount: snapshot.totals.total,
+        currency: "USD",
+        card,
+        reference: submission.orderId,
+        idempotencyKey: submission.idempotencyKey,
+      });
+      return await handleAuthorized(submission, payment);
+    } catch (err) {
+      throw fail(submission, err);
+    }
+  });
+}
+
+/** confirmChallenge(code) - answer the 3-D Secure challenge, then capture. */
+export function confirmChallenge(code) {
+  if (inflight) return inflight;
+  const submission = getSubmission();
+  if (submission?.status !== "requires_action")
+    return Promise.reject(
+      new PaymentError("There is no payment waiting for confirmation.", {
+        code: "INVALID_STATE",
+      })
+    );
+
+  return track(async () => {
+    try {
+      const authorized = await completeChallenge(submission.paymentId, {
+        code,
+      });
+      return await captureAndComplete(submission, authorized);
+    } catch (err) {
+      throw fail(submission, err);
+    }
+  });
+}
+
+/** cancelSubmission() - abandon a 3-D Secure challenge and void the payment. */
+export async function cancelSubmission() {
+  const submission = getSubmission();
+  if (inflight || submission?.status !== "requires_action") return;
+  fail(
+    submission,
+    new PaymentError("Payment canceled. You haven’t been charged.", {
+      code: "CANCELED",
+    })
+  );
+  await voidPayment(submission.paymentId).catch(() => {});
+}
+
+/**
+ * recoverSubmission()
+ * - Continues the stored attempt after a refresh (or returns the one running).
+ * - Resolves null when there's nothing to recover. A completed attempt
+ *   resolves its result again so the caller can finish saving it.
+ * - The payment is looked up by idempotency key: authorized payments are
+ *   captured, captured ones completed, challenges reopened. If no payment
+ *   was created the attempt fails without charging.
+ */
+export function recoverSubmission() {
+  if (inflight) return inflight;
+  const submission = getSubmission();
+  if (!submission) return Promise.resolve(null);
+  if (submission.status === "completed" && submission.order)
+    return Promise.resolve({
+      status: "completed",
+      submission,
+      order: submission.order,
+    });
+  if (!isSubmissionPending(submission)) return Promise.resolve(null);
+
+  return track(async () => {
+    try {
+      const payment = await lookupPayment(submission.idempotencyKey);
+      if (!payment || ["failed", "voided"].includes(payment.status))
+        throw new PaymentError(
+          "Your previous payment didn’t go through. You haven’t been charged.",
+          { code: "CANCELED", paymentId: payment?.id ?? null }
+        );
+      return await handleAuthorized(submission, payment);
+    } catch (err) {
+      throw fail(submission, err);
+    }
+  });
+}
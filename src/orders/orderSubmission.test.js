@@ -0,0 +1,201 @@
+/**
+ * orderSubmission.test.js
+ *
+ * Tests for the order submission pipeline against the mock payment gateway.
+ *
+ * Notes:
+ * - Storage is an in-memory stub per test. A page refresh is simulated by
+ *   importing fresh copies of the modules over the same storage, the way the
+ *   app reloads with sessionStorage and the gateway's payments kept.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+const VISA = "4242424242424242";
+const DECLINED = "4000000000000002";
+const CHALLENGE = "4000000000003220";
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+}
+
+// Fresh modules (in-flight state, gateway cache) over the current storage.
+async function load() {
+  vi.resetModules();
+  return {
+    ...(await import("./orderSubmission")),
+    payments: await import("../payments/payments"),
+  };
+}
+
+const snapshot = {
+  items: [{ id: 1, title: "Backpack", price: 50, qty: 2, category: "x" }],
+  form: {
+    firstName: "Ann",
+    lastName: "Lee",
+    email: "ann@example.com",
+    phone: "",
+    address1: "1 Main St",
+    address2: "",
+    city: "Los Angeles",
+    state: "CA",
+    zip: "90001",
+    country: "US",
+  },
+  totals: {
+    subtotal: 100,
+    discountTotal: 0,
+    shipping: { method: "standard", label: "Standard", amount: 0 },
+    tax: { label: "Sales tax", amount: 7.25 },
+    total: 107.25,
+  },
+  promotions: [],
+};
+
+const card = (number) => ({
+  name: "Ann Lee",
+  number,
+  exp: "12/30",
+  cvc: "123",
+});
+
+// Payments the mock gateway has stored
+const storedPayments = () =>
+  JSON.parse(localStorage.getItem("payments:mock:v1") ?? "[]");
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", memoryStorage());
+  vi.stubGlobal("sessionStorage", memoryStorage());
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("submitOrder", () => {
+  it("authorizes and captures the snapshot total and builds the order", async () => {
+    const { submitOrder, getSubmission } = await load();
+    const result = await submitOrder({ snapshot, card: card(VISA) });
+
+    expect(result.status).toBe("completed");
+    expect(result.order).toMatchObject({
+      id: result.submission.orderId,
+      status: "paid",
+      totals: { total: 107.25 },
+      payment: { status: "captured", amount: 107.25, last4: "4242" },
+    });
+    expect(getSubmission().status).toBe("completed");
+    // Card details are never stored
+    expect(sessionStorage.getItem("checkout:submission")).not.toContain(VISA);
+  });
+
+  it("locks while pending and collapses duplicate submits into one payment", async () => {
+    const { submitOrder, getSubmission, isSubmissionPending } = await load();
+    const first = submitOrder({ snapshot, card: card(VISA) });
+    const second = submitOrder({ snapshot, card: card(VISA) });
+
+    expect(second).toBe(first);
+    expect(isSubmissionPending(getSubmission())).toBe(true);
+    await first;
+    expect(isSubmissionPending(getSubmission())).toBe(false);
+    expect(storedPayments()).toHaveLength(1);
+  });
+
+  it("records a decline as failed and rejects with the PaymentError", async () => {
+    const { submitOrder, getSubmission, payments } = await load();
+    const error = await submitOrder({ snapshot, card: card(DECLINED) }).catch(
+      (err) => err
+    );
+
+    expect(error).toBeInstanceOf(payments.PaymentError);
+    expect(error.code).toBe("DECLINED");
+    expect(getSubmission()).toMatchObject({
+      status: "failed",
+      error: { code: "DECLINED" },
+    });
+  });
+
+  it("completes after a 3-D Secure challenge", async () => {
+    const { submitOrder, confirmChallenge } = await load();
+    const pending = await submitOrder({ snapshot, card: card(CHALLENGE) });
+    expect(pending.status).toBe("requires_action");
+
+    const result = await confirmChallenge("123456");
+    expect(result.status).toBe("completed");
+    expect(result.order.payment.status).toBe("captured");
+  });
+});
+
+describe("recoverSubmission", () => {
+  it("captures a payment authorized before the refresh without charging again", async () => {
+    // The authorization reached the gateway, then the tab was refreshed.
+    const { payments } = await load();
+    await payments.authorizePayment({
+      amount: 107.25,
+      currency: "USD",
+      card: card(VISA),
+      reference: "FS-TEST",
+      idempotencyKey: "key-1",
+    });
+    sessionStorage.setItem(
+      "checkout:submission",
+      JSON.stringify({
+        idempotencyKey: "key-1",
+        orderId: "FS-TEST",
+        status: "authorizing",
+        paymentId: null,
+        snapshot,
+        order: null,
+        error: null,
+      })
+    );
+
+    const { recoverSubmission } = await load();
+    const result = await recoverSubmission();
+
+    expect(result.status).toBe("completed");
+    expect(result.order.id).toBe("FS-TEST");
+    expect(storedPayments()).toEqual([
+      expect.objectContaining({ idempotencyKey: "key-1", status: "captured" }),
+    ]);
+  });
+
+  it("reopens a 3-D Secure challenge that was open before the refresh", async () => {
+    const before = await load();
+    await before.submitOrder({ snapshot, card: card(CHALLENGE) });
+
+    const { recoverSubmission, confirmChallenge } = await load();
+    expect((await recoverSubmission()).status).toBe("requires_action");
+    expect((await confirmChallenge("123456")).status).toBe("completed");
+    expect(storedPayments()).toHaveLength(1);
+  });
+
+  it("fails without charging when no payment was created", async () => {
+    sessionStorage.setItem(
+      "checkout:submission",
+      JSON.stringify({
+        idempotencyKey: "key-2",
+        orderId: "FS-NONE",
+        status: "authorizing",
+        snapshot,
+      })
+    );
+
+    const { recoverSubmission, getSubmission } = await load();
+    await expect(recoverSubmission()).rejects.toMatchObject({
+      code: "CANCELED",
+    });
+    expect(getSubmission().status).toBe("failed");
+    expect(storedPayments()).toHaveLength(0);
+  });
+
+  it("resolves null when there is nothing to recover", async () => {
+    const { recoverSubmission } = await load();
+    await expect(recoverSubmission()).resolves.toBeNull();
+  });
+});
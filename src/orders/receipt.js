@@ -0,0 +1,127 @@
+/**
+ * receipt.js
+ *
+ * Receipt / invoice data for a completed order (see orders/orderHistory.js).
+ *
+ * Purpose:
+ * - Turn a stored order into one invoice document that the receipt page, the
+ *   PDF export (orders/receiptPdf.js) and the JSON export all render, so the
+ *   three never disagree.
+ * - Provide the JSON export used by the accounting import.
+ *
+ * JSON format ("fakestore.invoice/v1"):
+ * - Amounts are numbers in `currency` rounded to cents; dates are ISO strings.
+ * - `lines[].amount` is quantity x unitPrice before discounts; discounts,
+ *   shipping and tax are listed separately and `total` is what was charged.
+ * - `shippingAddress.countryCode` is the ISO 3166-1 alpha-2 code (null if
+ *   unknown); `shippingAddress.formatted` holds the printable address lines.
+ * - Only the card brand and last 4 digits are included.
+ * - Bump the schema version if fields are renamed or removed.
+ */
+
+import { CARD_BRANDS } from "../payments/cardValidation";
+import {
+  countryName,
+  formatAddressLines,
+  resolveCountryCode,
+} from "../addresses/address";
+
+export const INVOICE_SCHEMA = "fakestore.invoice/v1";
+
+// Seller details printed on every receipt
+export const SELLER = {
+  name: "FakeStore",
+  address: ["100 Market Street", "San Francisco, CA 94105", "United States"],
+  email: "support@fakestore.example",
+};
+
+const round = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/** invoiceNumber(orderId) - invoice number derived from the order id. */
+export const invoiceNumber = (orderId) =>
+  `INV-${String(orderId).replace(/^FS-/, "")}`;
+
+/** buildInvoice(order) - invoice document for a stored order. */
+export function buildInvoice(order) {
+  const { contact, shippingAddress, totals, payment } = order;
+
+  return {
+    schema: INVOICE_SCHEMA,
+    invoiceNumber: invoiceNumber(order.id),
+    orderId: order.id,
+    issuedAt: order.createdAt,
+    status: order.status,
+    currency: "USD",
+    seller: SELLER,
+    customer: {
+      name: [contact.firstName, contact.lastName].filter(Boolean).join(" "),
+      email: contact.email,
+      phone: contact.phone || null,
+    },
+    shippingAddress: {
+      line1: shippingAddress.address1,
+      line2: shippingAddress.address2 || null,
+      city: shippingAddress.city,
+      region: shippingAddress.state || null,
+      postalCode: shippingAddress.zip,
+      country: countryName(shippingAddress.country),
+      countryCode: resolveCountryCode(shippingAddress.country),
+      formatted: formatAddressLines(shippingAddress),
+    },
+    lines: order.items.map((item, index) => ({
+      lineNumber: index + 1,
+      sku: String(item.id),
+      description: item.variant
+        ? `${item.title} (${item.variant})`
+        : item.title,
+      category: item.category ?? null,
+      quantity: item.qty,
+      unitPrice: round(item.price),
+      amount: round(item.price * item.qty),
+    })),
+    discounts: order.promotions.map((p) => ({
+      code: p.code,
+      description: p.description,
+      amount: round(p.amount),
+    })),
+    shipping: {
+      method: order.shippingMethod.id,
+      description: order.shippingMethod.label,
+      amount: round(totals.shipping),
+    },
+    tax: {
+      description: totals.taxLabel,
+      amount: round(totals.tax),
+    },
+    subtotal: round(totals.subtotal),
+    discountTotal: round(totals.discountTotal),
+    total: round(totals.total),
+    payment: {
+      method: "card",
+      brand: CARD_BRANDS[payment.brand]?.label ?? "Card",
+      last4: payment.last4,
+      reference: payment.id,
+      amount: round(payment.amount),
+    },
+  };
+}
+
+/** invoiceToJson(invoice) - the accounting export (pretty-printed JSON). */
+export const invoiceToJson = (invoice) => JSON.stringify(invoice, null, 2);
+
+/** receiptFileName(invoice, extension) - e.g. "receipt-FS-ABC123.pdf". */
+export const receiptFileName = (invoice, extension) =>
+  `receipt-${invoice.orderId}.${extension}`;
+
+/** downloadBlob(blob, fileName) - save a Blob through a temporary link. */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
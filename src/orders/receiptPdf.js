@@ -0,0 +1,307 @@
+/**
+ * receiptPdf.js
+ *
+ * Client-side PDF version of the receipt (see orders/receipt.js).
+ *
+ * Purpose:
+ * - createReceiptPdf(invoice) returns a Blob ("application/pdf") laid out like
+ *   the printable receipt page: seller and invoice details, billing/shipping
+ *   address, line items, totals and payment.
+ *
+ * Notes:
+ * - Writes a minimal PDF 1.4 file by hand (no dependency): US Letter pages,
+ *   the standard Helvetica / Helvetica-Bold fonts with WinAnsi encoding, and
+ *   text/rule drawing only. Long orders continue on additional pages.
+ * - Characters outside WinAnsi are replaced (e.g. "−" -> "-", others -> "?").
+ * - Text widths use the Helvetica metrics below so amounts can be right-aligned
+ *   and long product names truncated.
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const BRAND_COLOR = [0, 0.2, 0.4]; // #003366
+
+// Helvetica advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+
+// Common characters outside Latin-1 and their WinAnsi stand-ins
+const REPLACEMENTS = {
+  "−": "-",
+  "–": "-",
+  "—": "-",
+  "‘": "'",
+  "’": "'",
+  "“": '"',
+  "”": '"',
+  "…": "...",
+  " ": " ",
+};
+
+const toWinAnsi = (str) =>
+  Array.from(String(str ?? ""))
+    .map((ch) => REPLACEMENTS[ch] ?? (ch.charCodeAt(0) <= 0xff ? ch : "?"))
+    .join("");
+
+const escapeText = (str) => str.replace(/[\\()]/g, (ch) => `\\${ch}`);
+
+function textWidth(str, size) {
+  let units = 0;
+  for (const ch of str) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units * size) / 1000;
+}
+
+// Shorten `str` with "..." until it fits in `maxWidth`.
+function fitText(str, size, maxWidth) {
+  if (textWidth(str, size) <= maxWidth) return str;
+  let out = str;
+  while (out.length > 1 && textWidth(`${out}...`, size) > maxWidth) {
+    out = out.slice(0, -1);
+  }
+  return `${out.trimEnd()}...`;
+}
+
+const num = (n) => Number(n.toFixed(2));
+
+/**
+ * createPdfWriter() - tiny page/text/rule writer.
+ * Coordinates are in points from the top-left corner of the page.
+ */
+function createPdfWriter() {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+
+  return {
+    addPage() {
+      pages.push([]);
+    },
+
+    // text(x, y, str, { size, bold, align: "left"|"right", color })
+    text(x, y, str, { size = 10, bold = false, align = "left", color } = {}) {
+      const safe = toWinAnsi(str);
+      const left = align === "right" ? x - textWidth(safe, size) : x;
+      const fill = color ? `${color.join(" ")} rg` : "0 g";
+      current().push(
+        `BT ${fill} /${bold ? "F2" : "F1"} ${size} Tf ${num(left)} ${num(
+          PAGE_HEIGHT - y
+        )} Td (${escapeText(safe)}) Tj ET`
+      );
+    },
+
+    // rule(x1, x2, y, gray) - horizontal line
+    rule(x1, x2, y, gray = 0.8) {
+      const py = num(PAGE_HEIGHT - y);
+      current().push(`${gray} G 0.75 w ${x1} ${py} m ${x2} ${py} l S`);
+    },
+
+    // toBlob(title) - serialize every page into a PDF Blob
+    toBlob(title = "") {
+      const objects = [];
+      // add(body) - append an object and return its (1-based) object number
+      const add = (body) => objects.push(body);
+
+      const catalog = add(null); // filled in below once the page tree exists
+      const pageTree = add(null);
+      const regular = add(
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+      );
+      const bold = add(
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+      );
+      const info = add(
+        `<< /Title (${escapeText(toWinAnsi(title))}) /Producer (FakeStore) >>`
+      );
+
+      const pageRefs = pages.map((ops) => {
+        const stream = ops.join("\n");
+        const contents = add(
+          `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+        );
+        return add(
+          `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${contents} 0 R >>`
+        );
+      });
+
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+      objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageRefs
+        .map((ref) => `${ref} 0 R`)
+        .join(" ")}] /Count ${pageRefs.length} >>`;
+
+      // Every character is a single byte (WinAnsi), so string length = offset.
+      let out = "%PDF-1.4\n";
+      const offsets = objects.map((body, i) => {
+        const offset = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets
+        .map((o) => `${String(o).padStart(10, "0")} 00000 n \n`)
+        .join("");
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\n`;
+      out += `startxref\n${xref}\n%%EOF`;
+
+      const bytes = new Uint8Array(out.length);
+      for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+      return new Blob([bytes], { type: "application/pdf" });
+    },
+  };
+}
+
+/** createReceiptPdf(invoice) - PDF Blob for an invoice from buildInvoice(). */
+export function createReceiptPdf(invoice) {
+  const pdf = createPdfWriter();
+  const money = new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: invoice.currency,
+  });
+  const date = new Intl.DateTimeFormat("en-US", { dateStyle: "long" }).format(
+    new Date(invoice.issuedAt)
+  );
+  const right = PAGE_WIDTH - MARGIN;
+  const bottom = PAGE_HEIGHT - MARGIN;
+
+  // Column positions for the line items table
+  const qtyX = 380;
+  const unitX = 470;
+  const descWidth = qtyX - MARGIN - 40;
+
+  let y = MARGIN;
+
+  // Move down by `height`, starting a new page when the block doesn't fit.
+  const advance = (height) => {
+    if (y + height > bottom) {
+      pdf.addPage();
+      y = MARGIN;
+    }
+    y += height;
+  };
+
+  const tableHeader = () => {
+    advance(16);
+    pdf.text(MARGIN, y, "Item", { bold: true, size: 9 });
+    pdf.text(qtyX, y, "Qty", { bold: true, size: 9, align: "right" });
+    pdf.text(unitX, y, "Unit price", { bold: true, size: 9, align: "right" });
+    pdf.text(right, y, "Amount", { bold: true, size: 9, align: "right" });
+    pdf.rule(MARGIN, right, y + 6, 0.6);
+    y += 6;
+  };
+
+  // Header: seller (left) and invoice details (right)
+  advance(20);
+  pdf.text(MARGIN, y, invoice.seller.name, {
+    size: 20,
+    bold: true,
+    color: BRAND_COLOR,
+  });
+  pdf.text(right, y, "Receipt", { size: 16, bold: true, align: "right" });
+
+  const details = [
+    `Invoice ${invoice.invoiceNumber}`,
+    `Order ${invoice.orderId}`,
+    `Date ${date}`,
+  ];
+  const sellerLines = [...invoice.seller.address, invoice.seller.email];
+  for (let i = 0; i < Math.max(details.length, sellerLines.length); i++) {
+    advance(13);
+    if (sellerLines[i]) pdf.text(MARGIN, y, sellerLines[i], { size: 9 });
+    if (details[i]) pdf.text(right, y, details[i], { size: 9, align: "right" });
+  }
+
+  // Bill to / ship to
+  advance(28);
+  pdf.text(MARGIN, y, "Billed and shipped to", { bold: true, size: 10 });
+  const { customer, shippingAddress: address } = invoice;
+  const addressLines = [
+    customer.name,
+    customer.email,
+    customer.phone,
+    ...address.formatted,
+  ].filter(Boolean);
+  for (const line of addressLines) {
+    advance(13);
+    pdf.text(MARGIN, y, line, { size: 9 });
+  }
+
+  // Line items
+  advance(14);
+  tableHeader();
+  for (const line of invoice.lines) {
+    if (y + 16 > bottom) {
+      pdf.addPage();
+      y = MARGIN;
+      tableHeader();
+    }
+    advance(16);
+    pdf.text(MARGIN, y, fitText(toWinAnsi(line.description), 9, descWidth), {
+      size: 9,
+    });
+    pdf.text(qtyX, y, String(line.quantity), { size: 9, align: "right" });
+    pdf.text(unitX, y, money.format(line.unitPrice), {
+      size: 9,
+      align: "right",
+    });
+    pdf.text(right, y, money.format(line.amount), { size: 9, align: "right" });
+  }
+  pdf.rule(MARGIN, right, y + 6);
+  y += 6;
+
+  // Totals (right-aligned block)
+  const totals = [
+    ["Subtotal", money.format(invoice.subtotal)],
+    ...invoice.discounts.map((d) => [
+      `Discount (${d.code})`,
+      `-${money.format(d.amount)}`,
+    ]),
+    [
+      `Shipping (${invoice.shipping.description})`,
+      invoice.shipping.amount === 0
+        ? "Free"
+        : money.format(invoice.shipping.amount),
+    ],
+    [invoice.tax.description, money.format(invoice.tax.amount)],
+  ];
+  for (const [label, value] of totals) {
+    advance(15);
+    pdf.text(unitX, y, label, { size: 9, align: "right" });
+    pdf.text(right, y, value, { size: 9, align: "right" });
+  }
+  advance(20);
+  pdf.text(unitX, y, "Total paid", { size: 11, bold: true, align: "right" });
+  pdf.text(right, y, money.format(invoice.total), {
+    size: 11,
+    bold: true,
+    align: "right",
+  });
+
+  // Payment and footer
+  advance(30);
+  pdf.text(
+    MARGIN,
+    y,
+    `Paid with ${invoice.payment.brand} ending in ${invoice.payment.last4} (reference ${invoice.payment.reference})`,
+    { size: 9 }
+  );
+  advance(24);
+  pdf.text(
+    MARGIN,
+    y,
+    `Thank you for shopping with ${invoice.seller.name}. Questions about this order? Contact ${invoice.seller.email}.`,
+    { size: 8, color: [0.4, 0.4, 0.4] }
+  );
+
+  return pdf.toBlob(`Receipt ${invoice.invoiceNumber}`);
+}
@@ -0,0 +1,106 @@
+// Account.jsx
+// The signed-in user's profile (FakeStoreAPI /users/:id) with links to edit it
+// and to the order history. Route: /account (signed-in users only).
+
+import { Link } from "react-router-dom";
+import { useAccount, useAuth } from "../hooks";
+import { ROLES } from "../auth/permissions";
+import { fullName, streetLine, titleCase } from "../profile/account";
+import Loader from "../components/Loader";
+
+// Bootstrap components for layout and UI
+import Container from "react-bootstrap/Container";
+import Card from "react-bootstrap/Card";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import Alert from "react-bootstrap/Alert";
+import Badge from "react-bootstrap/Badge";
+import Button from "react-bootstrap/Button";
+
+function Account() {
+  const { user } = useAuth();
+  const { account, loading, error, refetch } = useAccount();
+
+  if (loading) return <Loader label="Loading your account..." />;
+
+  if (!account) {
+    return (
+      <Container className="py-4">
+        <Alert
+          variant="danger"
+          className="d-flex justify-content-between align-items-center"
+        >
+          <div>
+            {error ? "Couldn’t load your account." : "Account not found."}
+          </div>
+          <Button variant="outline-danger" size="sm" onClick={refetch}>
+            Try again
+          </Button>
+        </Alert>
+      </Container>
+    );
+  }
+
+  // Label/value rows; empty values show a dash
+  const details = [
+    ["Username", account.username],
+    ["Email", account.email],
+    ["Phone", account.phone],
+    [
+      "Address",
+      [
+        streetLine(account),
+        [titleCase(account.address?.city), account.address?.zipcode]
+          .filter(Boolean)
+          .join(" "),
+      ]
+        .filter(Boolean)
+        .join(", "),
+    ],
+  ];
+
+  return (
+    <Container className="py-4">
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-4">
+        <h2 className="fw-bold mb-0">
+          {fullName(account)}{" "}
+          <Badge bg="secondary" className="fs-6 align-middle">
+            {ROLES[user.role].label}
+          </Badge>
+        </h2>
+        <div className="d-flex gap-2">
+          <Button as={Link} to="/orders" variant="outline-secondary">
+            Your orders
+          </Button>
+          <Button
+            as={Link}
+            to="/account/edit"
+            variant="primary"
+            style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+          >
+            Edit profile
+          </Button>
+        </div>
+      </div>
+
+      <Card className="shadow-sm">
+        <Card.Body>
+          {details.map(([label, value]) => (
+            <Row key={label} className="py-2 border-bottom">
+              <Col sm={3} className="text-muted">
+                {label}
+              </Col>
+              <Col sm={9}>{value || "—"}</Col>
+            </Row>
+          ))}
+          <p className="text-muted small mt-3 mb-0">
+            Checkout fills in your name, email, phone and address from this
+            profile.
+          </p>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+}
+
+export default Account;
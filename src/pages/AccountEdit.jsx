@@ -0,0 +1,115 @@
+// AccountEdit.jsx
+// Edit form for the signed-in user's profile. Saves via PUT /users/:id; since
+// FakeStoreAPI doesn't persist edits, the change is kept in the local user
+// overlay (see api/overlay.js). Route: /account/edit (signed-in users only).
+
+import { useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import { useAccount } from "../hooks";
+import { userToForm } from "../profile/account";
+import Loader from "../components/Loader";
+import UserForm from "../components/UserForm";
+
+// Bootstrap components for layout and UI
+import Container from "react-bootstrap/Container";
+import Card from "react-bootstrap/Card";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import Alert from "react-bootstrap/Alert";
+import Button from "react-bootstrap/Button";
+
+function AccountEdit() {
+  const navigate = useNavigate();
+  const { account, loading, saveAccount } = useAccount();
+
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  // Form values from the loaded record
+  const initial = useMemo(
+    () => (account ? userToForm(account) : null),
+    [account]
+  );
+
+  const handleSubmit = async (values) => {
+    setSubmitting(true);
+    setError("");
+    try {
+      await saveAccount(values);
+      toast.success("Profile updated");
+      navigate("/account");
+    } catch (err) {
+      setError(err?.message || "Failed to update your profile");
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) return <Loader label="Loading your account..." />;
+
+  if (!initial) {
+    return (
+      <Container className="py-3 px-2">
+        <Alert variant="warning" className="mb-3">
+          Account not found.
+        </Alert>
+        <Button as={Link} to="/account" variant="primary" className="w-100">
+          Back to Account
+        </Button>
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-3 px-2">
+      <Row className="justify-content-center">
+        <Col xs={12} md={10} lg={8} xl={6}>
+          <Card className="shadow-sm rounded-4 overflow-hidden">
+            {/* Header: title and back button */}
+            <Card.Header className="bg-white">
+              <div className="d-flex flex-column flex-sm-row align-items-stretch align-items-sm-center justify-content-between gap-2">
+                <h1 className="h5 mb-0">Edit profile</h1>
+                <Button
+                  as={Link}
+                  to="/account"
+                  variant="outline-secondary"
+                  className="w-100 w-sm-auto"
+                >
+                  Back to Account
+                </Button>
+              </div>
+            </Card.Header>
+
+            {error && (
+              <Alert
+                variant="danger"
+                onClose={() => setError("")}
+                dismissible
+                className="mb-0 rounded-0"
+                aria-live="assertive"
+              >
+                {error}
+              </Alert>
+            )}
+
+            <Card.Body className="p-3 p-sm-4">
+              {/* key: start over from fresh values if the record reloads */}
+              <UserForm
+                key={account.id}
+                initialValues={initial}
+                onSubmit={handleSubmit}
+                submitting={submitting}
+                submitLabel="Save profile"
+              />
+            </Card.Body>
+          </Card>
+          <div className="text-center text-muted small mt-3">
+            Changes are saved in this browser.
+          </div>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default AccountEdit;
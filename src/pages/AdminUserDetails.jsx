@@ -0,0 +1,272 @@
+// AdminUserDetails.jsx
+// One user account for admins: profile details, their carts (FakeStoreAPI
+// /carts/user/:id, with product names and prices from the catalog) and the
+// edit/deactivate actions. Route: /admin/users/:id (admins only).
+
+import { useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import { useApi, useAuth } from "../hooks";
+import {
+  getProducts,
+  getUser,
+  getUserCarts,
+  setUserActive,
+  userQueryKey,
+} from "../api/api";
+import { getRole, ROLES } from "../auth/permissions";
+import { fullName, isActive, streetLine, titleCase } from "../profile/account";
+import Loader from "../components/Loader";
+
+// Bootstrap components for layout and UI
+import Container from "react-bootstrap/Container";
+import Card from "react-bootstrap/Card";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import ListGroup from "react-bootstrap/ListGroup";
+import Alert from "react-bootstrap/Alert";
+import Badge from "react-bootstrap/Badge";
+import Button from "react-bootstrap/Button";
+
+function AdminUserDetails() {
+  const { id } = useParams();
+  const { user: currentUser } = useAuth();
+
+  const userQuery = useApi(({ signal }) => getUser(id, { signal }), [id], {
+    key: userQueryKey(id),
+  });
+  const cartsQuery = useApi(
+    ({ signal }) => getUserCarts(id, { signal }),
+    [id],
+    { key: ["carts", "user", id] }
+  );
+  // Catalog, for product names and prices in the carts
+  const productsQuery = useApi(({ signal }) => getProducts({ signal }), [], {
+    key: ["products"],
+    staleTime: 60 * 1000,
+  });
+
+  const [updating, setUpdating] = useState(false);
+
+  // Currency and date formatters (cart dates are plain UTC days)
+  const currency = useMemo(
+    () =>
+      new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }),
+    []
+  );
+  const dateFormat = useMemo(
+    () =>
+      new Intl.DateTimeFormat("en-US", {
+        dateStyle: "medium",
+        timeZone: "UTC",
+      }),
+    []
+  );
+
+  const productsById = useMemo(
+    () =>
+      new Map(
+        (Array.isArray(productsQuery.data) ? productsQuery.data : []).map(
+          (p) => [String(p.id), p]
+        )
+      ),
+    [productsQuery.data]
+  );
+
+  const account = userQuery.data;
+
+  if (userQuery.loading) return <Loader label="Loading user..." />;
+
+  if (!account) {
+    return (
+      <Container className="py-4">
+        <Alert variant="warning" className="mb-3">
+          {userQuery.error ? "Couldn’t load this user." : "User not found."}
+        </Alert>
+        <Button as={Link} to="/admin/users" variant="outline-secondary">
+          Back to Users
+        </Button>
+      </Container>
+    );
+  }
+
+  const active = isActive(account);
+  // Admins can't lock themselves out
+  const isSelf = String(account.id) === String(currentUser?.id);
+
+  const toggleActive = async () => {
+    setUpdating(true);
+    try {
+      await setUserActive(account.id, !active);
+      toast.success(
+        active
+          ? `${account.username} has been deactivated`
+          : `${account.username} has been reactivated`
+      );
+    } catch (err) {
+      toast.error(err?.message || "Couldn’t update the account");
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  // Label/value rows; empty values show a dash
+  const details = [
+    ["Username", account.username],
+    ["Email", account.email],
+    ["Phone", account.phone],
+    [
+      "Address",
+      [
+        streetLine(account),
+        [titleCase(account.address?.city), account.address?.zipcode]
+          .filter(Boolean)
+          .join(" "),
+      ]
+        .filter(Boolean)
+        .join(", "),
+    ],
+    ["Role", ROLES[getRole(account)].label],
+  ];
+
+  const carts = Array.isArray(cartsQuery.data) ? cartsQuery.data : [];
+
+  return (
+    <Container className="py-4">
+      <Link to="/admin/users" className="d-inline-block mb-3">
+        ← Back to Users
+      </Link>
+
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-4">
+        <h2 className="fw-bold mb-0">
+          {fullName(account)}{" "}
+          {active ? (
+            <Badge bg="success" className="fs-6 align-middle">
+              Active
+            </Badge>
+          ) : (
+            <Badge bg="secondary" className="fs-6 align-middle">
+              Deactivated
+            </Badge>
+          )}
+        </h2>
+        <div className="d-flex gap-2">
+          <Button
+            variant={active ? "outline-danger" : "outline-success"}
+            onClick={toggleActive}
+            disabled={updating || isSelf}
+            title={isSelf ? "You can’t deactivate your own account" : undefined}
+          >
+            {active ? "Deactivate" : "Reactivate"}
+          </Button>
+          <Button
+            as={Link}
+            to={`/admin/users/${account.id}/edit`}
+            variant="primary"
+            style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+          >
+            Edit
+          </Button>
+        </div>
+      </div>
+
+      {!active && (
+        <Alert variant="secondary">
+          This account is deactivated and can’t sign in.
+        </Alert>
+      )}
+
+      <Card className="shadow-sm mb-4">
+        <Card.Body>
+          {details.map(([label, value]) => (
+            <Row key={label} className="py-2 border-bottom">
+              <Col sm={3} className="text-muted">
+                {label}
+              </Col>
+              <Col sm={9}>{value || "—"}</Col>
+            </Row>
+          ))}
+        </Card.Body>
+      </Card>
+
+      {/* Carts saved on the server for this user */}
+      <h3 className="h5 fw-bold mb-3">Carts</h3>
+      {cartsQuery.loading ? (
+        <Loader label="Loading carts..." />
+      ) : cartsQuery.error ? (
+        <Alert
+          variant="danger"
+          className="d-flex justify-content-between align-items-center"
+        >
+          <div>Couldn’t load this user’s carts.</div>
+          <Button
+            variant="outline-danger"
+            size="sm"
+            onClick={cartsQuery.refetch}
+          >
+            Try again
+          </Button>
+        </Alert>
+      ) : carts.length === 0 ? (
+        <p className="text-muted">No carts.</p>
+      ) : (
+        carts.map((cart) => {
+          const lines = (cart.products ?? []).map((line) => ({
+            ...line,
+            product: productsById.get(String(line.productId)),
+          }));
+          const count = lines.reduce((n, l) => n + (l.quantity ?? 0), 0);
+          const total = lines.reduce(
+            (sum, l) => sum + (l.product?.price ?? 0) * (l.quantity ?? 0),
+            0
+          );
+          return (
+            <Card key={cart.id} className="shadow-sm mb-3">
+              <Card.Header className="bg-white d-flex flex-wrap justify-content-between gap-2">
+                <span className="fw-semibold">
+                  Cart #{cart.id}
+                  {cart.date && (
+                    <span className="text-muted fw-normal">
+                      {" "}
+                      · {dateFormat.format(new Date(cart.date))}
+                    </span>
+                  )}
+                </span>
+                <span>
+                  {count} {count === 1 ? "item" : "items"} ·{" "}
+                  {currency.format(total)}
+                </span>
+              </Card.Header>
+              <ListGroup variant="flush">
+                {lines.map((line) => (
+                  <ListGroup.Item
+                    key={line.productId}
+                    className="d-flex justify-content-between gap-2"
+                  >
+                    <span>
+                      {line.product ? (
+                        <Link to={`/products/${line.productId}`}>
+                          {line.product.title}
+                        </Link>
+                      ) : (
+                        `Product #${line.productId}`
+                      )}{" "}
+                      <span className="text-muted">× {line.quantity}</span>
+                    </span>
+                    {line.product && (
+                      <span>
+                        {currency.format(line.product.price * line.quantity)}
+                      </span>
+                    )}
+                  </ListGroup.Item>
+                ))}
+              </ListGroup>
+            </Card>
+          );
+        })
+      )}
+    </Container>
+  );
+}
+
+export default AdminUserDetails;
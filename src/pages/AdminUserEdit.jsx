@@ -0,0 +1,140 @@
+// AdminUserEdit.jsx
+// Admin form to create a user (POST /users) or edit one (PUT /users/:id).
+// FakeStoreAPI doesn't persist either, so the result is kept in the local user
+// overlay (see api/overlay.js). Routes: /admin/users/new and
+// /admin/users/:id/edit (admins only).
+
+import { useMemo, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import { useAccount, useApi, useAuth } from "../hooks";
+import { createUser, getUsers, updateUser } from "../api/api";
+import { formToUser, userToForm } from "../profile/account";
+import Loader from "../components/Loader";
+import UserForm from "../components/UserForm";
+
+// Bootstrap components for layout and UI
+import Container from "react-bootstrap/Container";
+import Card from "react-bootstrap/Card";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import Alert from "react-bootstrap/Alert";
+import Button from "react-bootstrap/Button";
+
+function AdminUserEdit() {
+  // No id: creating a new user
+  const { id } = useParams();
+  const isNew = !id;
+  const navigate = useNavigate();
+  const { user: currentUser } = useAuth();
+  const { saveAccount } = useAccount();
+
+  // The full list: the record to edit and the usernames already taken
+  const { data, loading } = useApi(({ signal }) => getUsers({ signal }), [], {
+    key: ["users"],
+    staleTime: 60 * 1000,
+  });
+  const users = useMemo(() => (Array.isArray(data) ? data : []), [data]);
+  const record = isNew ? null : users.find((u) => String(u.id) === id);
+
+  const takenUsernames = useMemo(
+    () => users.filter((u) => String(u.id) !== id).map((u) => u.username),
+    [users, id]
+  );
+  const initial = useMemo(() => (record ? userToForm(record) : null), [record]);
+
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const backTo = isNew ? "/admin/users" : `/admin/users/${id}`;
+
+  const handleSubmit = async (values) => {
+    setSubmitting(true);
+    setError("");
+    try {
+      if (isNew) {
+        const { data: saved } = await createUser(formToUser(values));
+        toast.success(`Created ${saved.username}`);
+        navigate(`/admin/users/${saved.id}`);
+      } else {
+        // Editing yourself also updates the signed-in session (username)
+        if (String(currentUser?.id) === id) await saveAccount(values);
+        else await updateUser(id, formToUser(values));
+        toast.success("User updated");
+        navigate(backTo);
+      }
+    } catch (err) {
+      setError(err?.message || "Failed to save the user");
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) return <Loader label="Loading user..." />;
+
+  if (!isNew && !initial) {
+    return (
+      <Container className="py-3 px-2">
+        <Alert variant="warning" className="mb-3">
+          User not found.
+        </Alert>
+        <Button as={Link} to="/admin/users" variant="primary" className="w-100">
+          Back to Users
+        </Button>
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-3 px-2">
+      <Row className="justify-content-center">
+        <Col xs={12} md={10} lg={8} xl={6}>
+          <Card className="shadow-sm rounded-4 overflow-hidden">
+            {/* Header: title and back button */}
+            <Card.Header className="bg-white">
+              <div className="d-flex flex-column flex-sm-row align-items-stretch align-items-sm-center justify-content-between gap-2">
+                <h1 className="h5 mb-0">{isNew ? "Add user" : "Edit user"}</h1>
+                <Button
+                  as={Link}
+                  to={backTo}
+                  variant="outline-secondary"
+                  className="w-100 w-sm-auto"
+                >
+                  {isNew ? "Back to Users" : "Back to User"}
+                </Button>
+              </div>
+            </Card.Header>
+
+            {error && (
+              <Alert
+                variant="danger"
+                onClose={() => setError("")}
+                dismissible
+                className="mb-0 rounded-0"
+                aria-live="assertive"
+              >
+                {error}
+              </Alert>
+            )}
+
+            <Card.Body className="p-3 p-sm-4">
+              {/* key: start over from fresh values when switching records */}
+              <UserForm
+                key={id ?? "new"}
+                initialValues={initial ?? undefined}
+                onSubmit={handleSubmit}
+                submitting={submitting}
+                submitLabel={isNew ? "Create user" : "Save user"}
+                takenUsernames={takenUsernames}
+              />
+            </Card.Body>
+          </Card>
+          <div className="text-center text-muted small mt-3">
+            Changes are saved in this browser.
+          </div>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default AdminUserEdit;
@@ -0,0 +1,175 @@
+// AdminUsers.jsx
+// Admin list of user accounts (FakeStoreAPI /users plus local changes) with
+// search, sort and pagination. Search, sort and page live in the query string
+// (?q=&sort=&page=) so coming back from a user keeps the list as it was.
+// Route: /admin/users (admins only).
+
+import { useMemo } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useApi } from "../hooks";
+import { getUsers } from "../api/api";
+import { getRole, ROLES } from "../auth/permissions";
+import {
+  fullName,
+  isActive,
+  searchUsers,
+  USER_SORTS,
+} from "../profile/account";
+import Loader from "../components/Loader";
+import ListPagination from "../components/ListPagination";
+
+// Bootstrap components for layout and UI
+import Container from "react-bootstrap/Container";
+import Card from "react-bootstrap/Card";
+import Form from "react-bootstrap/Form";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import Table from "react-bootstrap/Table";
+import Alert from "react-bootstrap/Alert";
+import Badge from "react-bootstrap/Badge";
+import Button from "react-bootstrap/Button";
+
+const PAGE_SIZE = 10;
+
+function AdminUsers() {
+  const [params, setParams] = useSearchParams();
+  const query = params.get("q") ?? "";
+  const sort = USER_SORTS[params.get("sort")] ? params.get("sort") : "name";
+
+  const { data, loading, error, refetch } = useApi(
+    ({ signal }) => getUsers({ signal }),
+    [],
+    { key: ["users"], staleTime: 60 * 1000 }
+  );
+
+  const users = useMemo(
+    () => searchUsers(Array.isArray(data) ? data : [], query, sort),
+    [data, query, sort]
+  );
+
+  // Clamp the page to what the current results have
+  const pageCount = Math.max(1, Math.ceil(users.length / PAGE_SIZE));
+  const page = Math.min(
+    Math.max(1, Number.parseInt(params.get("page"), 10) || 1),
+    pageCount
+  );
+  const visible = users.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  // Update one query param; a new search or sort starts again at page 1
+  const setParam = (name, value) => {
+    const next = new URLSearchParams(params);
+    if (value && !(name === "page" && value === 1)) next.set(name, value);
+    else next.delete(name);
+    if (name !== "page") next.delete("page");
+    setParams(next, { replace: name === "q" });
+  };
+
+  if (loading) return <Loader label="Loading users..." />;
+
+  return (
+    <Container className="py-4">
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+        <h2 className="fw-bold mb-0">Users</h2>
+        <Button
+          as={Link}
+          to="/admin/users/new"
+          variant="primary"
+          style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+        >
+          Add user
+        </Button>
+      </div>
+
+      {error && (
+        <Alert
+          variant="danger"
+          className="d-flex justify-content-between align-items-center"
+        >
+          <div>Couldn’t load users.</div>
+          <Button variant="outline-danger" size="sm" onClick={refetch}>
+            Try again
+          </Button>
+        </Alert>
+      )}
+
+      {/* Search and sort */}
+      <Row className="g-2 mb-3">
+        <Col md={8}>
+          <Form.Control
+            type="search"
+            placeholder="Search by name, username, email or phone"
+            aria-label="Search users"
+            value={query}
+            onChange={(e) => setParam("q", e.target.value)}
+          />
+        </Col>
+        <Col md={4}>
+          <Form.Select
+            aria-label="Sort users"
+            value={sort}
+            onChange={(e) => setParam("sort", e.target.value)}
+          >
+            {Object.entries(USER_SORTS).map(([value, { label }]) => (
+              <option key={value} value={value}>
+                Sort: {label}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+
+      <Card className="shadow-sm mb-3">
+        {visible.length === 0 ? (
+          <Card.Body className="text-center text-muted">
+            {query ? "No users match your search." : "No users yet."}
+          </Card.Body>
+        ) : (
+          <Table responsive hover className="mb-0 align-middle">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Username</th>
+                <th>Email</th>
+                <th>Role</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((u) => (
+                <tr key={u.id}>
+                  <td>
+                    <Link to={`/admin/users/${u.id}`}>{fullName(u)}</Link>
+                  </td>
+                  <td>{u.username}</td>
+                  <td>{u.email}</td>
+                  <td>{ROLES[getRole(u)].label}</td>
+                  <td>
+                    {isActive(u) ? (
+                      <Badge bg="success">Active</Badge>
+                    ) : (
+                      <Badge bg="secondary">Deactivated</Badge>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card>
+
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+        <div className="text-muted small">
+          {users.length} {users.length === 1 ? "user" : "users"}
+        </div>
+        <ListPagination
+          page={page}
+          pageCount={pageCount}
+          onChange={(p) => setParam("page", p)}
+          label="User list pages"
+        />
+      </div>
+    </Container>
+  );
+}
+
+export default AdminUsers;
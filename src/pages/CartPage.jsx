@@ -7,22 +7,38 @@ import Button from "react-bootstrap/Button";
 import Form from "react-bootstrap/Form";
 import Card from "react-bootstrap/Card";
 import Alert from "react-bootstrap/Alert";
+import Badge from "react-bootstrap/Badge";
 import { Link } from "react-router-dom";
-import { useCart } from "../hooks";
+import { useCart, useCartRevalidation, useOrderTotals } from "../hooks";
+import CartChangesNotice from "../components/CartChangesNotice";
+import OrderTotals from "../components/OrderTotals";
+import PromoCodeForm from "../components/PromoCodeForm";
 
 /*
   CartPage.jsx
   - Displays the user's shopping cart.
   - Allows quantity updates, item removal, clearing the cart, and proceeding to checkout.
   - Uses cart context (useCart) for state and actions; currency formatting is handled locally.
+  - Revalidates prices/availability on mount and shows a notice when they changed;
+    products that no longer exist are flagged and excluded from the totals.
+  - Discount codes are entered in the summary (PromoCodeForm). The summary
+    breaks out subtotal, discounts, estimated standard shipping and tax (tax is
+    calculated at checkout once the address is known).
+  - While an order is being placed (cartLocked) the controls are disabled.
   - Responsive layout: list of items on the left, order summary on the right (desktop).
 */
 
 export default function CartPage() {
   // Destructure useful values and actions from the cart context
-  const { items, cartTotal, cartCount, updateQty, removeItem, clearCart } =
+  const { items, cartCount, updateQty, removeItem, clearCart, cartLocked } =
     useCart();
 
+  // Summary breakdown; shipping is estimated with the default method
+  const totals = useOrderTotals();
+
+  // Refresh cart snapshots against current product data
+  const { checking, error: revalidateError } = useCartRevalidation();
+
   // safeCartCount: fall back to a computed count if cartCount is missing/invalid.
   // This guards against any transient state shape issues.
   const safeCartCount =
@@ -64,6 +80,17 @@ export default function CartPage() {
   // Main cart UI when there are items
   return (
     <Container className="py-4">
+      {/* Price/availability changes found by revalidation */}
+      <CartChangesNotice checking={checking} error={revalidateError} />
+
+      {/* Order being placed in this tab: the cart can't change until it ends */}
+      {cartLocked && (
+        <Alert variant="warning">
+          Your order is being placed, so the cart can’t be changed right now.{" "}
+          <Link to="/checkout">Go to checkout</Link> to see its status.
+        </Alert>
+      )}
+
       <Row className="g-4">
         {/* Left column: list of cart items */}
         <Col lg={8}>
@@ -85,6 +112,11 @@ export default function CartPage() {
                   {/* Title and unit price */}
                   <Col xs={9} md={5}>
                     <div className="fw-semibold">{item.title}</div>
+                    {item.unavailable && (
+                      <Badge bg="secondary" className="mb-1">
+                        No longer available
+                      </Badge>
+                    )}
                     <div className="text-muted">
                       {currency.format(item.price)}
                     </div>
@@ -102,6 +134,7 @@ export default function CartPage() {
                       type="number"
                       min={1}
                       value={item.qty}
+                      disabled={cartLocked}
                       onChange={(e) => {
                         const val = parseInt(e.target.value, 10);
                         // Ensure quantity is at least 1
@@ -112,13 +145,20 @@ export default function CartPage() {
 
                   {/* Line total and remove action */}
                   <Col xs={5} md={2} className="text-end">
-                    <div className="mb-2 fw-semibold">
+                    <div
+                      className={`mb-2 fw-semibold ${
+                        item.unavailable
+                          ? "text-decoration-line-through text-muted"
+                          : ""
+                      }`}
+                    >
                       {currency.format(item.price * item.qty)}
                     </div>
                     <Button
                       variant="outline-danger"
                       size="sm"
                       onClick={() => removeItem(item.id)}
+                      disabled={cartLocked}
                     >
                       Remove
                     </Button>
@@ -146,13 +186,11 @@ export default function CartPage() {
                 <span className="fw-semibold">{cartCount}</span>
               </div>
 
-              {/* Subtotal */}
-              <div className="d-flex justify-content-between mb-3">
-                <span>Subtotal</span>
-                <span className="fw-semibold">
-                  {currency.format(cartTotal)}
-                </span>
-              </div>
+              {/* Discount code entry */}
+              <PromoCodeForm />
+
+              {/* Subtotal, discounts, shipping, tax and total */}
+              <OrderTotals totals={totals} />
 
               {/* Checkout button
                   - Navigates to /checkout where the payment flow is handled
@@ -172,6 +210,7 @@ export default function CartPage() {
                 variant="outline-secondary"
                 className="w-100"
                 onClick={clearCart}
+                disabled={cartLocked}
               >
                 Clear cart
               </Button>
@@ -0,0 +1,139 @@
+// Login.jsx
+// Sign-in form (FakeStoreAPI /auth/login). After signing in the user goes back
+// to the page that sent them here (location.state.from), or home.
+
+import { useState } from "react";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../hooks";
+
+// Bootstrap components for layout and UI
+import Container from "react-bootstrap/Container";
+import Card from "react-bootstrap/Card";
+import Form from "react-bootstrap/Form";
+import Button from "react-bootstrap/Button";
+import Alert from "react-bootstrap/Alert";
+import Spinner from "react-bootstrap/Spinner";
+
+function Login() {
+  const { isAuthenticated, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Where to go after signing in (set by RequireAuth)
+  const from = location.state?.from;
+  const target = from ? `${from.pathname}${from.search}${from.hash}` : "/";
+
+  const [credentials, setCredentials] = useState({
+    username: "",
+    password: "",
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Already signed in (e.g. opened /login directly) -> nothing to do here
+  if (isAuthenticated && !submitting) return <Navigate to={target} replace />;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setCredentials((c) => ({ ...c, [name]: value }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!credentials.username.trim() || !credentials.password) {
+      setError("Enter your username and password.");
+      return;
+    }
+    setSubmitting(true);
+    try {
+      await login({
+        username: credentials.username.trim(),
+        password: credentials.password,
+      });
+      navigate(target, { replace: true });
+    } catch (err) {
+      setError(
+        err.status === 401
+          ? "Incorrect username or password."
+          : err.message || "Couldn’t sign in. Please try again."
+      );
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Container className="py-4">
+      <Card className="shadow-sm mx-auto" style={{ maxWidth: 420 }}>
+        <Card.Body>
+          <h2 className="fw-bold mb-3">Sign in</h2>
+          {from && (
+            <p className="text-muted small">
+              Sign in to continue to that page.
+            </p>
+          )}
+
+          {error && (
+            <Alert variant="danger" aria-live="assertive">
+              {error}
+            </Alert>
+          )}
+
+          <Form onSubmit={handleSubmit} noValidate>
+            <Form.Group className="mb-3" controlId="login-username">
+              <Form.Label>Username</Form.Label>
+              <Form.Control
+                name="username"
+                value={credentials.username}
+                onChange={handleChange}
+                autoComplete="username"
+                autoFocus
+              />
+            </Form.Group>
+
+            <Form.Group className="mb-3" controlId="login-password">
+              <Form.Label>Password</Form.Label>
+              <Form.Control
+                type="password"
+                name="password"
+                value={credentials.password}
+                onChange={handleChange}
+                autoComplete="current-password"
+              />
+            </Form.Group>
+
+            <Button
+              type="submit"
+              variant="primary"
+              className="w-100"
+              disabled={submitting}
+              style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+            >
+              {submitting ? (
+                <>
+                  <Spinner
+                    as="span"
+                    animation="border"
+                    size="sm"
+                    role="status"
+                    aria-hidden="true"
+                  />{" "}
+                  Signing in
+                </>
+              ) : (
+                "Sign in"
+              )}
+            </Button>
+          </Form>
+
+          {/* FakeStoreAPI's public test account */}
+          <p className="text-muted small mt-3 mb-0">
+            Demo account: <code>johnd</code> / <code>m38rmF$</code>
+          </p>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+}
+
+export default Login;
@@ -0,0 +1,222 @@
+// OrderDetails.jsx
+// Shows a single past order (items, totals, shipping, payment) and lets the
+// user reorder it: every item is added back to the cart through addItem.
+
+import { useMemo } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useCart, useOrders } from "../hooks";
+import { ORDER_STATUS_LABELS } from "../orders/orderHistory";
+import { CARD_BRANDS } from "../payments/cardValidation";
+import { formatAddressLines } from "../addresses/address";
+import { toast } from "react-toastify";
+
+// Bootstrap components for layout and UI
+import Container from "react-bootstrap/Container";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import Card from "react-bootstrap/Card";
+import ListGroup from "react-bootstrap/ListGroup";
+import Image from "react-bootstrap/Image";
+import Badge from "react-bootstrap/Badge";
+import Alert from "react-bootstrap/Alert";
+import Button from "react-bootstrap/Button";
+
+function OrderDetails() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { addItem } = useCart();
+  const { getOrder } = useOrders();
+  const order = getOrder(id);
+
+  // Currency and date formatters
+  const currency = useMemo(
+    () =>
+      new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }),
+    []
+  );
+  const dateFormat = useMemo(
+    () =>
+      new Intl.DateTimeFormat("en-US", {
+        dateStyle: "long",
+        timeStyle: "short",
+      }),
+    []
+  );
+
+  // Reorder: add every item (with its quantity) to the cart, then open the cart.
+  // Prices are refreshed against the catalog when the cart page loads.
+  const handleReorder = () => {
+    const added = order.items.every((item) => {
+      const { qty, ...product } = item;
+      return addItem(product, qty);
+    });
+    if (!added) {
+      toast.warn("Your cart is locked while an order is being placed");
+      return;
+    }
+    toast.success("Items added to your cart");
+    navigate("/cart");
+  };
+
+  // Unknown order id
+  if (!order) {
+    return (
+      <Container className="py-4">
+        <Alert
+          variant="warning"
+          className="d-flex justify-content-between align-items-center"
+        >
+          <div>We couldn’t find order {id}.</div>
+          <Button as={Link} to="/orders" variant="outline-dark">
+            View all orders
+          </Button>
+        </Alert>
+      </Container>
+    );
+  }
+
+  const { totals, shippingAddress: address, contact, payment } = order;
+
+  return (
+    <Container className="py-4">
+      {/* Header: order id, date, status and actions */}
+      <div className="d-flex flex-wrap justify-content-between align-items-start gap-2 mb-4">
+        <div>
+          <h2 className="fw-bold mb-1">
+            Order {order.id}{" "}
+            <Badge
+              bg={order.status === "paid" ? "success" : "secondary"}
+              className="fs-6 align-middle"
+            >
+              {ORDER_STATUS_LABELS[order.status] ?? order.status}
+            </Badge>
+          </h2>
+          <div className="text-muted">
+            Placed {dateFormat.format(new Date(order.createdAt))}
+          </div>
+        </div>
+        <div className="d-flex gap-2">
+          <Button as={Link} to="/orders" variant="outline-secondary">
+            All orders
+          </Button>
+          <Button
+            as={Link}
+            to={`/orders/${order.id}/receipt`}
+            variant="outline-dark"
+          >
+            Receipt
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleReorder}
+            style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+          >
+            Reorder
+          </Button>
+        </div>
+      </div>
+
+      <Row className="g-4">
+        {/* Left: items as purchased */}
+        <Col lg={8}>
+          <ListGroup className="shadow-sm">
+            {order.items.map((item) => (
+              <ListGroup.Item
+                key={item.id}
+                className="d-flex align-items-center gap-3 py-3"
+              >
+                <Image
+                  src={item.image || undefined}
+                  alt={item.title}
+                  rounded
+                  style={{ width: 64, height: 64, objectFit: "contain" }}
+                />
+                <div className="flex-grow-1">
+                  <Link to={`/products/${item.id}`} className="fw-semibold">
+                    {item.title}
+                  </Link>
+                  <div className="text-muted small">
+                    {item.qty} × {currency.format(item.price)}
+                  </div>
+                </div>
+                <div className="fw-semibold">
+                  {currency.format(item.price * item.qty)}
+                </div>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        </Col>
+
+        {/* Right: totals, shipping and payment */}
+        <Col lg={4}>
+          <Card className="shadow-sm mb-3">
+            <Card.Body>
+              <Card.Title className="mb-3">Summary</Card.Title>
+              <div className="d-flex justify-content-between mb-2">
+                <span>Subtotal</span>
+                <span>{currency.format(totals.subtotal)}</span>
+              </div>
+              {totals.discountTotal > 0 && (
+                <div className="d-flex justify-content-between mb-2 text-success">
+                  <span>
+                    Discounts
+                    {order.promotions.length > 0 && (
+                      <span className="text-muted small">
+                        {" "}
+                        ({order.promotions.map((p) => p.code).join(", ")})
+                      </span>
+                    )}
+                  </span>
+                  <span>−{currency.format(totals.discountTotal)}</span>
+                </div>
+              )}
+              <div className="d-flex justify-content-between mb-2">
+                <span>
+                  Shipping{" "}
+                  <span className="text-muted small">
+                    ({order.shippingMethod.label})
+                  </span>
+                </span>
+                <span>
+                  {totals.shipping === 0
+                    ? "Free"
+                    : currency.format(totals.shipping)}
+                </span>
+              </div>
+              <div className="d-flex justify-content-between mb-3">
+                <span>{totals.taxLabel}</span>
+                <span>{currency.format(totals.tax)}</span>
+              </div>
+              <div className="d-flex justify-content-between fs-5 border-top pt-2">
+                <span>Total</span>
+                <span className="fw-bold">{currency.format(totals.total)}</span>
+              </div>
+            </Card.Body>
+          </Card>
+
+          <Card className="shadow-sm">
+            <Card.Body>
+              <Card.Title className="h6">Ship to</Card.Title>
+              <div className="small mb-3">
+                <div>
+                  {contact.firstName} {contact.lastName}
+                </div>
+                {formatAddressLines(address).map((line, i) => (
+                  <div key={i}>{line}</div>
+                ))}
+              </div>
+
+              <Card.Title className="h6">Payment</Card.Title>
+              <div className="small">
+                {CARD_BRANDS[payment.brand]?.label ?? "Card"} ending in{" "}
+                {payment.last4}
+              </div>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default OrderDetails;
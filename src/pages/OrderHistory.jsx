@@ -0,0 +1,96 @@
+// OrderHistory.jsx
+// Lists the orders placed in this browser (newest first) with links to each order.
+
+import { useMemo } from "react";
+import { Link } from "react-router-dom";
+import { useOrders } from "../hooks";
+import { ORDER_STATUS_LABELS } from "../orders/orderHistory";
+
+// Bootstrap components for layout and UI
+import Container from "react-bootstrap/Container";
+import ListGroup from "react-bootstrap/ListGroup";
+import Badge from "react-bootstrap/Badge";
+import Alert from "react-bootstrap/Alert";
+import Button from "react-bootstrap/Button";
+
+function OrderHistory() {
+  // Persisted order history (see orders/orderHistory.js)
+  const { orders } = useOrders();
+
+  // Currency and date formatters
+  const currency = useMemo(
+    () =>
+      new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }),
+    []
+  );
+  const dateFormat = useMemo(
+    () =>
+      new Intl.DateTimeFormat("en-US", {
+        dateStyle: "medium",
+        timeStyle: "short",
+      }),
+    []
+  );
+
+  // Empty state
+  if (orders.length === 0) {
+    return (
+      <Container className="py-4">
+        <h2 className="fw-bold mb-4">Your orders</h2>
+        <Alert
+          variant="info"
+          className="d-flex justify-content-between align-items-center"
+        >
+          <div>You haven’t placed any orders yet.</div>
+          <Button
+            as={Link}
+            to="/products"
+            variant="primary"
+            style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+          >
+            Browse products
+          </Button>
+        </Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-4">
+      <h2 className="fw-bold mb-4">Your orders</h2>
+
+      <ListGroup className="shadow-sm">
+        {orders.map((order) => {
+          const count = order.items.reduce((sum, i) => sum + i.qty, 0);
+          return (
+            <ListGroup.Item
+              key={order.id}
+              action
+              as={Link}
+              to={`/orders/${order.id}`}
+              className="d-flex flex-wrap justify-content-between align-items-center gap-2 py-3"
+            >
+              <div>
+                <div className="fw-semibold">{order.id}</div>
+                <div className="text-muted small">
+                  {dateFormat.format(new Date(order.createdAt))} · {count}{" "}
+                  {count === 1 ? "item" : "items"}
+                </div>
+              </div>
+              <div className="d-flex align-items-center gap-3">
+                <Badge bg={order.status === "paid" ? "success" : "secondary"}>
+                  {ORDER_STATUS_LABELS[order.status] ?? order.status}
+                </Badge>
+                <span className="fw-bold">
+                  {currency.format(order.totals.total)}
+                </span>
+              </div>
+            </ListGroup.Item>
+          );
+        })}
+      </ListGroup>
+    </Container>
+  );
+}
+
+export default OrderHistory;
@@ -0,0 +1,215 @@
+// OrderReceipt.jsx
+// Printable receipt / invoice for a past order (/orders/:id/receipt).
+// - Renders the invoice from orders/receipt.js (same data as the PDF and JSON
+//   exports) and offers Print, Download PDF and Download JSON.
+// - The toolbar is hidden when printing; see the print rules in index.css.
+
+import { useMemo } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useOrders } from "../hooks";
+import {
+  buildInvoice,
+  downloadBlob,
+  invoiceToJson,
+  receiptFileName,
+} from "../orders/receipt";
+import { createReceiptPdf } from "../orders/receiptPdf";
+
+// Bootstrap components for layout and UI
+import Container from "react-bootstrap/Container";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import Card from "react-bootstrap/Card";
+import Table from "react-bootstrap/Table";
+import Alert from "react-bootstrap/Alert";
+import Button from "react-bootstrap/Button";
+
+function OrderReceipt() {
+  const { id } = useParams();
+  const { getOrder } = useOrders();
+  const order = getOrder(id);
+  const invoice = useMemo(() => (order ? buildInvoice(order) : null), [order]);
+
+  // Currency and date formatters
+  const currency = useMemo(
+    () =>
+      new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }),
+    []
+  );
+  const dateFormat = useMemo(
+    () => new Intl.DateTimeFormat("en-US", { dateStyle: "long" }),
+    []
+  );
+
+  // Unknown order id
+  if (!invoice) {
+    return (
+      <Container className="py-4">
+        <Alert
+          variant="warning"
+          className="d-flex justify-content-between align-items-center"
+        >
+          <div>We couldn’t find order {id}.</div>
+          <Button as={Link} to="/orders" variant="outline-dark">
+            View all orders
+          </Button>
+        </Alert>
+      </Container>
+    );
+  }
+
+  const downloadPdf = () =>
+    downloadBlob(createReceiptPdf(invoice), receiptFileName(invoice, "pdf"));
+
+  const downloadJson = () =>
+    downloadBlob(
+      new Blob([invoiceToJson(invoice)], { type: "application/json" }),
+      receiptFileName(invoice, "json")
+    );
+
+  const { seller, customer, shippingAddress: address } = invoice;
+
+  return (
+    <Container className="py-4">
+      {/* Actions (not printed) */}
+      <div
+        className="d-print-none d-flex flex-wrap justify-content-between gap-2 mb-3 mx-auto"
+        style={{ maxWidth: 860 }}
+      >
+        <Button
+          as={Link}
+          to={`/orders/${invoice.orderId}`}
+          variant="outline-secondary"
+        >
+          Back to order
+        </Button>
+        <div className="d-flex flex-wrap gap-2">
+          <Button variant="outline-dark" onClick={downloadJson}>
+            Download JSON
+          </Button>
+          <Button variant="outline-dark" onClick={downloadPdf}>
+            Download PDF
+          </Button>
+          <Button
+            variant="primary"
+            onClick={() => window.print()}
+            style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+          >
+            Print
+          </Button>
+        </div>
+      </div>
+
+      <Card className="receipt shadow-sm mx-auto" style={{ maxWidth: 860 }}>
+        <Card.Body className="p-4">
+          {/* Header: seller (left) and invoice details (right) */}
+          <Row className="mb-4">
+            <Col>
+              <div className="fs-3 fw-bold" style={{ color: "#003366" }}>
+                {seller.name}
+              </div>
+              <div className="small text-muted">
+                {seller.address.map((line) => (
+                  <div key={line}>{line}</div>
+                ))}
+                <div>{seller.email}</div>
+              </div>
+            </Col>
+            <Col className="text-end">
+              <div className="fs-4 fw-bold">Receipt</div>
+              <div className="small">
+                <div>Invoice {invoice.invoiceNumber}</div>
+                <div>Order {invoice.orderId}</div>
+                <div>Date {dateFormat.format(new Date(invoice.issuedAt))}</div>
+              </div>
+            </Col>
+          </Row>
+
+          {/* Customer and shipping address */}
+          <div className="mb-4">
+            <div className="fw-semibold">Billed and shipped to</div>
+            <div className="small">
+              <div>{customer.name}</div>
+              <div>{customer.email}</div>
+              {customer.phone && <div>{customer.phone}</div>}
+              {address.formatted.map((line, i) => (
+                <div key={i}>{line}</div>
+              ))}
+            </div>
+          </div>
+
+          {/* Line items */}
+          <Table size="sm" className="mb-3">
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th className="text-end">Qty</th>
+                <th className="text-end">Unit price</th>
+                <th className="text-end">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {invoice.lines.map((line) => (
+                <tr key={line.lineNumber}>
+                  <td>{line.description}</td>
+                  <td className="text-end">{line.quantity}</td>
+                  <td className="text-end">
+                    {currency.format(line.unitPrice)}
+                  </td>
+                  <td className="text-end">{currency.format(line.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          {/* Totals */}
+          <Row className="justify-content-end mb-4">
+            <Col sm={7} md={5}>
+              <div className="d-flex justify-content-between small mb-1">
+                <span>Subtotal</span>
+                <span>{currency.format(invoice.subtotal)}</span>
+              </div>
+              {invoice.discounts.map((d) => (
+                <div
+                  key={d.code}
+                  className="d-flex justify-content-between small mb-1"
+                >
+                  <span>Discount ({d.code})</span>
+                  <span>−{currency.format(d.amount)}</span>
+                </div>
+              ))}
+              <div className="d-flex justify-content-between small mb-1">
+                <span>Shipping ({invoice.shipping.description})</span>
+                <span>
+                  {invoice.shipping.amount === 0
+                    ? "Free"
+                    : currency.format(invoice.shipping.amount)}
+                </span>
+              </div>
+              <div className="d-flex justify-content-between small mb-2">
+                <span>{invoice.tax.description}</span>
+                <span>{currency.format(invoice.tax.amount)}</span>
+              </div>
+              <div className="d-flex justify-content-between fw-bold border-top pt-2">
+                <span>Total paid</span>
+                <span>{currency.format(invoice.total)}</span>
+              </div>
+            </Col>
+          </Row>
+
+          {/* Payment and footer */}
+          <p className="small mb-2">
+            Paid with {invoice.payment.brand} ending in {invoice.payment.last4}{" "}
+            (reference {invoice.payment.reference})
+          </p>
+          <p className="small text-muted mb-0">
+            Thank you for shopping with {seller.name}. Questions about this
+            order? Contact {seller.email}.
+          </p>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+}
+
+export default OrderReceipt;
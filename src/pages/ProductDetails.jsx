@@ -1,10 +1,11 @@
 // ProductDetails.jsx
 // Displays detailed information for a single product, including actions to add to cart, edit, or delete.
+// Edit and delete are only offered to users with those permissions (auth/permissions.js).
 
-import { useEffect, useState, useMemo } from "react";
+import { useState, useMemo } from "react";
 import { useParams, Link, useNavigate } from "react-router-dom";
-import axios from "axios";
-import { useCart } from "../hooks";
+import { useAuth, useCart, useApi } from "../hooks";
+import { getProduct, deleteProduct } from "../api/api";
 import { toast } from "react-toastify";
 
 // Bootstrap components for layout and UI
@@ -22,14 +23,28 @@ function ProductDetails() {
   // Access addItem from cart context
   const { addItem } = useCart();
 
+  // Product management (edit/delete) depends on the user's role
+  const { can } = useAuth();
+  const canEdit = can("products:update");
+  const canDelete = can("products:delete");
+
   // Get product ID from URL params and navigation helper
   const { id } = useParams();
   const navigate = useNavigate();
 
-  // State for product data, loading, and error
-  const [product, setProduct] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // Product data from the shared query cache (instant on revisits)
+  const {
+    data: product,
+    loading,
+    error: loadError,
+    refetch,
+  } = useApi(({ signal }) => getProduct(id, { signal }), [id], {
+    key: ["products", id],
+    staleTime: 60 * 1000,
+  });
+  const error = loadError
+    ? "Couldn’t load product details. Please try again."
+    : null;
 
   // State for delete confirmation modal and deleting status
   const [showDelete, setShowDelete] = useState(false);
@@ -44,39 +59,19 @@ function ProductDetails() {
 
   // Add product to cart and show toast notification
   const addToCart = (p) => {
-    addItem(p, 1);
+    if (!addItem(p, 1)) {
+      toast.warn("Your cart is locked while an order is being placed");
+      return;
+    }
     toast.success("Added to cart");
   };
 
-  // Fetch product details from API when component mounts or id changes
-  useEffect(() => {
-    const controller = new AbortController();
-    (async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        const { data } = await axios.get(
-          `https://fakestoreapi.com/products/${id}`,
-          { signal: controller.signal }
-        );
-        setProduct(data);
-      } catch (err) {
-        if (axios.isCancel(err)) return;
-        console.error(err);
-        setError("Couldn’t load product details. Please try again.");
-      } finally {
-        setLoading(false);
-      }
-    })();
-    // Cleanup: abort fetch if component unmounts
-    return () => controller.abort();
-  }, [id]);
-
   // Handle product deletion with confirmation
   const confirmDelete = async () => {
+    if (!canDelete) return;
     setDeleting(true);
     try {
-      await axios.delete(`https://fakestoreapi.com/products/${id}`);
+      await deleteProduct(id);
       navigate("/products"); // Redirect to product list after delete
     } catch (err) {
       console.error("Delete failed:", err);
@@ -100,7 +95,20 @@ function ProductDetails() {
   if (error) {
     return (
       <Container className="py-4">
-        <Alert variant="danger">{error}</Alert>
+        <Alert
+          variant="danger"
+          className="d-flex justify-content-between align-items-center"
+        >
+          <div>{error}</div>
+          {/* Re-run only the product query; the rest of the app state is kept */}
+          <Button
+            variant="dark"
+            onClick={refetch}
+            style={{ backgroundColor: "#003366", borderColor: "#003366" }}
+          >
+            Retry
+          </Button>
+        </Alert>
         <Button as={Link} to="/products" variant="dark">
           Back to Products
         </Button>
@@ -180,30 +188,37 @@ function ProductDetails() {
               </Button>
             </div>
 
-            {/* Edit Product button */}
-            <div className="col-12">
-              <Button
-                as={Link}
-                to={`/edit-product/${product.id}`}
-                variant="outline-secondary"
-                className="w-100 py-2"
-              >
-                Edit Product
-              </Button>
-            </div>
+            {/* Edit Product button (editors and admins) */}
+            {canEdit && (
+              <div className="col-12">
+                <Button
+                  as={Link}
+                  to={`/edit-product/${product.id}`}
+                  variant="outline-secondary"
+                  className="w-100 py-2"
+                >
+                  Edit Product
+                </Button>
+              </div>
+            )}
 
-            {/* Delete Product button */}
-            <div className="col-12">
-              <Button
-                variant="danger"
-                className="w-100 py-2"
-                onClick={() => setShowDelete(true)}
-                disabled={deleting}
-                style={{ backgroundColor: "#e74b4b", borderColor: "#e74b4b" }} // red like screenshot
-              >
-                {deleting ? "Deleting…" : "Delete Product"}
-              </Button>
-            </div>
+            {/* Delete Product button (admins) */}
+            {canDelete && (
+              <div className="col-12">
+                <Button
+                  variant="danger"
+                  className="w-100 py-2"
+                  onClick={() => setShowDelete(true)}
+                  disabled={deleting}
+                  style={{
+                    backgroundColor: "#e74b4b",
+                    borderColor: "#e74b4b",
+                  }} // red like screenshot
+                >
+                  {deleting ? "Deleting…" : "Delete Product"}
+                </Button>
+              </div>
+            )}
           </div>
         </Card.Footer>
       </Card>
@@ -222,8 +237,8 @@ function ProductDetails() {
           <Modal.Title>Are you sure?</Modal.Title>
         </Modal.Header>
         <Modal.Body>
-          This action cannot be undone. This will attempt to delete the product.
-          (Note: FakeStoreAPI does not persist deletions.)
+          This will delete the product. The deletion is saved in this browser
+          and can be undone with “Reset to server data” on the products page.
         </Modal.Body>
         <Modal.Footer>
           <Button variant="secondary" onClick={() => setShowDelete(false)}>
@@ -1,11 +1,46 @@
 // ProductList.jsx
 // Displays a searchable, filterable, and responsive grid of products.
 // Allows users to view product details and add products to the cart.
+// Search, category, sort, price range, rating and page live in the query
+// string (see catalog/productFilters.js and catalog/productPages.js), so
+// back/forward and shared links restore the same list. The grid is shown as
+// numbered pages or with infinite scroll, and the scroll position is put back
+// when returning from a product.
 
-import { useEffect, useMemo, useState } from "react";
-import axios from "axios";
-import { Link } from "react-router-dom";
-import { useCart } from "../hooks";
+import { useMemo } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import {
+  useCart,
+  useApi,
+  useIntersectionObserver,
+  useLocalStorage,
+  useScrollRestoration,
+} from "../hooks";
+import {
+  getProducts,
+  getProductPage,
+  getCategories,
+  hasOverlayChanges,
+  resetOverlay,
+} from "../api/api";
+import {
+  DEFAULT_SORT,
+  FILTER_PARAMS,
+  PRODUCT_SORTS,
+  RATING_OPTIONS,
+  filterProducts,
+  hasActiveFilters,
+  parseFilters,
+} from "../catalog/productFilters";
+import {
+  DEFAULT_PAGINATION_MODE,
+  PAGE_SIZE,
+  PAGINATION_MODES,
+  paginate,
+  parsePage,
+  serverSort,
+} from "../catalog/productPages";
+import ListPagination from "../components/ListPagination";
 
 // Bootstrap components for layout and UI
 import Container from "react-bootstrap/Container";
@@ -16,24 +51,129 @@ import Button from "react-bootstrap/Button";
 import Spinner from "react-bootstrap/Spinner";
 import Alert from "react-bootstrap/Alert";
 import Form from "react-bootstrap/Form";
+import InputGroup from "react-bootstrap/InputGroup";
 import Dropdown from "react-bootstrap/Dropdown";
 import DropdownButton from "react-bootstrap/DropdownButton";
 import Stack from "react-bootstrap/Stack";
+import ToggleButton from "react-bootstrap/ToggleButton";
+import ToggleButtonGroup from "react-bootstrap/ToggleButtonGroup";
 import { toast } from "react-toastify";
 
 function ProductList() {
   // Access addItem from cart context
   const { addItem } = useCart();
 
-  // State for products, categories, loading, and errors
-  const [products, setProducts] = useState([]);
-  const [categories, setCategories] = useState(["All Categories"]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // List settings from the URL (?q=&category=&sort=&min=&max=&rating=&page=)
+  const [params, setParams] = useSearchParams();
+  const filters = useMemo(() => parseFilters(params), [params]);
+  const selectedCat = filters.category ?? "All Categories";
+  const page = parsePage(params);
 
-  // State for search query and selected category
-  const [query, setQuery] = useState("");
-  const [selectedCat, setSelectedCat] = useState("All Categories");
+  // Numbered pages or infinite scroll (remembered in this browser)
+  const [storedMode, setMode] = useLocalStorage(
+    "products:pagination",
+    DEFAULT_PAGINATION_MODE
+  );
+  const mode = PAGINATION_MODES[storedMode]
+    ? storedMode
+    : DEFAULT_PAGINATION_MODE;
+
+  // The unfiltered list in API order is paged by the API (limit/sort); any
+  // other list needs the whole catalog and is filtered and paged here.
+  const apiSort = serverSort(filters);
+
+  // Products and categories come from the shared query cache, so returning
+  // to this page renders instantly while data is revalidated in the background.
+  const productsQuery = useApi(({ signal }) => getProducts({ signal }), [], {
+    key: ["products"],
+    staleTime: 60 * 1000,
+    enabled: !apiSort,
+  });
+  const limit = page * PAGE_SIZE;
+  const pageQuery = useApi(
+    ({ signal }) => getProductPage({ limit, sort: apiSort }, { signal }),
+    [limit, apiSort],
+    {
+      key: ["products", "page", apiSort, limit],
+      staleTime: 60 * 1000,
+      enabled: !!apiSort,
+      // Keep the current products on screen while the next page loads
+      keepPreviousData: true,
+    }
+  );
+  const categoriesQuery = useApi(
+    ({ signal }) => getCategories({ signal }),
+    [],
+    { key: ["categories"], staleTime: 5 * 60 * 1000 }
+  );
+
+  const products = useMemo(
+    () => (Array.isArray(productsQuery.data) ? productsQuery.data : []),
+    [productsQuery.data]
+  );
+  const categories = useMemo(
+    () => [
+      "All Categories",
+      ...(Array.isArray(categoriesQuery.data) ? categoriesQuery.data : []),
+    ],
+    [categoriesQuery.data]
+  );
+  const listQuery = apiSort ? pageQuery : productsQuery;
+  const listLoading = listQuery.loading;
+  const error =
+    listQuery.error || categoriesQuery.error
+      ? "Couldn’t load products. Please try again."
+      : null;
+
+  // Put the scroll position back when returning from a product
+  useScrollRestoration(!listLoading && !categoriesQuery.loading);
+
+  /**
+   * setFilter(name, value)
+   * - Writes one setting to the URL; empty/default values are removed, and
+   *   any change starts again from the first page.
+   * - Typing (search, prices) replaces the current history entry; picking a
+   *   category, sort or rating adds one, so Back undoes it.
+   */
+  const setFilter = (name, value) => {
+    const next = new URLSearchParams(params);
+    const isDefault =
+      value === "" ||
+      value === null ||
+      (name === "sort" && value === DEFAULT_SORT) ||
+      (name === "category" && value === "All Categories");
+    if (isDefault) next.delete(name);
+    else next.set(name, value);
+    next.delete("page");
+    setParams(next, { replace: ["q", "min", "max"].includes(name) });
+  };
+
+  // Drop every filter but keep the chosen sort order
+  const clearFilters = () => {
+    const next = new URLSearchParams(params);
+    [...FILTER_PARAMS, "page"].forEach((name) => next.delete(name));
+    setParams(next);
+  };
+
+  /**
+   * setPage(p)
+   * - Numbered pages add a history entry and go back to the top of the list.
+   * - Infinite scroll replaces it, so the URL says how much is loaded.
+   */
+  const setPage = (p) => {
+    const next = new URLSearchParams(params);
+    if (p > 1) next.set("page", String(p));
+    else next.delete("page");
+    setParams(next, { replace: mode === "scroll" });
+    if (mode === "pages") window.scrollTo({ top: 0 });
+  };
+
+  const changeMode = (nextMode) => {
+    setMode(nextMode);
+    const next = new URLSearchParams(params);
+    next.delete("page");
+    setParams(next, { replace: true });
+  };
 
   // Currency formatter for displaying prices
   const currency = useMemo(
@@ -42,65 +182,55 @@ function ProductList() {
     []
   );
 
-  // Fetch products and categories from API on mount
-  useEffect(() => {
-    const controller = new AbortController();
-    (async () => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        // Fetch products and categories in parallel
-        const [prodRes, catRes] = await Promise.all([
-          axios.get("https://fakestoreapi.com/products", {
-            signal: controller.signal,
-          }),
-          axios.get("https://fakestoreapi.com/products/categories", {
-            signal: controller.signal,
-          }),
-        ]);
-
-        setProducts(Array.isArray(prodRes.data) ? prodRes.data : []);
-        setCategories([
-          "All Categories",
-          ...(Array.isArray(catRes.data) ? catRes.data : []),
-        ]);
-      } catch (err) {
-        if (axios.isCancel(err)) return;
-        console.error(err);
-        setError("Couldn’t load products. Please try again.");
-      } finally {
-        setLoading(false);
-      }
-    })();
-
-    // Cleanup: abort fetch if component unmounts
-    return () => controller.abort();
-  }, []);
-
-  // Filter products by search query and selected category
-  const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    return products.filter((p) => {
-      const matchesQuery =
-        !q ||
-        p.title.toLowerCase().includes(q) ||
-        p.description?.toLowerCase().includes(q);
-      const matchesCat =
-        selectedCat === "All Categories" || p.category === selectedCat;
-      return matchesQuery && matchesCat;
-    });
-  }, [products, query, selectedCat]);
+  // Filter and sort products by the URL settings
+  const filtered = useMemo(
+    () => filterProducts(products, filters),
+    [products, filters]
+  );
+
+  // The products to show, and the pages on offer
+  const {
+    visible,
+    page: currentPage,
+    pageCount,
+    hasMore,
+  } = apiSort
+    ? paginate(pageQuery.data?.items ?? [], {
+        page,
+        mode,
+        hasMore: !!pageQuery.data?.hasMore,
+      })
+    : paginate(filtered, { page, mode });
+
+  // Infinite scroll: load the next page as the end of the grid comes near
+  const loadMore = () => {
+    if (hasMore && !listQuery.isFetching) setPage(currentPage + 1);
+  };
+  const sentinelRef = useIntersectionObserver(loadMore, {
+    rootMargin: "400px",
+    enabled: mode === "scroll" && hasMore && !listQuery.isFetching,
+  });
 
   // Retry handler for failed fetch
+  // Re-runs only the queries that failed; cart and filter state are kept.
   const handleRetry = () => {
-    window.location.reload();
+    if (listQuery.error) listQuery.refetch();
+    if (categoriesQuery.error) categoriesQuery.refetch();
+  };
+
+  // Discard locally persisted create/edit/delete changes and reload server data
+  const handleResetLocal = () => {
+    resetOverlay(); // also invalidates the cached product list
+    toast.info("Catalog reset to server data");
   };
 
   // Add a product to the cart and show a toast notification
   const addToCart = (product) => {
     try {
-      addItem(product, 1);
+      if (!addItem(product, 1)) {
+        toast.warn("Your cart is locked while an order is being placed");
+        return;
+      }
       toast.success(`Added "${product.title}" to cart`);
     } catch (err) {
       console.error("Add to cart failed:", err);
@@ -108,8 +238,9 @@ function ProductList() {
     }
   };
 
-  // Show loading spinner while fetching data
-  if (loading) {
+  // Show loading spinner until the filters can be shown; the product grid
+  // has its own spinner, so typing a search never unmounts the search box.
+  if (categoriesQuery.loading) {
     return (
       <div className="d-flex justify-content-center align-items-center py-5">
         <Spinner animation="border" />
@@ -144,14 +275,34 @@ function ProductList() {
       {/* Page title */}
       <h2 className="text-center fw-bold mb-4">Our Products</h2>
 
+      {/* Shown only when local catalog changes are layered over server data */}
+      {hasOverlayChanges() && (
+        <Alert
+          variant="secondary"
+          className="d-flex justify-content-between align-items-center"
+        >
+          <div className="small">
+            Showing your local product changes on top of the server catalog.
+          </div>
+          <Button
+            variant="outline-secondary"
+            size="sm"
+            onClick={handleResetLocal}
+          >
+            Reset to server data
+          </Button>
+        </Alert>
+      )}
+
       {/* Search bar and category dropdown */}
       <Row className="g-3 mb-4">
         <Col xs={12} md={8} lg={7}>
           <Form.Control
             type="search"
             placeholder="Search products…"
-            value={query}
-            onChange={(e) => setQuery(e.target.value)}
+            aria-label="Search products"
+            value={filters.q}
+            onChange={(e) => setFilter("q", e.target.value)}
             className="form-control-lg"
           />
         </Col>
@@ -166,7 +317,7 @@ function ProductList() {
               <Dropdown.Item
                 key={cat}
                 active={selectedCat === cat}
-                onClick={() => setSelectedCat(cat)}
+                onClick={() => setFilter("category", cat)}
               >
                 {cat}
               </Dropdown.Item>
@@ -175,9 +326,117 @@ function ProductList() {
         </Col>
       </Row>
 
+      {/* Sort, price range and minimum rating */}
+      <Row className="g-3 mb-4 align-items-end">
+        <Col xs={12} md={4}>
+          <Form.Label htmlFor="product-sort" className="small text-muted">
+            Sort by
+          </Form.Label>
+          <Form.Select
+            id="product-sort"
+            value={filters.sort}
+            onChange={(e) => setFilter("sort", e.target.value)}
+          >
+            {Object.entries(PRODUCT_SORTS).map(([value, { label }]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col xs={12} md={5}>
+          <Form.Label className="small text-muted" id="price-range-label">
+            Price range
+          </Form.Label>
+          <InputGroup role="group" aria-labelledby="price-range-label">
+            <InputGroup.Text>$</InputGroup.Text>
+            <Form.Control
+              type="number"
+              min={0}
+              step="any"
+              inputMode="decimal"
+              placeholder="Min"
+              aria-label="Minimum price"
+              value={params.get("min") ?? ""}
+              onChange={(e) => setFilter("min", e.target.value)}
+            />
+            <InputGroup.Text>to $</InputGroup.Text>
+            <Form.Control
+              type="number"
+              min={0}
+              step="any"
+              inputMode="decimal"
+              placeholder="Max"
+              aria-label="Maximum price"
+              value={params.get("max") ?? ""}
+              onChange={(e) => setFilter("max", e.target.value)}
+            />
+          </InputGroup>
+        </Col>
+        <Col xs={12} md={3}>
+          <Form.Label htmlFor="product-rating" className="small text-muted">
+            Rating
+          </Form.Label>
+          <Form.Select
+            id="product-rating"
+            value={filters.rating ?? ""}
+            onChange={(e) => setFilter("rating", e.target.value)}
+          >
+            <option value="">Any rating</option>
+            {RATING_OPTIONS.map((r) => (
+              <option key={r} value={r}>
+                {r}★ &amp; up
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+
+      {/* Result count, with a shortcut to drop the filters */}
+      {hasActiveFilters(filters) && filtered.length > 0 && (
+        <div className="d-flex justify-content-between align-items-center mb-3 small text-muted">
+          <span>
+            {filtered.length} {filtered.length === 1 ? "product" : "products"}{" "}
+            found
+          </span>
+          <Button variant="link" size="sm" onClick={clearFilters}>
+            Clear filters
+          </Button>
+        </div>
+      )}
+
+      {/* Pagination mode */}
+      <div className="d-flex justify-content-end mb-3">
+        <ToggleButtonGroup
+          type="radio"
+          name="pagination-mode"
+          size="sm"
+          value={mode}
+          onChange={changeMode}
+        >
+          {Object.entries(PAGINATION_MODES).map(([value, { label }]) => (
+            <ToggleButton
+              key={value}
+              id={`pagination-${value}`}
+              value={value}
+              variant="outline-secondary"
+            >
+              {label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </div>
+
+      {listLoading && (
+        <div className="d-flex justify-content-center align-items-center py-5">
+          <Spinner animation="border" />
+          <span className="ms-2">Loading products…</span>
+        </div>
+      )}
+
       {/* Responsive product grid */}
       <Row xs={1} sm={2} lg={3} xl={4} className="g-3 g-md-4">
-        {filtered.map(({ id, title, price, image }) => (
+        {visible.map(({ id, title, price, image, category }) => (
           <Col key={id}>
             <Card className="h-100 shadow-sm" style={{ borderRadius: 10 }}>
               {/* Product image */}
@@ -229,7 +488,9 @@ function ProductList() {
                     variant="primary"
                     className="w-100"
                     size="sm"
-                    onClick={() => addToCart({ id, title, price, image })}
+                    onClick={() =>
+                      addToCart({ id, title, price, image, category })
+                    }
                     style={{
                       backgroundColor: "#003366",
                       borderColor: "#003366",
@@ -244,16 +505,44 @@ function ProductList() {
         ))}
       </Row>
 
+      {/* Numbered pages, or the infinite scroll trigger and fallback button */}
+      {!listLoading && mode === "pages" && (
+        <div className="mt-4">
+          <ListPagination
+            page={currentPage}
+            pageCount={pageCount}
+            onChange={setPage}
+            label="Product pages"
+          />
+        </div>
+      )}
+      {!listLoading && mode === "scroll" && hasMore && (
+        <div className="text-center mt-4">
+          {/* key: a new element is observed (and checked) after each load */}
+          <div ref={sentinelRef} key={visible.length} aria-hidden="true" />
+          {listQuery.isFetching ? (
+            <Spinner animation="border" size="sm" role="status">
+              <span className="visually-hidden">Loading more products…</span>
+            </Spinner>
+          ) : (
+            <Button
+              variant="outline-primary"
+              onClick={loadMore}
+              style={{ borderColor: "#003366", color: "#003366" }}
+            >
+              Load more
+            </Button>
+          )}
+        </div>
+      )}
+
       {/* Show message and clear filters button if no products match */}
-      {filtered.length === 0 && (
+      {!listLoading && visible.length === 0 && (
         <div className="text-center text-muted mt-5">
           <p className="fs-5">No products match your filters.</p>
           <Button
             variant="outline-primary"
-            onClick={() => {
-              setQuery("");
-              setSelectedCat("All Categories");
-            }}
+            onClick={clearFilters}
             style={{ borderColor: "#003366", color: "#003366" }}
           >
             Clear Filters
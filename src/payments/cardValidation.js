@@ -0,0 +1,183 @@
+/**
+ * cardValidation.js
+ *
+ * Payment card field helpers: brand detection, validation and input masking.
+ *
+ * Purpose:
+ * - Catch mistyped card numbers (Luhn check), wrong lengths for the detected
+ *   brand, expired cards and wrong CVC lengths before the payment step.
+ * - Format card number / expiry / CVC inputs as the user types.
+ *
+ * Supported brands: Visa, Mastercard, American Express, Discover.
+ * Numbers that don't match a brand are rejected.
+ *
+ * Notes:
+ * - Validators return an error message string, or null when the value is valid.
+ *   Empty values return null; "Required" checks stay with the form.
+ * - This is client-side validation only; the payment gateway has the final say.
+ */
+
+/**
+ * CARD_BRANDS
+ * - pattern: IIN prefix match on the leading digits
+ * - lengths: valid card number lengths
+ * - cvcLength: digits in the security code
+ * - gaps: digit positions after which the formatted number has a space
+ */
+export const CARD_BRANDS = {
+  visa: {
+    label: "Visa",
+    pattern: /^4/,
+    lengths: [13, 16, 19],
+    cvcLength: 3,
+    gaps: [4, 8, 12],
+  },
+  mastercard: {
+    label: "Mastercard",
+    pattern: /^(5[1-5]|222[1-9]|22[3-9]|2[3-6]|27[01]|2720)/,
+    lengths: [16],
+    cvcLength: 3,
+    gaps: [4, 8, 12],
+  },
+  amex: {
+    label: "American Express",
+    pattern: /^3[47]/,
+    lengths: [15],
+    cvcLength: 4,
+    gaps: [4, 10],
+  },
+  discover: {
+    label: "Discover",
+    pattern: /^(6011|65|64[4-9]|622)/,
+    lengths: [16, 19],
+    cvcLength: 3,
+    gaps: [4, 8, 12],
+  },
+};
+
+// Used for formatting while the brand is still unknown
+const DEFAULT_FORMAT = { lengths: [19], cvcLength: 4, gaps: [4, 8, 12] };
+
+/** digitsOnly(value) - strip everything but digits. */
+export const digitsOnly = (value) => String(value ?? "").replace(/\D/g, "");
+
+/** detectBrand(number) - brand id ("visa", "amex"...) or null. */
+export function detectBrand(number) {
+  const digits = digitsOnly(number);
+  if (!digits) return null;
+  const match = Object.entries(CARD_BRANDS).find(([, b]) =>
+    b.pattern.test(digits)
+  );
+  return match ? match[0] : null;
+}
+
+/** luhnCheck(number) - true when the digits pass the Luhn checksum. */
+export function luhnCheck(number) {
+  const digits = digitsOnly(number);
+  if (!digits) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/** validateCardNumber(number) - brand, length and Luhn checks. */
+export function validateCardNumber(number) {
+  const digits = digitsOnly(number);
+  if (!digits) return null;
+  const brand = detectBrand(digits);
+  if (!brand) return "Card type not supported";
+  const { label, lengths } = CARD_BRANDS[brand];
+  if (!lengths.includes(digits.length)) {
+    const list =
+      lengths.length > 1
+        ? `${lengths.slice(0, -1).join(", ")} or ${lengths[lengths.length - 1]}`
+        : String(lengths[0]);
+    return `${label} numbers have ${list} digits`;
+  }
+  if (!luhnCheck(digits)) return "Card number looks wrong";
+  return null;
+}
+
+/**
+ * parseExpiry(exp)
+ * - Accepts "MM/YY" (also "M/YY" and "MM/YYYY"); returns { month, year } or null.
+ */
+export function parseExpiry(exp) {
+  const match = /^\s*(\d{1,2})\s*\/\s*(\d{2}|\d{4})\s*$/.exec(exp || "");
+  if (!match) return null;
+  const month = Number(match[1]);
+  if (month < 1 || month > 12) return null;
+  const year =
+    match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+  return { month, year };
+}
+
+/** validateExpiry(exp, now) - format check and rejects months already over. */
+export function validateExpiry(exp, now = new Date()) {
+  if (!String(exp ?? "").trim()) return null;
+  const parsed = parseExpiry(exp);
+  if (!parsed) return "Use MM/YY";
+  // Cards are valid through the last day of the expiry month
+  const endOfMonth = new Date(parsed.year, parsed.month, 1);
+  if (endOfMonth <= now) return "Card has expired";
+  if (parsed.year > now.getFullYear() + 20) return "Check the expiry year";
+  return null;
+}
+
+/** validateCvc(cvc, number) - CVC length for the card's brand. */
+export function validateCvc(cvc, number) {
+  const digits = digitsOnly(cvc);
+  if (!digits) return null;
+  const brand = detectBrand(number);
+  const expected = brand ? CARD_BRANDS[brand].cvcLength : null;
+  if (expected && digits.length !== expected)
+    return `${expected} digits for ${CARD_BRANDS[brand].label}`;
+  if (!expected && (digits.length < 3 || digits.length > 4))
+    return "3–4 digits";
+  return null;
+}
+
+/** formatCardNumber(value) - "4111 1111 1111 1111" / "3782 822463 10005". */
+export function formatCardNumber(value) {
+  const brand = detectBrand(value);
+  const format = brand ? CARD_BRANDS[brand] : DEFAULT_FORMAT;
+  const digits = digitsOnly(value).slice(0, Math.max(...format.lengths));
+  let out = "";
+  for (let i = 0; i < digits.length; i++) {
+    if (format.gaps.includes(i)) out += " ";
+    out += digits[i];
+  }
+  return out;
+}
+
+/**
+ * formatExpiry(value, previous)
+ * - Inserts the slash after the month ("1225" -> "12/25"); a leading month
+ *   digit above 1 is padded ("4" -> "04/").
+ * - previous: the value before this edit; when the user is deleting, the
+ *   slash isn't re-added so backspace works naturally.
+ */
+export function formatExpiry(value, previous = "") {
+  let digits = digitsOnly(value).slice(0, 4);
+  if (/^[2-9]/.test(digits)) digits = `0${digits}`.slice(0, 4);
+  if (digits.length < 2) return digits;
+  if (digits.length === 2) {
+    const deleting = String(value).length < String(previous).length;
+    return deleting ? digits : `${digits}/`;
+  }
+  return `${digits.slice(0, 2)}/${digits.slice(2)}`;
+}
+
+/** formatCvc(value, number) - digits only, capped at the brand's CVC length. */
+export function formatCvc(value, number) {
+  const brand = detectBrand(number);
+  const max = brand ? CARD_BRANDS[brand].cvcLength : DEFAULT_FORMAT.cvcLength;
+  return digitsOnly(value).slice(0, max);
+}
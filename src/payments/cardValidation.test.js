@@ -0,0 +1,126 @@
+/**
+ * cardValidation.test.js
+ *
+ * Tests for card brand detection, the Luhn check, expiry/CVC rules and the
+ * input formatters.
+ */
+
+import { describe, expect, it } from "vitest";
+import {
+  detectBrand,
+  formatCardNumber,
+  formatCvc,
+  formatExpiry,
+  luhnCheck,
+  parseExpiry,
+  validateCardNumber,
+  validateCvc,
+  validateExpiry,
+} from "./cardValidation";
+
+describe("detectBrand", () => {
+  it("recognises each brand by its prefix", () => {
+    expect(detectBrand("4242 4242 4242 4242")).toBe("visa");
+    expect(detectBrand("5555555555554444")).toBe("mastercard");
+    expect(detectBrand("2223003122003222")).toBe("mastercard");
+    expect(detectBrand("378282246310005")).toBe("amex");
+    expect(detectBrand("6011111111111117")).toBe("discover");
+  });
+
+  it("returns null for empty or unknown numbers", () => {
+    expect(detectBrand("")).toBeNull();
+    expect(detectBrand("9999")).toBeNull();
+  });
+});
+
+describe("luhnCheck", () => {
+  it("accepts valid numbers and ignores formatting", () => {
+    expect(luhnCheck("4111 1111 1111 1111")).toBe(true);
+    expect(luhnCheck("378282246310005")).toBe(true);
+  });
+
+  it("rejects a single mistyped digit and empty input", () => {
+    expect(luhnCheck("4111111111111112")).toBe(false);
+    expect(luhnCheck("")).toBe(false);
+  });
+});
+
+describe("validateCardNumber", () => {
+  it("passes valid numbers and leaves empty input to the form", () => {
+    expect(validateCardNumber("4242424242424242")).toBeNull();
+    expect(validateCardNumber("")).toBeNull();
+  });
+
+  it("explains unsupported brands, wrong lengths and bad checksums", () => {
+    expect(validateCardNumber("9111111111111111")).toBe(
+      "Card type not supported"
+    );
+    expect(validateCardNumber("424242424242")).toBe(
+      "Visa numbers have 13, 16 or 19 digits"
+    );
+    expect(validateCardNumber("37828224631000")).toBe(
+      "American Express numbers have 15 digits"
+    );
+    expect(validateCardNumber("4242424242424241")).toBe(
+      "Card number looks wrong"
+    );
+  });
+});
+
+describe("expiry", () => {
+  const now = new Date(2026, 5, 15); // 15 June 2026
+
+  it("parses MM/YY, M/YY and MM/YYYY", () => {
+    expect(parseExpiry("07/27")).toEqual({ month: 7, year: 2027 });
+    expect(parseExpiry("7/27")).toEqual({ month: 7, year: 2027 });
+    expect(parseExpiry("07/2027")).toEqual({ month: 7, year: 2027 });
+    expect(parseExpiry("13/27")).toBeNull();
+    expect(parseExpiry("0727")).toBeNull();
+  });
+
+  it("is valid through the end of the expiry month", () => {
+    expect(validateExpiry("06/26", now)).toBeNull();
+    expect(validateExpiry("05/26", now)).toBe("Card has expired");
+  });
+
+  it("rejects bad formats and implausibly distant years", () => {
+    expect(validateExpiry("June", now)).toBe("Use MM/YY");
+    expect(validateExpiry("01/2050", now)).toBe("Check the expiry year");
+    expect(validateExpiry("", now)).toBeNull();
+  });
+});
+
+describe("validateCvc", () => {
+  it("expects the brand's CVC length", () => {
+    expect(validateCvc("123", "4242424242424242")).toBeNull();
+    expect(validateCvc("123", "378282246310005")).toBe(
+      "4 digits for American Express"
+    );
+    expect(validateCvc("1234", "378282246310005")).toBeNull();
+  });
+
+  it("allows 3-4 digits while the brand is unknown", () => {
+    expect(validateCvc("12", "")).toBe("3–4 digits");
+    expect(validateCvc("1234", "")).toBeNull();
+  });
+});
+
+describe("formatters", () => {
+  it("groups card numbers by brand and caps their length", () => {
+    expect(formatCardNumber("4242424242424242")).toBe("4242 4242 4242 4242");
+    expect(formatCardNumber("378282246310005")).toBe("3782 822463 10005");
+    expect(formatCardNumber("3782822463100059999")).toBe("3782 822463 10005");
+  });
+
+  it("adds the expiry slash, pads single-digit months and lets backspace work", () => {
+    expect(formatExpiry("1225")).toBe("12/25");
+    expect(formatExpiry("4")).toBe("04/");
+    expect(formatExpiry("12")).toBe("12/");
+    expect(formatExpiry("12", "12/")).toBe("12");
+  });
+
+  it("caps the CVC at the brand's length", () => {
+    expect(formatCvc("12345", "4242424242424242")).toBe("123");
+    expect(formatCvc("12a34", "378282246310005")).toBe("1234");
+  });
+});
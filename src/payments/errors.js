@@ -0,0 +1,28 @@
+/**
+ * errors.js
+ *
+ * Error type shared by payment providers (see payments.js).
+ */
+
+/**
+ * PaymentError
+ * - Fields:
+ *   - message: human-friendly description (safe to show in the UI)
+ *   - code: "DECLINED" | "INSUFFICIENT_FUNDS" | "AUTHENTICATION_FAILED" |
+ *           "PROCESSING_ERROR" | "INVALID_STATE" | "NOT_FOUND" | "CANCELED" |
+ *           "IDEMPOTENCY_CONFLICT"
+ *   - retryable: true when trying again with the same card may succeed
+ *   - paymentId: the payment involved, if one was created
+ */
+export class PaymentError extends Error {
+  constructor(
+    message,
+    { code = "PROCESSING_ERROR", retryable = false, paymentId = null } = {}
+  ) {
+    super(message);
+    this.name = "PaymentError";
+    this.code = code;
+    this.retryable = retryable;
+    this.paymentId = paymentId;
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * mockGateway.js
+ *
+ * Local mock payment provider (the default provider in payments.js).
+ *
+ * Purpose:
+ * - Let checkout exercise every payment outcome without a real gateway.
+ * - Card numbers are reduced to brand + last4; nothing else about the card
+ *   is kept.
+ *
+ * Magic test cards (any future expiry, any CVC of the right length):
+ * - 4242 4242 4242 4242  -> approved
+ * - 4000 0000 0000 0002  -> declined (generic decline)
+ * - 4000 0000 0000 9995  -> declined (insufficient funds)
+ * - 4000 0000 0000 3220  -> 3-D Secure challenge; code 123456 passes,
+ *                           anything else fails authentication
+ * - 4000 0000 0000 0119  -> processing error (retryable)
+ * Any other valid card is approved.
+ *
+ * Notes:
+ * - Latency is simulated with VITE_PAYMENT_MOCK_LATENCY (ms, default 700).
+ * - Payments are kept in localStorage ("payments:mock:v1") the way a real
+ *   gateway keeps them on its servers, so a refreshed tab can still look a
+ *   payment up by its idempotency key.
+ * - Authorizations with an idempotency key are idempotent: repeating the key
+ *   (even while the first request is still running) returns the same payment;
+ *   repeating it with a different amount fails with IDEMPOTENCY_CONFLICT.
+ * - State transitions follow a real gateway: only authorized payments can be
+ *   captured or voided, only captured payments can be refunded.
+ */
+
+import { PaymentError } from "./errors";
+import { detectBrand, digitsOnly } from "./cardValidation";
+
+const LATENCY = Number(import.meta.env.VITE_PAYMENT_MOCK_LATENCY ?? 700);
+
+// Outcome per magic card number
+export const TEST_CARDS = {
+  4242424242424242: "approve",
+  4000000000000002: "decline",
+  4000000000009995: "insufficient_funds",
+  4000000000003220: "challenge",
+  4000000000000119: "processing_error",
+};
+
+// One-time code accepted by the mock 3-D Secure challenge
+export const TEST_CHALLENGE_CODE = "123456";
+
+const STORAGE_KEY = "payments:mock:v1";
+
+// Only the most recent payments are kept in storage.
+const MAX_STORED = 50;
+
+// Stored payments by id (loaded once, written back after every change)
+const payments = new Map(load());
+
+// Authorizations still running, by idempotency key
+const authorizing = new Map();
+
+function load() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.map((p) => [p.id, p]) : [];
+  } catch {
+    return [];
+  }
+}
+
+function persist() {
+  try {
+    const recent = [...payments.values()].slice(-MAX_STORED);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(recent));
+  } catch {
+    // Ignore errors (e.g. storage quota, disabled storage)
+  }
+}
+
+const delay = () => new Promise((resolve) => setTimeout(resolve, LATENCY));
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Random id with a recognizable prefix, e.g. "pay_mock_k3j2h1g0"
+const newId = () => `pay_mock_${Math.random().toString(36).slice(2, 10)}`;
+
+// Public view of a stored payment (copies so callers can't mutate state)
+const view = (payment) => ({ ...payment });
+
+function find(paymentId) {
+  const payment = payments.get(paymentId);
+  if (!payment)
+    throw new PaymentError("Payment not found", {
+      code: "NOT_FOUND",
+      paymentId,
+    });
+  return payment;
+}
+
+function expectStatus(payment, allowed, action) {
+  if (!allowed.includes(payment.status))
+    throw new PaymentError(
+      `Can't ${action} a payment that is ${payment.status.replace("_", " ")}`,
+      { code: "INVALID_STATE", paymentId: payment.id }
+    );
+}
+
+const findByKey = (idempotencyKey) =>
+  [...payments.values()].find((p) => p.idempotencyKey === idempotencyKey) ??
+  null;
+
+function authorize(request) {
+  const key = request.idempotencyKey;
+  if (!key) return createAuthorization(request);
+
+  // Same key again: replay the stored payment instead of charging twice.
+  const existing = findByKey(key);
+  if (existing) {
+    return delay().then(() => {
+      if (existing.amount !== round2(request.amount))
+        throw new PaymentError(
+          "This payment was already submitted with a different amount.",
+          { code: "IDEMPOTENCY_CONFLICT", paymentId: existing.id }
+        );
+      return view(existing);
+    });
+  }
+  if (!authorizing.has(key)) {
+    authorizing.set(
+      key,
+      createAuthorization(request).finally(() => authorizing.delete(key))
+    );
+  }
+  return authorizing.get(key);
+}
+
+async function createAuthorization({
+  amount,
+  currency = "USD",
+  card,
+  reference,
+  idempotencyKey,
+}) {
+  await delay();
+  const number = digitsOnly(card?.number);
+  const outcome = TEST_CARDS[number] ?? "approve";
+
+  if (outcome === "decline")
+    throw new PaymentError("Your card was declined.", { code: "DECLINED" });
+  if (outcome === "insufficient_funds")
+    throw new PaymentError("Your card has insufficient funds.", {
+      code: "INSUFFICIENT_FUNDS",
+    });
+  if (outcome === "processing_error")
+    throw new PaymentError(
+      "We couldn’t reach the card issuer. Please try again.",
+      { code: "PROCESSING_ERROR", retryable: true }
+    );
+
+  const payment = {
+    id: newId(),
+    status: outcome === "challenge" ? "requires_action" : "authorized",
+    amount: round2(amount),
+    currency,
+    brand: detectBrand(number),
+    last4: number.slice(-4),
+    reference: reference ?? null,
+    idempotencyKey: idempotencyKey ?? null,
+    refundedAmount: 0,
+  };
+  if (outcome === "challenge") {
+    payment.challenge = {
+      type: "3ds",
+      message: `Your bank sent a code to confirm this payment. (Test code: ${TEST_CHALLENGE_CODE})`,
+    };
+  }
+  payments.set(payment.id, payment);
+  persist();
+  return view(payment);
+}
+
+async function lookup(idempotencyKey) {
+  await delay();
+  const payment = findByKey(idempotencyKey);
+  return payment ? view(payment) : null;
+}
+
+async function completeChallenge(paymentId, { code } = {}) {
+  await delay();
+  const payment = find(paymentId);
+  expectStatus(payment, ["requires_action"], "authenticate");
+  delete payment.challenge;
+  if (String(code ?? "").trim() !== TEST_CHALLENGE_CODE) {
+    payment.status = "failed";
+    persist();
+    throw new PaymentError("Card authentication failed.", {
+      code: "AUTHENTICATION_FAILED",
+      paymentId,
+    });
+  }
+  payment.status = "authorized";
+  persist();
+  return view(payment);
+}
+
+async function capture(paymentId, amount) {
+  await delay();
+  const payment = find(paymentId);
+  expectStatus(payment, ["authorized"], "capture");
+  if (amount !== undefined) {
+    if (amount > payment.amount)
+      throw new PaymentError("Can't capture more than was authorized", {
+        code: "INVALID_STATE",
+        paymentId,
+      });
+    payment.amount = round2(amount);
+  }
+  payment.status = "captured";
+  persist();
+  return view(payment);
+}
+
+async function voidPayment(paymentId) {
+  await delay();
+  const payment = find(paymentId);
+  expectStatus(payment, ["authorized", "requires_action"], "void");
+  delete payment.challenge;
+  payment.status = "voided";
+  persist();
+  return view(payment);
+}
+
+async function refund(paymentId, amount) {
+  await delay();
+  const payment = find(paymentId);
+  expectStatus(payment, ["captured", "partially_refunded"], "refund");
+  const remaining = round2(payment.amount - payment.refundedAmount);
+  const value = amount === undefined ? remaining : round2(amount);
+  if (value <= 0 || value > remaining)
+    throw new PaymentError("Refund amount is more than what's left", {
+      code: "INVALID_STATE",
+      paymentId,
+    });
+  payment.refundedAmount = round2(payment.refundedAmount + value);
+  payment.status =
+    payment.refundedAmount === payment.amount
+      ? "refunded"
+      : "partially_refunded";
+  persist();
+  return view(payment);
+}
+
+const mockGateway = {
+  name: "mock",
+  authorize,
+  completeChallenge,
+  capture,
+  void: voidPayment,
+  refund,
+  lookup,
+};
+
+export default mockGateway;
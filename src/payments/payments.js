@@ -0,0 +1,58 @@
+/**
+ * payments.js
+ *
+ * Payment provider interface and the functions the UI calls to charge a card.
+ *
+ * Purpose:
+ * - Keep checkout independent of a specific gateway: components call
+ *   authorizePayment/capturePayment/... and the active provider does the work.
+ * - The default provider is the local mock gateway (./mockGateway.js); a real
+ *   gateway can be plugged in with setPaymentProvider(provider).
+ *
+ * Provider interface (every method returns a Promise):
+ * - authorize({ amount, currency, card, reference, idempotencyKey })
+ *     -> payment with status "authorized", or "requires_action" plus a
+ *        `challenge` ({ type: "3ds", message }) when the issuer wants 3-D Secure.
+ *        Repeating an idempotencyKey returns the payment already created for
+ *        it instead of charging again.
+ * - completeChallenge(paymentId, { code })
+ *     -> payment with status "authorized" (throws when authentication fails)
+ * - capture(paymentId, amount?)  -> payment with status "captured"
+ * - void(paymentId)              -> payment with status "voided"
+ * - refund(paymentId, amount?)   -> payment with status "refunded" or
+ *                                   "partially_refunded"
+ * - lookup(idempotencyKey)       -> the payment created with that key, or null
+ *
+ * A payment is { id, status, amount, currency, brand, last4, reference,
+ * idempotencyKey, refundedAmount, challenge? }. Card details are only passed
+ * to authorize() and never stored.
+ *
+ * Errors:
+ * - Providers reject with PaymentError (./errors.js); `code` tells the UI what
+ *   to show.
+ */
+
+import mockGateway from "./mockGateway";
+
+export { PaymentError } from "./errors";
+
+let provider = mockGateway;
+
+/** setPaymentProvider(next) - swap the active provider (e.g. a real gateway). */
+export function setPaymentProvider(next) {
+  provider = next;
+}
+
+/** getPaymentProvider() - the active provider. */
+export const getPaymentProvider = () => provider;
+
+export const authorizePayment = (request) => provider.authorize(request);
+export const completeChallenge = (paymentId, response) =>
+  provider.completeChallenge(paymentId, response);
+export const capturePayment = (paymentId, amount) =>
+  provider.capture(paymentId, amount);
+export const voidPayment = (paymentId) => provider.void(paymentId);
+export const refundPayment = (paymentId, amount) =>
+  provider.refund(paymentId, amount);
+export const lookupPayment = (idempotencyKey) =>
+  provider.lookup(idempotencyKey);
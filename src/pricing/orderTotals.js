@@ -0,0 +1,52 @@
+/**
+ * orderTotals.js
+ *
+ * Combines the pricing modules into the totals shown in order summaries.
+ *
+ * Order of operations:
+ *   subtotal - discounts (promotions.js) = discounted subtotal
+ *   + shipping (shipping.js, thresholds use the discounted subtotal)
+ *   + tax (tax.js, on the discounted subtotal and, where taxed, shipping)
+ *   = total
+ *
+ * Notes:
+ * - A pending tax (destination not known yet, or not covered by the rate
+ *   table) counts as 0 in the total; summaries show it as "calculated at
+ *   checkout".
+ */
+
+import { calculateShipping } from "./shipping";
+import { calculateTax } from "./tax";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * calculateOrderTotals({ items, subtotal, discountTotal, shippingMethod, country, region })
+ * - subtotal/discountTotal: from CartContext (cartTotal/discountTotal)
+ * - Returns { subtotal, discountTotal, shipping, tax, total }
+ *   where shipping/tax are the results of calculateShipping/calculateTax.
+ */
+export function calculateOrderTotals({
+  items,
+  subtotal,
+  discountTotal = 0,
+  shippingMethod,
+  country,
+  region,
+}) {
+  const discounted = Math.max(0, round2(subtotal - discountTotal));
+  const shipping = calculateShipping(items, shippingMethod, discounted);
+  const tax = calculateTax({
+    country,
+    region,
+    amount: discounted,
+    shipping: shipping.amount,
+  });
+  return {
+    subtotal,
+    discountTotal,
+    shipping,
+    tax,
+    total: round2(discounted + shipping.amount + tax.amount),
+  };
+}
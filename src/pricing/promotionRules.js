@@ -0,0 +1,51 @@
+/**
+ * promotionRules.js
+ *
+ * Discount codes available in the store (edited by the marketing team).
+ *
+ * Each entry maps an upper-case code to a rule:
+ *  - type: "percent"  -> `percent` off eligible items
+ *  - type: "fixed"    -> `amount` (USD) off eligible items
+ *  - type: "bxgy"     -> buy `buy` eligible units, get `get` units free
+ *                        (the cheapest eligible units are the free ones)
+ *
+ * Optional fields on any rule:
+ *  - category:    only items in this product category are eligible
+ *  - minSubtotal: cart subtotal (USD, before discounts) required to apply
+ *  - description: short text shown next to the applied code
+ *  - expiresAt:   ISO date after which the code is rejected
+ */
+const PROMOTION_RULES = {
+  SAVE10: {
+    type: "percent",
+    percent: 10,
+    description: "10% off your order",
+  },
+  TAKE5: {
+    type: "fixed",
+    amount: 5,
+    minSubtotal: 25,
+    description: "$5 off orders over $25",
+  },
+  BIG20: {
+    type: "fixed",
+    amount: 20,
+    minSubtotal: 150,
+    description: "$20 off orders over $150",
+  },
+  TECH15: {
+    type: "percent",
+    percent: 15,
+    category: "electronics",
+    description: "15% off electronics",
+  },
+  JEWEL3FOR2: {
+    type: "bxgy",
+    buy: 2,
+    get: 1,
+    category: "jewelery",
+    description: "Buy 2 jewelry items, get 1 free",
+  },
+};
+
+export default PROMOTION_RULES;
@@ -0,0 +1,132 @@
+/**
+ * promotions.js
+ *
+ * Promotion engine: turns cart items + entered discount codes into discounts.
+ *
+ * Purpose:
+ * - One place for discount math so CartPage, Checkout and any other summary
+ *   show the same numbers (CartContext exposes the results).
+ * - Supports percentage-off, fixed-amount, category-scoped, buy-X-get-Y and
+ *   minimum-spend rules (see promotionRules.js for the rule format).
+ *
+ * Notes:
+ * - Codes are matched case-insensitively and applied in the order entered.
+ * - The total discount never exceeds the subtotal; each code can only take
+ *   what is left after earlier codes.
+ * - Unavailable cart items (see cartRevalidation.js) are never discounted.
+ * - Amounts are rounded to cents per code.
+ */
+
+import PROMOTION_RULES from "./promotionRules";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** normalizeCode(code) - canonical form used as the rule key. */
+export const normalizeCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+/** findPromotion(code) - the rule for a code, or null if unknown. */
+export function findPromotion(code, rules = PROMOTION_RULES) {
+  return rules[normalizeCode(code)] ?? null;
+}
+
+const lineTotal = (items) => items.reduce((sum, i) => sum + i.price * i.qty, 0);
+
+/**
+ * buyXGetYDiscount(items, buy, get)
+ * - Every (buy + get) eligible units, the `get` cheapest units are free.
+ */
+function buyXGetYDiscount(items, buy, get) {
+  const unitPrices = items
+    .flatMap((i) => Array.from({ length: i.qty }, () => i.price))
+    .sort((a, b) => a - b);
+  const freeUnits = Math.floor(unitPrices.length / (buy + get)) * get;
+  return unitPrices.slice(0, freeUnits).reduce((sum, p) => sum + p, 0);
+}
+
+/**
+ * evaluateRule(rule, items, subtotal)
+ * - Returns { amount } for an applicable rule or { reason } explaining why not.
+ */
+function evaluateRule(rule, items, subtotal) {
+  if (rule.expiresAt && Date.parse(rule.expiresAt) < Date.now())
+    return { reason: "This code has expired" };
+
+  if (rule.minSubtotal && subtotal < rule.minSubtotal)
+    return {
+      reason: `Spend at least $${rule.minSubtotal.toFixed(2)} to use this code`,
+    };
+
+  const eligible = rule.category
+    ? items.filter((i) => i.category === rule.category)
+    : items;
+  if (eligible.length === 0)
+    return { reason: "No items in your cart qualify for this code" };
+
+  const eligibleSubtotal = lineTotal(eligible);
+  let amount = 0;
+  switch (rule.type) {
+    case "percent":
+      amount = (eligibleSubtotal * rule.percent) / 100;
+      break;
+    case "fixed":
+      amount = Math.min(rule.amount, eligibleSubtotal);
+      break;
+    case "bxgy":
+      amount = buyXGetYDiscount(eligible, rule.buy, rule.get);
+      if (amount === 0)
+        return {
+          reason: `Add ${rule.buy + rule.get} qualifying items to use this code`,
+        };
+      break;
+    default:
+      return { reason: "This code can’t be applied" };
+  }
+  return { amount };
+}
+
+/**
+ * calculatePromotions(items, codes)
+ * - items: cart items ({ price, qty, category, unavailable? })
+ * - codes: discount codes in the order they were entered
+ * - Returns {
+ *     subtotal,                                   // before discounts
+ *     discountTotal,                              // sum of applied discounts
+ *     applied: [{ code, description, amount }],   // codes that took effect
+ *     rejected: [{ code, reason }],               // codes that currently don't apply
+ *   }
+ */
+export function calculatePromotions(items, codes, rules = PROMOTION_RULES) {
+  const available = (items || []).filter((i) => !i.unavailable);
+  const subtotal = round2(lineTotal(available));
+
+  let remaining = subtotal;
+  const applied = [];
+  const rejected = [];
+
+  (codes || []).forEach((rawCode) => {
+    const code = normalizeCode(rawCode);
+    const rule = rules[code];
+    if (!rule) {
+      rejected.push({ code, reason: "This code isn’t valid" });
+      return;
+    }
+    const { amount, reason } = evaluateRule(rule, available, subtotal);
+    if (reason) {
+      rejected.push({ code, reason });
+      return;
+    }
+    const capped = round2(Math.min(amount, remaining));
+    remaining = round2(remaining - capped);
+    applied.push({
+      code,
+      description: rule.description ?? code,
+      amount: capped,
+    });
+  });
+
+  const discountTotal = round2(applied.reduce((sum, a) => sum + a.amount, 0));
+  return { subtotal, discountTotal, applied, rejected };
+}
@@ -0,0 +1,112 @@
+/**
+ * promotions.test.js
+ *
+ * Tests for the promotion engine (codes, rule types, caps and rejections).
+ */
+
+import { describe, expect, it } from "vitest";
+import {
+  calculatePromotions,
+  findPromotion,
+  normalizeCode,
+} from "./promotions";
+
+const RULES = {
+  SAVE10: { type: "percent", percent: 10, description: "10% off" },
+  TAKE5: { type: "fixed", amount: 5, minSubtotal: 25 },
+  BIG: { type: "fixed", amount: 500 },
+  TECH15: { type: "percent", percent: 15, category: "electronics" },
+  B2G1: { type: "bxgy", buy: 2, get: 1, category: "jewelery" },
+  OLD: { type: "percent", percent: 50, expiresAt: "2000-01-01T00:00:00Z" },
+};
+
+const item = (id, price, qty, category = "electronics", extra = {}) => ({
+  id,
+  price,
+  qty,
+  category,
+  ...extra,
+});
+
+describe("codes", () => {
+  it("are matched case-insensitively", () => {
+    expect(normalizeCode("  save10 ")).toBe("SAVE10");
+    expect(findPromotion("save10", RULES)).toBe(RULES.SAVE10);
+    expect(findPromotion("NOPE", RULES)).toBeNull();
+  });
+});
+
+describe("calculatePromotions", () => {
+  it("applies percentage and fixed discounts in the order entered", () => {
+    const result = calculatePromotions(
+      [item(1, 40, 1), item(2, 10, 1)],
+      ["save10", "TAKE5"],
+      RULES
+    );
+    expect(result).toEqual({
+      subtotal: 50,
+      discountTotal: 10,
+      applied: [
+        { code: "SAVE10", description: "10% off", amount: 5 },
+        { code: "TAKE5", description: "TAKE5", amount: 5 },
+      ],
+      rejected: [],
+    });
+  });
+
+  it("only discounts items in the rule's category", () => {
+    const result = calculatePromotions(
+      [item(1, 100, 1), item(2, 50, 1, "jewelery")],
+      ["TECH15"],
+      RULES
+    );
+    expect(result.discountTotal).toBe(15);
+  });
+
+  it("makes the cheapest units free for buy-X-get-Y", () => {
+    const result = calculatePromotions(
+      [item(1, 30, 2, "jewelery"), item(2, 10, 1, "jewelery")],
+      ["B2G1"],
+      RULES
+    );
+    expect(result.discountTotal).toBe(10);
+  });
+
+  it("never takes more than the subtotal", () => {
+    const result = calculatePromotions(
+      [item(1, 40, 1)],
+      ["SAVE10", "BIG"],
+      RULES
+    );
+    expect(result.applied.map((a) => a.amount)).toEqual([4, 36]);
+    expect(result.discountTotal).toBe(40);
+  });
+
+  it("ignores unavailable items", () => {
+    const result = calculatePromotions(
+      [item(1, 40, 1), item(2, 60, 1, "electronics", { unavailable: true })],
+      ["SAVE10"],
+      RULES
+    );
+    expect(result).toMatchObject({ subtotal: 40, discountTotal: 4 });
+  });
+
+  it("explains why a code doesn't apply", () => {
+    const result = calculatePromotions(
+      [item(1, 20, 1, "jewelery")],
+      ["TAKE5", "TECH15", "B2G1", "OLD", "BOGUS"],
+      RULES
+    );
+    expect(result.applied).toEqual([]);
+    expect(result.rejected).toEqual([
+      { code: "TAKE5", reason: "Spend at least $25.00 to use this code" },
+      {
+        code: "TECH15",
+        reason: "No items in your cart qualify for this code",
+      },
+      { code: "B2G1", reason: "Add 3 qualifying items to use this code" },
+      { code: "OLD", reason: "This code has expired" },
+      { code: "BOGUS", reason: "This code isn’t valid" },
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * shipping.js
+ *
+ * Shipping cost calculation by method, order weight and subtotal.
+ *
+ * Purpose:
+ * - Price an order for each shipping method in shippingRates.js so the cart
+ *   and checkout summaries (via orderTotals.js) agree on the shipping charge.
+ *
+ * Notes:
+ * - Unavailable cart items (see cartRevalidation.js) are not shipped and don't
+ *   count towards the weight.
+ * - Free-shipping thresholds compare against the subtotal after discounts.
+ * - An empty order ships for free.
+ */
+
+import SHIPPING_METHODS, {
+  CATEGORY_WEIGHTS_KG,
+  DEFAULT_SHIPPING_METHOD,
+  FALLBACK_WEIGHT_KG,
+} from "./shippingRates";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** getItemWeight(item) - unit weight in kg (explicit weight or category default). */
+export function getItemWeight(item) {
+  const weight = Number(item.weight);
+  if (Number.isFinite(weight) && weight >= 0) return weight;
+  return CATEGORY_WEIGHTS_KG[item.category] ?? FALLBACK_WEIGHT_KG;
+}
+
+/** getOrderWeight(items) - total weight in kg of the items that will ship. */
+export function getOrderWeight(items) {
+  return (items || [])
+    .filter((i) => !i.unavailable)
+    .reduce((sum, i) => sum + getItemWeight(i) * i.qty, 0);
+}
+
+/** getShippingMethods() - [{ id, label, eta }] in display order. */
+export function getShippingMethods() {
+  return Object.entries(SHIPPING_METHODS).map(([id, m]) => ({
+    id,
+    label: m.label,
+    eta: m.eta,
+  }));
+}
+
+/**
+ * calculateShipping(items, methodId, subtotal)
+ * - subtotal: order subtotal after discounts (for free-shipping thresholds)
+ * - Unknown method ids fall back to DEFAULT_SHIPPING_METHOD.
+ * - Returns {
+ *     method, label, eta,
+ *     weight,         // kg, rounded to 0.1
+ *     amount,         // USD charged for shipping
+ *     free,           // true when a free-shipping threshold applied
+ *     amountToFree,   // USD still needed for free shipping (null if n/a)
+ *   }
+ */
+export function calculateShipping(items, methodId, subtotal) {
+  const method = SHIPPING_METHODS[methodId]
+    ? methodId
+    : DEFAULT_SHIPPING_METHOD;
+  const config = SHIPPING_METHODS[method];
+  const weight = getOrderWeight(items);
+  const base = { method, label: config.label, eta: config.eta };
+  const weightShown = Math.round(weight * 10) / 10;
+
+  if (weight === 0)
+    return {
+      ...base,
+      weight: 0,
+      amount: 0,
+      free: false,
+      amountToFree: null,
+    };
+
+  const hasThreshold = typeof config.freeOver === "number";
+  if (hasThreshold && subtotal >= config.freeOver)
+    return {
+      ...base,
+      weight: weightShown,
+      amount: 0,
+      free: true,
+      amountToFree: null,
+    };
+
+  const tier =
+    config.tiers.find((t) => weight <= t.upToKg) ??
+    config.tiers[config.tiers.length - 1];
+  let amount = tier.rate;
+  if (config.perKgOver && weight > config.perKgOver.kg)
+    amount += Math.ceil(weight - config.perKgOver.kg) * config.perKgOver.rate;
+
+  return {
+    ...base,
+    weight: weightShown,
+    amount: round2(amount),
+    free: false,
+    amountToFree:
+      hasThreshold && amount > 0 ? round2(config.freeOver - subtotal) : null,
+  };
+}
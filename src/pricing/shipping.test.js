@@ -0,0 +1,89 @@
+/**
+ * shipping.test.js
+ *
+ * Tests for shipping weights, tiers, surcharges and free-shipping thresholds.
+ */
+
+import { describe, expect, it } from "vitest";
+import {
+  calculateShipping,
+  getItemWeight,
+  getOrderWeight,
+  getShippingMethods,
+} from "./shipping";
+
+const item = (category, qty = 1, extra = {}) => ({
+  id: `${category}-${qty}`,
+  category,
+  qty,
+  price: 10,
+  ...extra,
+});
+
+describe("weights", () => {
+  it("uses an explicit weight, then the category default, then the fallback", () => {
+    expect(getItemWeight(item("electronics", 1, { weight: 3 }))).toBe(3);
+    expect(getItemWeight(item("electronics"))).toBe(1.5);
+    expect(getItemWeight(item("toys"))).toBe(0.5);
+  });
+
+  it("skips unavailable items", () => {
+    expect(
+      getOrderWeight([
+        item("electronics", 2),
+        item("jewelery", 1, { unavailable: true }),
+      ])
+    ).toBe(3);
+  });
+});
+
+describe("calculateShipping", () => {
+  it("lists the methods in display order", () => {
+    expect(getShippingMethods().map((m) => m.id)).toEqual([
+      "standard",
+      "express",
+      "pickup",
+    ]);
+  });
+
+  it("picks the tier covering the order weight", () => {
+    expect(calculateShipping([item("jewelery")], "standard", 10).amount).toBe(
+      4.99
+    );
+    expect(
+      calculateShipping([item("electronics", 2)], "standard", 10).amount
+    ).toBe(8.99);
+    expect(
+      calculateShipping([item("electronics", 2)], "express", 10).amount
+    ).toBe(24.99);
+  });
+
+  it("adds the per-kg surcharge above the limit", () => {
+    // 12 kg: top tier plus 2 started kg over 10 kg
+    const result = calculateShipping([item("electronics", 8)], "standard", 10);
+    expect(result).toMatchObject({ weight: 12, amount: 16.99 });
+  });
+
+  it("is free over the threshold and says how much is missing below it", () => {
+    expect(calculateShipping([item("jewelery")], "standard", 75)).toMatchObject(
+      { amount: 0, free: true, amountToFree: null }
+    );
+    expect(calculateShipping([item("jewelery")], "standard", 60)).toMatchObject(
+      { amount: 4.99, free: false, amountToFree: 15 }
+    );
+    // Express has no threshold
+    expect(calculateShipping([item("jewelery")], "express", 500)).toMatchObject(
+      { amount: 14.99, amountToFree: null }
+    );
+  });
+
+  it("ships an empty order for free and falls back to the default method", () => {
+    expect(calculateShipping([], "standard", 0)).toMatchObject({
+      amount: 0,
+      free: false,
+    });
+    expect(calculateShipping([item("jewelery")], "teleport", 10)).toMatchObject(
+      { method: "standard", amount: 4.99 }
+    );
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * shippingRates.js
+ *
+ * Shipping methods and their rate tables (used by shipping.js).
+ *
+ * Each method has:
+ *  - label:       name shown to the user
+ *  - eta:         short delivery estimate shown next to the label
+ *  - tiers:       [{ upToKg, rate }] sorted by weight; the first tier whose
+ *                 `upToKg` covers the order weight sets the price (USD).
+ *                 The last tier should use `upToKg: Infinity`.
+ *  - perKgOver:   optional { kg, rate } surcharge per started kg above `kg`
+ *  - freeOver:    optional subtotal (USD, after discounts) that makes the
+ *                 method free; omit for methods that are never free
+ *
+ * Products have no weight in FakeStoreAPI, so the weight of an item is its
+ * `weight` field when present, otherwise the category default below.
+ */
+
+export const DEFAULT_SHIPPING_METHOD = "standard";
+
+export const CATEGORY_WEIGHTS_KG = {
+  "men's clothing": 0.6,
+  "women's clothing": 0.4,
+  jewelery: 0.1,
+  electronics: 1.5,
+};
+
+// Weight used for items whose category is unknown.
+export const FALLBACK_WEIGHT_KG = 0.5;
+
+const SHIPPING_METHODS = {
+  standard: {
+    label: "Standard",
+    eta: "5–7 business days",
+    tiers: [
+      { upToKg: 1, rate: 4.99 },
+      { upToKg: 5, rate: 8.99 },
+      { upToKg: Infinity, rate: 14.99 },
+    ],
+    perKgOver: { kg: 10, rate: 1 },
+    freeOver: 75,
+  },
+  express: {
+    label: "Express",
+    eta: "1–2 business days",
+    tiers: [
+      { upToKg: 1, rate: 14.99 },
+      { upToKg: 5, rate: 24.99 },
+      { upToKg: Infinity, rate: 39.99 },
+    ],
+    perKgOver: { kg: 10, rate: 2.5 },
+  },
+  pickup: {
+    label: "Store pickup",
+    eta: "Ready in 2 hours",
+    tiers: [{ upToKg: Infinity, rate: 0 }],
+  },
+};
+
+export default SHIPPING_METHODS;
@@ -0,0 +1,94 @@
+/**
+ * tax.js
+ *
+ * Sales tax / VAT calculation from the rate table in taxRates.js.
+ *
+ * Purpose:
+ * - Resolve the country and state/province from the address form (ISO codes,
+ *   or names from older drafts) to a rate-table entry and compute the tax
+ *   for an order.
+ *
+ * Notes:
+ * - Countries and regions match by code or name, case-insensitively.
+ * - When no country is entered yet, or the country requires a region and none
+ *   is entered, the tax is reported as `pending` ("calculated at checkout").
+ * - A country missing from the table, or an unknown region where the country
+ *   requires one, can't be taxed correctly: the result is `pending` with
+ *   `unsupported: true` rather than a 0% tax. Other unknown regions use the
+ *   country-wide rate.
+ */
+
+import TAX_RATES from "./taxRates";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const normalize = (s) =>
+  String(s || "")
+    .trim()
+    .toLowerCase();
+
+/** resolveCountry(input) - ISO code from a code/name/alias, or null. */
+export function resolveCountry(input) {
+  const value = normalize(input);
+  if (!value) return null;
+  const match = Object.entries(TAX_RATES).find(
+    ([code, c]) =>
+      normalize(code) === value ||
+      normalize(c.name) === value ||
+      (c.aliases || []).some((a) => normalize(a) === value)
+  );
+  return match ? match[0] : null;
+}
+
+/** resolveRegion(countryCode, input) - region code from a code/name, or null. */
+export function resolveRegion(countryCode, input) {
+  const regions = TAX_RATES[countryCode]?.regions;
+  const value = normalize(input);
+  if (!regions || !value) return null;
+  const match = Object.entries(regions).find(
+    ([code, r]) => normalize(code) === value || normalize(r.name) === value
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * calculateTax({ country, region, amount, shipping })
+ * - amount: taxable goods total (subtotal after discounts)
+ * - shipping: shipping charge (taxed only where the country taxes shipping)
+ * - Returns { label, rate, amount, pending, unsupported, country, region }
+ */
+export function calculateTax({ country, region, amount, shipping = 0 }) {
+  if (!normalize(country))
+    return { label: "Tax", rate: 0, amount: 0, pending: true };
+
+  const countryCode = resolveCountry(country);
+  if (!countryCode)
+    return {
+      label: "Tax",
+      rate: 0,
+      amount: 0,
+      pending: true,
+      unsupported: true,
+      country: null,
+    };
+
+  const config = TAX_RATES[countryCode];
+  const regionCode = resolveRegion(countryCode, region);
+  const base = {
+    label: config.label,
+    country: countryCode,
+    region: regionCode,
+  };
+
+  if (config.requireRegion && !regionCode)
+    return {
+      ...base,
+      rate: 0,
+      amount: 0,
+      pending: true,
+      unsupported: !!normalize(region),
+    };
+
+  const rate = regionCode ? config.regions[regionCode].rate : config.rate;
+  const taxable = Math.max(0, amount) + (config.taxShipping ? shipping : 0);
+  return { ...base, rate, amount: round2(taxable * rate), pending: false };
+}
@@ -0,0 +1,89 @@
+/**
+ * tax.test.js
+ *
+ * Tests for the tax calculation and the rate table's coverage of every
+ * destination the address forms offer.
+ */
+
+import { describe, expect, it } from "vitest";
+import ADDRESS_FORMATS from "../addresses/addressFormats";
+import { calculateTax, resolveCountry, resolveRegion } from "./tax";
+
+describe("resolveCountry / resolveRegion", () => {
+  it("matches codes, names and aliases case-insensitively", () => {
+    expect(resolveCountry("us")).toBe("US");
+    expect(resolveCountry(" United States ")).toBe("US");
+    expect(resolveCountry("Holland")).toBe("NL");
+    expect(resolveCountry("Atlantis")).toBeNull();
+    expect(resolveRegion("US", "ohio")).toBe("OH");
+    expect(resolveRegion("CA", "QC")).toBe("QC");
+    expect(resolveRegion("GB", "Kent")).toBeNull();
+  });
+});
+
+describe("calculateTax", () => {
+  it("uses the state rate and doesn't tax US shipping", () => {
+    expect(
+      calculateTax({ country: "US", region: "CA", amount: 100, shipping: 10 })
+    ).toMatchObject({
+      label: "Sales tax",
+      rate: 0.0725,
+      amount: 7.25,
+      pending: false,
+      region: "CA",
+    });
+  });
+
+  it("taxes shipping where the country does", () => {
+    expect(
+      calculateTax({ country: "GB", amount: 100, shipping: 5 })
+    ).toMatchObject({ label: "VAT", rate: 0.2, amount: 21, pending: false });
+  });
+
+  it("uses the province rate in place of the country rate", () => {
+    expect(
+      calculateTax({ country: "CA", region: "ON", amount: 100 }).amount
+    ).toBe(13);
+    expect(calculateTax({ country: "CA", amount: 100 }).amount).toBe(5);
+  });
+
+  it("rounds to cents", () => {
+    expect(
+      calculateTax({ country: "US", region: "NJ", amount: 19.99 }).amount
+    ).toBe(1.32);
+  });
+
+  it("is pending until a country is entered", () => {
+    expect(calculateTax({ country: "", amount: 100 })).toMatchObject({
+      amount: 0,
+      pending: true,
+    });
+  });
+
+  it("is pending until a US state is entered", () => {
+    const tax = calculateTax({ country: "US", region: "", amount: 100 });
+    expect(tax).toMatchObject({ amount: 0, pending: true });
+    expect(tax.unsupported).toBeFalsy();
+  });
+
+  it("reports destinations missing from the table as unsupported, not 0%", () => {
+    expect(calculateTax({ country: "Atlantis", amount: 100 })).toMatchObject({
+      pending: true,
+      unsupported: true,
+    });
+    expect(
+      calculateTax({ country: "US", region: "Puerto Rico", amount: 100 })
+    ).toMatchObject({ pending: true, unsupported: true });
+  });
+
+  it("covers every country and state/province the address forms offer", () => {
+    Object.entries(ADDRESS_FORMATS).forEach(([code, format]) => {
+      expect(resolveCountry(format.name), format.name).toBe(code);
+      const regions = format.fields.state?.options ?? [[""]];
+      regions.forEach(([region]) => {
+        const tax = calculateTax({ country: code, region, amount: 100 });
+        expect(tax.pending, `${code} ${region}`).toBe(false);
+      });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * taxRates.js
+ *
+ * Sales tax / VAT rate table (used by tax.js).
+ *
+ * Keyed by ISO 3166-1 alpha-2 country code. Each country has:
+ *  - name:          display name (also accepted as input, case-insensitive)
+ *  - aliases:       other accepted spellings of the country
+ *  - label:         tax name shown in the order summary ("Sales tax", "VAT"...)
+ *  - rate:          country-wide rate as a fraction (0.2 = 20%)
+ *  - taxShipping:   whether shipping charges are taxed too
+ *  - regions:       optional { [code]: { name, rate } } that replace `rate`
+ *                   for a state/province (matched by code or name)
+ *  - requireRegion: when true the tax can't be calculated until a region is
+ *                   entered (rates vary too much to guess)
+ *
+ * Every country and state/province the address forms offer (see
+ * addresses/addressFormats.js) must have an entry here; tax.test.js checks it.
+ * Rates are simplified (state-level only, no local surcharges) and meant for
+ * display in this demo store.
+ */
+const TAX_RATES = {
+  US: {
+    name: "United States",
+    aliases: ["USA", "United States of America", "U.S.", "U.S.A."],
+    label: "Sales tax",
+    rate: 0,
+    taxShipping: false,
+    requireRegion: true,
+    regions: {
+      AL: { name: "Alabama", rate: 0.04 },
+      AK: { name: "Alaska", rate: 0 },
+      AZ: { name: "Arizona", rate: 0.056 },
+      AR: { name: "Arkansas", rate: 0.065 },
+      CA: { name: "California", rate: 0.0725 },
+      CO: { name: "Colorado", rate: 0.029 },
+      CT: { name: "Connecticut", rate: 0.0635 },
+      DE: { name: "Delaware", rate: 0 },
+      DC: { name: "District of Columbia", rate: 0.06 },
+      FL: { name: "Florida", rate: 0.06 },
+      GA: { name: "Georgia", rate: 0.04 },
+      HI: { name: "Hawaii", rate: 0.04 },
+      ID: { name: "Idaho", rate: 0.06 },
+      IL: { name: "Illinois", rate: 0.0625 },
+      IN: { name: "Indiana", rate: 0.07 },
+      IA: { name: "Iowa", rate: 0.06 },
+      KS: { name: "Kansas", rate: 0.065 },
+      KY: { name: "Kentucky", rate: 0.06 },
+      LA: { name: "Louisiana", rate: 0.05 },
+      ME: { name: "Maine", rate: 0.055 },
+      MD: { name: "Maryland", rate: 0.06 },
+      MA: { name: "Massachusetts", rate: 0.0625 },
+      MI: { name: "Michigan", rate: 0.06 },
+      MN: { name: "Minnesota", rate: 0.06875 },
+      MS: { name: "Mississippi", rate: 0.07 },
+      MO: { name: "Missouri", rate: 0.04225 },
+      MT: { name: "Montana", rate: 0 },
+      NE: { name: "Nebraska", rate: 0.055 },
+      NV: { name: "Nevada", rate: 0.0685 },
+      NH: { name: "New Hampshire", rate: 0 },
+      NJ: { name: "New Jersey", rate: 0.06625 },
+      NM: { name: "New Mexico", rate: 0.04875 },
+      NY: { name: "New York", rate: 0.04 },
+      NC: { name: "North Carolina", rate: 0.0475 },
+      ND: { name: "North Dakota", rate: 0.05 },
+      OH: { name: "Ohio", rate: 0.0575 },
+      OK: { name: "Oklahoma", rate: 0.045 },
+      OR: { name: "Oregon", rate: 0 },
+      PA: { name: "Pennsylvania", rate: 0.06 },
+      RI: { name: "Rhode Island", rate: 0.07 },
+      SC: { name: "South Carolina", rate: 0.06 },
+      SD: { name: "South Dakota", rate: 0.042 },
+      TN: { name: "Tennessee", rate: 0.07 },
+      TX: { name: "Texas", rate: 0.0625 },
+      UT: { name: "Utah", rate: 0.061 },
+      VT: { name: "Vermont", rate: 0.06 },
+      VA: { name: "Virginia", rate: 0.053 },
+      WA: { name: "Washington", rate: 0.065 },
+      WV: { name: "West Virginia", rate: 0.06 },
+      WI: { name: "Wisconsin", rate: 0.05 },
+      WY: { name: "Wyoming", rate: 0.04 },
+    },
+  },
+  CA: {
+    name: "Canada",
+    aliases: [],
+    label: "GST/HST",
+    rate: 0.05,
+    taxShipping: true,
+    regions: {
+      AB: { name: "Alberta", rate: 0.05 },
+      BC: { name: "British Columbia", rate: 0.12 },
+      MB: { name: "Manitoba", rate: 0.12 },
+      NB: { name: "New Brunswick", rate: 0.15 },
+      NL: { name: "Newfoundland and Labrador", rate: 0.15 },
+      NS: { name: "Nova Scotia", rate: 0.15 },
+      NT: { name: "Northwest Territories", rate: 0.05 },
+      NU: { name: "Nunavut", rate: 0.05 },
+      ON: { name: "Ontario", rate: 0.13 },
+      PE: { name: "Prince Edward Island", rate: 0.15 },
+      QC: { name: "Quebec", rate: 0.14975 },
+      SK: { name: "Saskatchewan", rate: 0.11 },
+      YT: { name: "Yukon", rate: 0.05 },
+    },
+  },
+  GB: {
+    name: "United Kingdom",
+    aliases: ["UK", "Great Britain", "England", "Scotland", "Wales"],
+    label: "VAT",
+    rate: 0.2,
+    taxShipping: true,
+  },
+  IE: {
+    name: "Ireland",
+    aliases: ["Republic of Ireland", "Éire", "Eire"],
+    label: "VAT",
+    rate: 0.23,
+    taxShipping: true,
+  },
+  DE: {
+    name: "Germany",
+    aliases: ["Deutschland"],
+    label: "VAT",
+    rate: 0.19,
+    taxShipping: true,
+  },
+  FR: {
+    name: "France",
+    aliases: [],
+    label: "VAT",
+    rate: 0.2,
+    taxShipping: true,
+  },
+  NL: {
+    name: "Netherlands",
+    aliases: ["Holland", "The Netherlands"],
+    label: "VAT",
+    rate: 0.21,
+    taxShipping: true,
+  },
+  AU: {
+    name: "Australia",
+    aliases: [],
+    label: "GST",
+    rate: 0.1,
+    taxShipping: true,
+  },
+};
+
+export default TAX_RATES;
@@ -0,0 +1,196 @@
+/**
+ * account.js
+ *
+ * Helpers for FakeStoreAPI user records (/users/:id): display, form values,
+ * validation and checkout prefill.
+ *
+ * User shape (API):
+ *   { id, email, username, password, phone,
+ *     name: { firstname, lastname },
+ *     address: { street, number, city, zipcode, geolocation } }
+ *
+ * Form values (UserForm):
+ *   { firstname, lastname, email, username, phone, street, number, city,
+ *     zipcode }
+ *
+ * Notes:
+ * - The API stores names and cities in lowercase ("john", "kilcoole");
+ *   titleCase() is used wherever they're shown or copied into checkout.
+ * - API addresses have no country or state; checkout keeps its own country
+ *   and asks for the state.
+ * - Deactivation is a local `active: false` flag (the API has no such field);
+ *   deactivated users stay listed for admins but can't sign in.
+ */
+
+export const EMPTY_USER_FORM = {
+  firstname: "",
+  lastname: "",
+  email: "",
+  username: "",
+  phone: "",
+  street: "",
+  number: "",
+  city: "",
+  zipcode: "",
+};
+
+// Required form fields
+const REQUIRED = ["firstname", "lastname", "email", "username"];
+
+/** titleCase(s) - "new road" -> "New Road". */
+export const titleCase = (s) =>
+  String(s ?? "").replace(
+    /(^|[\s-])(\p{L})/gu,
+    (m, sep, c) => `${sep}${c.toUpperCase()}`
+  );
+
+/** fullName(user) - "John Doe", or the username when there's no name. */
+export function fullName(user) {
+  const name = [user?.name?.firstname, user?.name?.lastname]
+    .filter(Boolean)
+    .join(" ");
+  return name ? titleCase(name) : (user?.username ?? "");
+}
+
+/** isActive(user) - false once an admin has deactivated the account. */
+export const isActive = (user) => user?.active !== false;
+
+/** streetLine(user) - "7682 New Road" (number and street), or "". */
+export const streetLine = (user) =>
+  titleCase(
+    [user?.address?.number, user?.address?.street].filter(Boolean).join(" ")
+  );
+
+/** userToForm(user) - form values for editing a user record. */
+export function userToForm(user) {
+  return {
+    firstname: user?.name?.firstname ?? "",
+    lastname: user?.name?.lastname ?? "",
+    email: user?.email ?? "",
+    username: user?.username ?? "",
+    phone: user?.phone ?? "",
+    street: user?.address?.street ?? "",
+    number: String(user?.address?.number ?? ""),
+    city: user?.address?.city ?? "",
+    zipcode: user?.address?.zipcode ?? "",
+  };
+}
+
+/**
+ * formToUser(values)
+ * - The request body for POST/PUT /users from form values (trimmed; the
+ *   house number is sent as a number when it is one).
+ */
+export function formToUser(values) {
+  const v = Object.fromEntries(
+    Object.keys(EMPTY_USER_FORM).map((k) => [k, String(values[k] ?? "").trim()])
+  );
+  const number = Number(v.number);
+  return {
+    email: v.email,
+    username: v.username,
+    phone: v.phone,
+    name: { firstname: v.firstname, lastname: v.lastname },
+    address: {
+      street: v.street,
+      number: v.number && Number.isFinite(number) ? number : v.number,
+      city: v.city,
+      zipcode: v.zipcode,
+    },
+  };
+}
+
+/**
+ * validateUserForm(values, { takenUsernames })
+ * - Returns an errors object ({ field: "Short message" }), empty when valid.
+ * - takenUsernames: usernames already in use by other accounts (optional,
+ *   compared case-insensitively)
+ */
+export function validateUserForm(values, { takenUsernames = [] } = {}) {
+  const e = {};
+  REQUIRED.forEach((k) => {
+    if (!String(values[k] ?? "").trim()) e[k] = "Required";
+  });
+  if (values.email && !/^\S+@\S+\.\S+$/.test(values.email.trim()))
+    e.email = "Invalid email";
+  if (values.username && /\s/.test(values.username.trim()))
+    e.username = "No spaces allowed";
+  const username = String(values.username ?? "")
+    .trim()
+    .toLowerCase();
+  if (
+    username &&
+    !e.username &&
+    takenUsernames.some((u) => String(u).toLowerCase() === username)
+  )
+    e.username = "Username is already taken";
+  return e;
+}
+
+// Sort options for user lists: { value: { label, compare } }
+export const USER_SORTS = {
+  name: {
+    label: "Name (A–Z)",
+    compare: (a, b) => fullName(a).localeCompare(fullName(b)),
+  },
+  "name-desc": {
+    label: "Name (Z–A)",
+    compare: (a, b) => fullName(b).localeCompare(fullName(a)),
+  },
+  username: {
+    label: "Username",
+    compare: (a, b) => String(a.username).localeCompare(String(b.username)),
+  },
+  email: {
+    label: "Email",
+    compare: (a, b) => String(a.email).localeCompare(String(b.email)),
+  },
+};
+
+/**
+ * searchUsers(users, query, sort)
+ * - Users whose name, username, email or phone contains `query`
+ *   (case-insensitive), ordered by a USER_SORTS key (default "name").
+ */
+export function searchUsers(users, query, sort = "name") {
+  const q = String(query ?? "")
+    .trim()
+    .toLowerCase();
+  const matches = q
+    ? users.filter((u) =>
+        [fullName(u), u.username, u.email, u.phone].some((v) =>
+          String(v ?? "")
+            .toLowerCase()
+            .includes(q)
+        )
+      )
+    : [...users];
+  return matches.sort((USER_SORTS[sort] ?? USER_SORTS.name).compare);
+}
+
+/**
+ * fillFromAccount(draft, user)
+ * - Prefills a checkout draft from the signed-in user's record: empty
+ *   contact fields, and the street/city/ZIP when no address has been
+ *   entered yet.
+ */
+export function fillFromAccount(draft, user) {
+  if (!user) return draft;
+  const next = { ...draft };
+  const contact = {
+    firstName: titleCase(user.name?.firstname),
+    lastName: titleCase(user.name?.lastname),
+    email: user.email ?? "",
+    phone: user.phone ?? "",
+  };
+  Object.entries(contact).forEach(([k, v]) => {
+    if (!next[k] && v) next[k] = v;
+  });
+  const blank = ["address1", "city", "zip"].every((k) => !next[k]);
+  if (blank && user.address) {
+    next.address1 = streetLine(user);
+    next.city = titleCase(user.address.city);
+    next.zip = user.address.zipcode ?? "";
+  }
+  return next;
+}
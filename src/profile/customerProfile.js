@@ -0,0 +1,215 @@
+/**
+ * customerProfile.js
+ *
+ * Saved checkout details for returning customers (used by useCustomerProfile).
+ *
+ * Purpose:
+ * - Address book: several shipping addresses, one of them the default.
+ * - Saved cards: non-sensitive payment metadata only (brand + last 4 digits),
+ *   so checkout can say "Visa ending in 4242" without ever storing a number.
+ * - The contact details used with the last saved address, to prefill checkout.
+ *
+ * Storage:
+ * - localStorage, one profile per owner: "profile:v1:user-<id>" for the
+ *   signed-in user (see api/session.js), "profile:v1:local" otherwise.
+ * - Entries that fail validation on read are dropped (the rest still load).
+ *
+ * Profile shape:
+ *   { contact: { firstName, lastName, email, phone } | null,
+ *     addresses: [{ id, address1, address2, city, state, zip, country,
+ *                   savedAt }],
+ *     defaultAddressId: string | null,
+ *     cards: [{ id, brand, last4, savedAt }] }
+ *
+ * Notes:
+ * - Functions here never mutate; they return a new profile.
+ * - Addresses are stored normalized (see addresses/address.js); saving one
+ *   that's already in the book updates it instead of adding a duplicate.
+ */
+
+import { normalizeAddress } from "../addresses/address";
+import { CARD_BRANDS } from "../payments/cardValidation";
+
+export const PROFILE_STORAGE_PREFIX = "profile:v1";
+
+// Oldest entries (never the default address) are dropped beyond these counts.
+export const MAX_ADDRESSES = 10;
+export const MAX_CARDS = 5;
+
+export const ADDRESS_FIELDS = [
+  "address1",
+  "address2",
+  "city",
+  "state",
+  "zip",
+  "country",
+];
+const CONTACT_FIELDS = ["firstName", "lastName", "email", "phone"];
+
+export const EMPTY_PROFILE = {
+  contact: null,
+  addresses: [],
+  defaultAddressId: null,
+  cards: [],
+};
+
+const newId = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Copy the string fields `keys` from `value` ("" for missing ones).
+const pick = (value, keys) =>
+  Object.fromEntries(
+    keys.map((k) => [k, typeof value?.[k] === "string" ? value[k] : ""])
+  );
+
+/** profileStorageKey(session) - localStorage key for the session's owner. */
+export const profileStorageKey = (session) =>
+  session?.userId
+    ? `${PROFILE_STORAGE_PREFIX}:user-${session.userId}`
+    : `${PROFILE_STORAGE_PREFIX}:local`;
+
+/** pickAddress(value) - the address fields of a form/order, normalized. */
+export const pickAddress = (value) =>
+  normalizeAddress(pick(value, ADDRESS_FIELDS));
+
+// Comparable/storable form of a field: trimmed, single spaces.
+const tidy = (s) => s.trim().replace(/\s+/g, " ");
+
+const isValidAddress = (a) =>
+  !!a &&
+  typeof a.id === "string" &&
+  typeof a.address1 === "string" &&
+  !!a.address1.trim() &&
+  typeof a.country === "string";
+
+const isValidCard = (c) =>
+  !!c &&
+  typeof c.id === "string" &&
+  !!CARD_BRANDS[c.brand] &&
+  /^\d{4}$/.test(c.last4);
+
+/**
+ * normalizeProfile(value)
+ * - A valid profile from a stored value. The default address falls back to
+ *   the first one when it's missing.
+ */
+export function normalizeProfile(value) {
+  const addresses = Array.isArray(value?.addresses)
+    ? value.addresses.filter(isValidAddress)
+    : [];
+  const cards = Array.isArray(value?.cards)
+    ? value.cards.filter(isValidCard)
+    : [];
+  const defaultAddressId = addresses.some(
+    (a) => a.id === value.defaultAddressId
+  )
+    ? value.defaultAddressId
+    : (addresses[0]?.id ?? null);
+  const contact =
+    value?.contact && typeof value.contact === "object"
+      ? pick(value.contact, CONTACT_FIELDS)
+      : null;
+  return { contact, addresses, defaultAddressId, cards };
+}
+
+/** sameAddress(a, b) - true when both describe the same place. */
+export function sameAddress(a, b) {
+  const x = pickAddress(a);
+  const y = pickAddress(b);
+  return ADDRESS_FIELDS.every(
+    (k) => tidy(x[k]).toLowerCase() === tidy(y[k]).toLowerCase()
+  );
+}
+
+/** findAddress(profile, address) - the saved entry matching an address, or null. */
+export const findAddress = (profile, address) =>
+  profile.addresses.find((a) => sameAddress(a, address)) ?? null;
+
+/** getDefaultAddress(profile) - the default saved address, or null. */
+export const getDefaultAddress = (profile) =>
+  profile.addresses.find((a) => a.id === profile.defaultAddressId) ?? null;
+
+/**
+ * addAddress(profile, address, { contact, makeDefault })
+ * - Saves `address` (moved to the top if it's already in the book).
+ * - contact: checkout contact fields to remember with it (optional)
+ * - makeDefault: make it the default (the first address always is)
+ */
+export function addAddress(profile, address, { contact, makeDefault } = {}) {
+  const existing = findAddress(profile, address);
+  const fields = pickAddress(address);
+  const entry = {
+    ...Object.fromEntries(ADDRESS_FIELDS.map((k) => [k, tidy(fields[k])])),
+    id: existing?.id ?? newId(),
+    savedAt: new Date().toISOString(),
+  };
+  const rest = profile.addresses.filter((a) => a.id !== entry.id);
+  const defaultAddressId =
+    makeDefault || !profile.defaultAddressId
+      ? entry.id
+      : profile.defaultAddressId;
+  const addresses = [entry, ...rest];
+  if (addresses.length > MAX_ADDRESSES) {
+    // Newest first: drop the last one that isn't the default
+    const oldest = addresses.findLastIndex((a) => a.id !== defaultAddressId);
+    addresses.splice(oldest, 1);
+  }
+  return {
+    ...profile,
+    contact: contact ? pick(contact, CONTACT_FIELDS) : profile.contact,
+    addresses,
+    defaultAddressId,
+  };
+}
+
+/** removeAddress(profile, id) - the default moves to the next address. */
+export function removeAddress(profile, id) {
+  return normalizeProfile({
+    ...profile,
+    addresses: profile.addresses.filter((a) => a.id !== id),
+  });
+}
+
+/** setDefaultAddress(profile, id) - make a saved address the default. */
+export function setDefaultAddress(profile, id) {
+  if (!profile.addresses.some((a) => a.id === id)) return profile;
+  return { ...profile, defaultAddressId: id };
+}
+
+/**
+ * addCard(profile, { brand, last4 })
+ * - Remembers a card's brand and last 4 digits (e.g. from a captured
+ *   payment); anything else passed in is ignored. Invalid cards are skipped.
+ */
+export function addCard(profile, { brand, last4 }) {
+  const card = {
+    id: `${brand}-${last4}`,
+    brand,
+    last4,
+    savedAt: new Date().toISOString(),
+  };
+  if (!isValidCard(card)) return profile;
+  const rest = profile.cards.filter((c) => c.id !== card.id);
+  return { ...profile, cards: [card, ...rest].slice(0, MAX_CARDS) };
+}
+
+/** removeCard(profile, id) - forget a saved card. */
+export function removeCard(profile, id) {
+  return { ...profile, cards: profile.cards.filter((c) => c.id !== id) };
+}
+
+/**
+ * fillFromProfile(draft, profile)
+ * - Prefills a checkout draft: empty contact fields from the saved contact,
+ *   and the default address when no address has been entered yet.
+ */
+export function fillFromProfile(draft, profile) {
+  const next = { ...draft };
+  CONTACT_FIELDS.forEach((k) => {
+    if (!next[k] && profile.contact?.[k]) next[k] = profile.contact[k];
+  });
+  const address = getDefaultAddress(profile);
+  const blank = ["address1", "city", "zip"].every((k) => !next[k]);
+  if (address && blank) Object.assign(next, pickAddress(address));
+  return next;
+}
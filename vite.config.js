@@ -4,5 +4,11 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // Unit tests (npm test): no simulated latency for the mock backend and
+  // the mock payment gateway
+  test: {
+    environment: 'node',
+    env: { VITE_API_MOCK_LATENCY: '0', VITE_PAYMENT_MOCK_LATENCY: '0' },
+  },
   // base: process.env.VITE_BASE_PATH || "/aldos-fake-store-rdha",
 });